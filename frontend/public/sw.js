@@ -0,0 +1,79 @@
+/**
+ * Service worker of the offline verifier (see src/utils/verifierCache.js)
+ *
+ * Keeps the app shell available without connectivity so /qr-verification
+ * can be opened offline once it has been loaded online:
+ * - navigations: network first, falling back to the cached page; only
+ *   successful responses are cached, so an error page never replaces it
+ * - same-origin assets: cache first, refreshed in the background
+ * The page sends the assets it loaded (CACHE_URLS message), since hashed
+ * bundle names are not known here. Requests to other origins (Firestore)
+ * are never cached; the verifier keeps its own snapshot of trust data.
+ */
+
+const CACHE_NAME = 'sdw-verifier-v1';
+const APP_SHELL = ['/', '/qr-verification', '/manifest.webmanifest', '/B.png'];
+
+// Face models are large and not needed to verify
+const UNCACHED_PREFIXES = ['/models/'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(APP_SHELL)));
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+const isCacheable = (url) => url.origin === self.location.origin
+  && !UNCACHED_PREFIXES.some(prefix => url.pathname.startsWith(prefix));
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'CACHE_URLS') return;
+  const urls = event.data.urls.filter(url => isCacheable(new URL(url)));
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(urls)).catch(() => {}));
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || !isCacheable(url)) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request)
+        .then((response) => {
+          if (response.ok) {
+            const copy = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(url.pathname, copy));
+          }
+          return response;
+        })
+        // The app is a single page; any cached shell can render the route
+        .catch(async () => (await caches.match(url.pathname)) || (await caches.match('/qr-verification')) || caches.match('/'))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request).then((cached) => {
+      const refresh = fetch(request).then((response) => {
+        if (response.ok) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+        }
+        return response;
+      }).catch((error) => {
+        // Offline the cached copy stays good; only an uncached asset fails
+        if (cached) return cached;
+        throw error;
+      });
+      return cached || refresh;
+    })
+  );
+});
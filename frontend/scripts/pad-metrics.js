@@ -0,0 +1,183 @@
+/**
+ * Presentation attack detection metrics
+ *
+ * Runs the PAD detectors (src/utils/presentationAttackDetection.js) on a
+ * folder of labelled images and reports the ISO/IEC 30107-3 error rates of
+ * each detector and of the combined score:
+ * - APCER: share of attack presentations accepted as bona fide, per attack
+ *   species; the worst species is the one reported
+ * - BPCER: share of bona fide presentations rejected
+ *
+ * Usage:
+ *   npm run pad-metrics -- <folder> [--threshold <score>] [--max-side <px>] [--sweep]
+ *
+ *   <folder>/live/...             bona fide images (PNG or JPEG)
+ *   <folder>/spoof/<species>/...  attack images, one subfolder per species
+ *                                 (print, screen, ...); files directly in
+ *                                 spoof/ count as species "spoof"
+ *
+ *   --threshold <score>  decision threshold (default PAD_THRESHOLD)
+ *   --max-side <px>      shrink larger images to this side first, like a
+ *                        webcam frame (default 640)
+ *   --sweep              also print the combined APCER/BPCER over thresholds
+ *
+ * The challenge detector needs a liveness session, so still images skip it.
+ * An image the detectors fail on counts as rejected, as it would be at
+ * login: an error for bona fide images, a correct rejection for attacks. How
+ * many failed is reported per class.
+ */
+
+import { readdir, readFile } from 'node:fs/promises';
+import path from 'node:path';
+import jpeg from 'jpeg-js';
+import { PNG } from 'pngjs';
+import {
+  DEFAULT_PAD_DETECTORS,
+  PAD_THRESHOLD,
+  runPresentationAttackDetection,
+} from '../src/utils/presentationAttackDetection.js';
+
+const args = process.argv.slice(2);
+const VALUE_OPTIONS = ['--threshold', '--max-side'];
+const option = (name, fallback) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? Number(args[index + 1]) : fallback;
+};
+
+const folder = args.find((arg, index) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[index - 1]));
+const threshold = option('--threshold', PAD_THRESHOLD);
+const maxSide = option('--max-side', 640);
+
+if (!folder) {
+  console.error('❌ Usage: npm run pad-metrics -- <folder> [--threshold <score>] [--max-side <px>] [--sweep]');
+  process.exit(1);
+}
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg'];
+
+const listImages = async (dir) => {
+  let entries;
+  try {
+    entries = await readdir(dir, { recursive: true, withFileTypes: true });
+  } catch {
+    return [];
+  }
+  return entries
+    .filter(entry => entry.isFile() && IMAGE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()))
+    .map(entry => path.join(entry.parentPath ?? entry.path, entry.name));
+};
+
+const decodeImage = async (file) => {
+  const buffer = await readFile(file);
+  return path.extname(file).toLowerCase() === '.png'
+    ? PNG.sync.read(buffer)
+    : jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+};
+
+// Area-average downscale, so a photo looks like a webcam frame
+const shrink = (image) => {
+  const factor = Math.max(image.width, image.height) / maxSide;
+  if (factor <= 1) return image;
+  const width = Math.floor(image.width / factor);
+  const height = Math.floor(image.height / factor);
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const sum = [0, 0, 0, 0];
+      let count = 0;
+      for (let sy = Math.floor(y * factor); sy < Math.floor((y + 1) * factor); sy++) {
+        for (let sx = Math.floor(x * factor); sx < Math.floor((x + 1) * factor); sx++) {
+          const i = (sy * image.width + sx) * 4;
+          for (let c = 0; c < 4; c++) sum[c] += image.data[i + c];
+          count++;
+        }
+      }
+      for (let c = 0; c < 4; c++) data[(y * width + x) * 4 + c] = sum[c] / count;
+    }
+  }
+  return { data, width, height };
+};
+
+const speciesOf = (file, spoofDir) => {
+  const [first, ...rest] = path.relative(spoofDir, file).split(path.sep);
+  return rest.length ? first : 'spoof';
+};
+
+const percent = (value) => (Number.isNaN(value) ? '   n/a' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+// Score of an image the detectors failed on: rejected at every threshold
+const FAILED_SCORE = -Infinity;
+
+// APCER (worst species) and BPCER of one score at a threshold
+const errorRates = (samples, scoreOf, at) => {
+  const live = samples.filter(sample => sample.species === null);
+  const bpcer = live.filter(sample => scoreOf(sample) < at).length / live.length;
+  const species = [...new Set(samples.map(sample => sample.species).filter(Boolean))];
+  const apcerBySpecies = Object.fromEntries(species.map(name => {
+    const attacks = samples.filter(sample => sample.species === name);
+    return [name, attacks.filter(sample => scoreOf(sample) >= at).length / attacks.length];
+  }));
+  const apcer = species.length ? Math.max(...Object.values(apcerBySpecies)) : NaN;
+  return { apcer, bpcer, apcerBySpecies };
+};
+
+const liveDir = path.join(folder, 'live');
+const spoofDir = path.join(folder, 'spoof');
+const files = [
+  ...(await listImages(liveDir)).map(file => ({ file, species: null })),
+  ...(await listImages(spoofDir)).map(file => ({ file, species: speciesOf(file, spoofDir) })),
+];
+
+if (!files.some(({ species }) => species === null) || !files.some(({ species }) => species !== null)) {
+  console.error(`❌ Need images in both ${liveDir} and ${spoofDir}`);
+  process.exit(1);
+}
+
+const samples = [];
+for (const [index, { file, species }] of files.entries()) {
+  process.stdout.write(`\r🔍 ${index + 1}/${files.length}`);
+  try {
+    const image = shrink(await decodeImage(file));
+    const result = await runPresentationAttackDetection({ image }, { threshold });
+    samples.push({
+      file,
+      species,
+      score: result.score,
+      detectors: Object.fromEntries(result.results.map(({ name, score }) => [name, score])),
+    });
+  } catch (error) {
+    console.log(`\n  ❌ ${file}: ${error.message}`);
+    samples.push({ file, species, score: FAILED_SCORE, detectors: {}, failed: true });
+  }
+}
+process.stdout.write('\n\n');
+
+const live = samples.filter(sample => sample.species === null);
+const failedLive = live.filter(sample => sample.failed).length;
+const failedAttacks = samples.filter(sample => sample.species !== null && sample.failed).length;
+console.log(`${live.length} bona fide, ${samples.length - live.length} attack images; threshold ${threshold}`);
+console.log(`failed, counted as rejected: ${failedLive} bona fide, ${failedAttacks} attack\n`);
+
+console.log('detector      APCER   BPCER');
+const names = DEFAULT_PAD_DETECTORS.map(detector => detector.name).filter(name => samples.some(sample => name in sample.detectors));
+for (const name of names) {
+  const scored = samples.filter(sample => sample.failed || name in sample.detectors);
+  const { apcer, bpcer } = errorRates(scored, sample => sample.detectors[name] ?? FAILED_SCORE, threshold);
+  console.log(`${name.padEnd(12)} ${percent(apcer)}  ${percent(bpcer)}`);
+}
+const combined = errorRates(samples, sample => sample.score, threshold);
+console.log(`${'combined'.padEnd(12)} ${percent(combined.apcer)}  ${percent(combined.bpcer)}\n`);
+
+console.log('APCER per attack species (combined)');
+for (const [name, apcer] of Object.entries(combined.apcerBySpecies)) {
+  console.log(`  ${name.padEnd(12)} ${percent(apcer)}`);
+}
+
+if (args.includes('--sweep')) {
+  console.log('\nthreshold   APCER   BPCER');
+  for (let step = 1; step < 20; step++) {
+    const at = step / 20;
+    const { apcer, bpcer } = errorRates(samples, sample => sample.score, at);
+    console.log(`${at.toFixed(2).padStart(9)}  ${percent(apcer)}  ${percent(bpcer)}`);
+  }
+}
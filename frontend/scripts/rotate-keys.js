@@ -0,0 +1,97 @@
+/**
+ * Reviewer key rotation from the command line
+ *
+ * Re-seals every submission to the active reviewer key, optionally creating a
+ * new key first. Runs the same code as the admin dashboard through Vite's SSR
+ * loader, so the Firebase settings are read from .env like in the browser.
+ *
+ * Usage:
+ *   ADMIN_PASSWORD=... npm run rotate-keys -- [--new-key] [--from <kid>] [--job <jobId>]
+ *
+ *   --new-key      create a new reviewer key and make it active first
+ *   --from <kid>   only re-seal submissions sealed to this key ('legacy' for CryptoJS records)
+ *   --job <jobId>  job id to use; pass the id of an interrupted job to resume it
+ *
+ * Then the keys rotated away from (with --from, only that key) are retired,
+ * unless some submission is still sealed to them.
+ */
+
+import { createServer } from 'vite';
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : null;
+};
+
+const password = process.env.ADMIN_PASSWORD;
+if (!password) {
+  console.error('❌ Set ADMIN_PASSWORD to the admin password');
+  process.exit(1);
+}
+
+const server = await createServer({
+  server: { middlewareMode: true },
+  appType: 'custom',
+  logLevel: 'error',
+});
+
+try {
+  const { default: firebaseService } = await server.ssrLoadModule('/src/utils/firebaseService.js');
+  const reviewerKeys = await server.ssrLoadModule('/src/utils/reviewerKeys.js');
+  const { verifyAdminPassword } = await server.ssrLoadModule('/src/utils/adminAuth.js');
+  const { unlockAdminIssuerKey } = await server.ssrLoadModule('/src/utils/issuerKeys.js');
+  const { unlockBlindIndexKey } = await server.ssrLoadModule('/src/utils/blindIndex.js');
+  const { rotateSubmissionKeys, retireUnusedReviewerKeys } = await server.ssrLoadModule('/src/utils/keyRotation.js');
+
+  await firebaseService.connect();
+  if (firebaseService.useLocalStorage) {
+    throw new Error('Firebase is not configured; browser-only (localStorage) data must be rotated from the admin dashboard');
+  }
+
+  // Unlocking creates the issuer key if there is none, wrapped under this password
+  if (!(await verifyAdminPassword(password))) {
+    throw new Error('Invalid admin password');
+  }
+  // The issuer key signs the keyring on every change
+  await unlockAdminIssuerKey(password);
+  await reviewerKeys.unlockReviewerKeys(password);
+  // Re-sealed submissions get their blind indexes rewritten
+  await unlockBlindIndexKey(password);
+  if (args.includes('--new-key')) {
+    const kid = await reviewerKeys.createReviewerKey(password);
+    console.log(`🔑 New active reviewer key: ${kid}`);
+  }
+
+  const fromKid = option('--from');
+  const report = await rotateSubmissionKeys({
+    fromKid,
+    jobId: option('--job'),
+    onProgress: ({ processed, total }) => process.stdout.write(`\r🔁 ${processed}/${total}`),
+  });
+  process.stdout.write('\n');
+
+  console.log(`Job ${report.jobId}: ${report.rotated} re-sealed, ${report.skipped} already current, ${report.failures.length} failed`);
+  for (const failure of report.failures) {
+    console.log(`  ❌ ${failure.id}: ${failure.reason}`);
+  }
+
+  const keyring = await reviewerKeys.getReviewerKeyring();
+  const { retired, inUse } = await retireUnusedReviewerKeys(fromKid ? [fromKid] : keyring.keys.map(entry => entry.kid));
+  for (const kid of retired) {
+    console.log(`🗑️ Retired reviewer key ${kid}`);
+  }
+  for (const kid of inUse) {
+    console.log(`🔑 Kept reviewer key ${kid}: submissions are still sealed to it`);
+  }
+
+  if (report.failures.length > 0) {
+    console.log(`Fix or remove the failed records, then resume with --job ${report.jobId}`);
+    process.exitCode = 2;
+  }
+} catch (error) {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exitCode = 1;
+} finally {
+  await server.close();
+}
@@ -1,9 +1,16 @@
 import React, { useState, useEffect, lazy, Suspense } from "react";
 import { Container, Box, CircularProgress, Typography, Alert, CssBaseline, ThemeProvider, createTheme } from "@mui/material";
-import { BrowserRouter as Router, Route, Routes, useNavigate, Navigate } from "react-router-dom";
+import { BrowserRouter as Router, Route, Routes, useNavigate, useLocation, Navigate } from "react-router-dom";
 import { loadModels } from "./components/loadModels";
 import { AuthContext } from "./components/AuthContext";
 import firebaseService from "./utils/firebaseService";
+import { getActiveKeyContext, hasActiveKeyContext, clearActiveKeyContext } from "./utils/keyManagement";
+import { sealFaceTemplate, clearBiometricKeys } from "./utils/biometricVault";
+import { clearSigners } from "./utils/issuerKeys";
+import { clearStepUp } from "./utils/stepUp";
+
+// Routes that need the face models; every other page renders without them
+const FACE_ROUTES = ["/scan-id", "/face-authentication"];
 
 // Lazy load components with organized imports
 const {
@@ -176,8 +183,8 @@ function App() {
   const [authenticationResult, setAuthenticationResult] = useState(null);
 
   // Face Recognition & Document Data States
-  const [scannedIdFaceDescriptor, setScannedIdFaceDescriptor] = useState(null);
-  const [scannedIdFaceImage, setScannedIdFaceImage] = useState(null);
+  // The ID face descriptor and crop are only held sealed (see biometricVault.js)
+  const [sealedFaceTemplate, setSealedFaceTemplate] = useState(null);
   const [extractedDocumentData, setExtractedDocumentData] = useState(null);
 
   // Model Loading States
@@ -186,6 +193,7 @@ function App() {
   const [hashVerificationError, setHashVerificationError] = useState(null);
 
   const navigate = useNavigate();
+  const { pathname } = useLocation();
   
   // Toggle dark mode function
   const toggleDarkMode = () => {
@@ -209,9 +217,12 @@ function App() {
     setAuthenticationResult(null); // Clear authentication result
     localStorage.removeItem('isAuthenticated');
     localStorage.removeItem('currentUser');
+    clearActiveKeyContext();
+    clearBiometricKeys();
+    clearSigners();
+    clearStepUp();
     // Clear sensitive data
-    setScannedIdFaceDescriptor(null);
-    setScannedIdFaceImage(null);
+    setSealedFaceTemplate(null);
     setExtractedDocumentData(null);
     navigate('/');
   };
@@ -219,9 +230,13 @@ function App() {
   // Initial Load
   useEffect(() => {
     // Check local storage for persistent authentication
+    // Without an unlocked key context the user's data is unreadable, so ask them to log in again
     const storedAuth = localStorage.getItem('isAuthenticated');
     const storedUser = localStorage.getItem('currentUser');
-    if (storedAuth === 'true' && storedUser) {
+    if (storedAuth === 'true' && storedUser && !hasActiveKeyContext()) {
+      localStorage.removeItem('isAuthenticated');
+      localStorage.removeItem('currentUser');
+    } else if (storedAuth === 'true' && storedUser) {
       setIsAuthenticated(true);
       try {
         setCurrentUser(JSON.parse(storedUser));
@@ -230,15 +245,35 @@ function App() {
         setCurrentUser({ username: storedUser });
       }
     }
-
-    // Load Face API models
-    loadModels(setModelsLoaded, setLoadingError, setHashVerificationError);
   }, []);
 
+  // Load Face API models once a face route is opened
+  useEffect(() => {
+    if (!modelsLoaded && FACE_ROUTES.includes(pathname)) {
+      loadModels(setModelsLoaded, setLoadingError, setHashVerificationError);
+    }
+  }, [pathname, modelsLoaded]);
+
+  // Discard the sealed face template once its retention limit is reached
+  useEffect(() => {
+    if (!sealedFaceTemplate) return undefined;
+    const timeout = setTimeout(() => {
+      console.log('Face template retention limit reached, discarding it');
+      setSealedFaceTemplate(null);
+    }, new Date(sealedFaceTemplate.expiresAt).getTime() - Date.now());
+    return () => clearTimeout(timeout);
+  }, [sealedFaceTemplate]);
+
   // Handler for when face is scanned from document
-  const handleFaceScannedFromDocument = (descriptor, image, ocrData) => {
-    setScannedIdFaceDescriptor(descriptor);
-    setScannedIdFaceImage(image);
+  const handleFaceScannedFromDocument = async (descriptor, image, ocrData) => {
+    try {
+      const keyContext = await getActiveKeyContext();
+      setSealedFaceTemplate(await sealFaceTemplate({ descriptor, faceImage: image }, keyContext));
+    } catch (error) {
+      console.error('Error sealing face template:', error);
+      alert('Could not secure the scanned face data. Please log in again and rescan your ID.');
+      return;
+    }
     setExtractedDocumentData(ocrData);
     navigate("/face-authentication");
   };
@@ -248,6 +283,8 @@ function App() {
     if (user && result) {
       setAuthenticatedUser(user);
       setAuthenticationResult(result);
+      // The face template has served its purpose
+      setSealedFaceTemplate(null);
       
       // Save the extracted document data to database
       if (result.documentData && currentUser) {
@@ -274,11 +311,19 @@ function App() {
             dlNumber: result.documentData.dlNumber || null,
             issueDate: result.documentData.issueDate || null,
             validity: result.documentData.validity || null,
+            // How the live face matched the ID (scores only, no biometrics)
+            faceAuthentication: result.faceMatch ? {
+              ...result.faceMatch,
+              livenessChallenges: result.liveness?.challenges || [],
+              padScore: result.presentationAttack?.score ?? null,
+              authenticatedAt: new Date().toISOString()
+            } : null,
             uploadedAt: new Date().toISOString()
           };
           
-          // Store in database
-          await documentDB.storeDocument(currentUser.username, documentToStore);
+          // Store in database, encrypted with the user's key
+          const keyContext = await getActiveKeyContext();
+          await documentDB.storeDocument(currentUser.username, documentToStore, keyContext);
           console.log('Document data saved successfully to database');
         } catch (error) {
           console.error('Error saving document data to database:', error);
@@ -293,8 +338,8 @@ function App() {
   // Helper to check admin auth
   const isAdmin = localStorage.getItem('isAdmin') === 'true';
 
-  // Loading and Error States
-  if (loadingError || hashVerificationError) {
+  // Model errors; the face routes show their own loading state
+  if ((loadingError || hashVerificationError) && FACE_ROUTES.includes(pathname)) {
     return (
       <Container maxWidth="lg">
         <Box sx={{ my: 4, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', minHeight: '100vh', padding: '20px' }}>
@@ -309,22 +354,6 @@ function App() {
     );
   }
 
-  if (!modelsLoaded) {
-    return (
-      <Container maxWidth="lg">
-        <Box sx={{ my: 4, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', minHeight: '100vh', padding: '20px' }}>
-          <CircularProgress />
-          <Typography variant="h6" sx={{ mt: 2 }}>
-            Loading Face Recognition Models...
-          </Typography>
-          <Typography variant="body2" sx={{ mt: 1, color: 'text.secondary', textAlign: 'center' }}>
-            This might take a moment depending on your connection.
-          </Typography>
-        </Box>
-      </Container>
-    );
-  }
-
   return (
     <ThemeProvider theme={theme}>
       <CssBaseline />
@@ -387,8 +416,7 @@ function App() {
                     <ProtectedRoute isAuthenticated={isAuthenticated}>
                       <FaceAuthentication
                         onAuthenticated={handleAuthenticated}
-                        scannedIdFaceDescriptor={scannedIdFaceDescriptor}
-                        scannedIdFaceImage={scannedIdFaceImage}
+                        sealedFaceTemplate={sealedFaceTemplate}
                         extractedDocumentData={extractedDocumentData}
                         modelsLoaded={modelsLoaded}
                         loadingError={loadingError}
@@ -1,5 +1,5 @@
-import React, { useState, useEffect, ErrorBoundary } from 'react';
-import { useTheme } from '@mui/material';
+import { useState, useEffect, ErrorBoundary } from 'react';
+import { useTheme } from '@mui/material';
 import { Box, Typography, useTheme as muiUseTheme, Card, CardContent, Button, Grid, Dialog, DialogTitle, DialogContent, DialogActions, Chip, TextField, Alert, Divider, CircularProgress, Select, MenuItem } from '@mui/material';
 import { parseQRData } from '../utils/qrParser';
 import VerifiedUserIcon from '@mui/icons-material/VerifiedUser';
@@ -12,42 +12,33 @@ import CancelIcon from '@mui/icons-material/Cancel';
 import QrScanner from 'react-qr-scanner';
 import { useNavigate } from 'react-router-dom';
 import { submissionStore } from '../utils/submissionStore';
+import {
+  getReviewerKeyring,
+  createReviewerKey,
+  unlockReviewerKeys,
+  rewrapReviewerKeys,
+  areReviewerKeysUnlocked,
+  lockReviewerKeys,
+} from '../utils/reviewerKeys';
+import { rotateSubmissionKeys, retireUnusedReviewerKeys } from '../utils/keyRotation';
+import { unlockBlindIndexKey, rewrapBlindIndexKey, lockBlindIndexKey } from '../utils/blindIndex';
+import { unlockAdminIssuerKey, getAdminSigner, rewrapAdminIssuerKey, clearSigners, jwkThumbprint, isPinnedAdminKey } from '../utils/issuerKeys';
+import { issueSelectiveDisclosure, presentSelectiveDisclosure } from '../utils/qrSigning';
+import { verifyQRCode, recordQRVerification, isQRRejection, rejectionTitle } from '../utils/qrStatus';
+import { eraseUser, downloadErasureReceipt, ERASURE_REQUESTERS } from '../utils/userErasure';
+import { loadMatchThreshold, saveMatchThreshold, MIN_MATCH_THRESHOLD, MAX_MATCH_THRESHOLD } from '../utils/faceMatching';
+import { loadStepUpWindow, saveStepUpWindow, MIN_STEP_UP_WINDOW_SECONDS, MAX_STEP_UP_WINDOW_SECONDS } from '../utils/stepUp';
+import { issueIdentityCredential } from '../utils/verifiableCredential';
+import { verifyAdminPassword } from '../utils/adminAuth';
 import { maskSensitiveData } from '../utils/encryption';
+import { VIEWER_ROLES } from '../utils/fieldPolicy';
+import { computeAgePredicates, agePredicateClaim, AGE_PREDICATE_THRESHOLDS } from '../utils/documentUtils';
+import { encodeCompactQR } from '../utils/qrCompact';
 import firebaseService from '../utils/firebaseService';
+import QRScannerErrorBoundary from './QRScannerErrorBoundary';
 
-// Simple Error Boundary for QR Scanner
-class QRScannerErrorBoundary extends React.Component {
-  constructor(props) {
-    super(props);
-    this.state = { hasError: false, error: null };
-  }
-
-  static getDerivedStateFromError(error) {
-    return { hasError: true, error };
-  }
-
-  componentDidCatch(error, errorInfo) {
-    console.error('QR Scanner Error Boundary caught an error:', error, errorInfo);
-  }
-
-  render() {
-    if (this.state.hasError) {
-      return (
-        <Alert severity="error" sx={{ mb: 2 }}>
-          QR Scanner failed to load. Please use manual input below.
-          <Typography variant="body2" sx={{ mt: 1 }}>
-            Error: {this.state.error?.message || 'Unknown error'}
-          </Typography>
-        </Alert>
-      );
-    }
-
-    return this.props.children;
-  }
-}
-
-const AdminDashboard = () => {
-  const theme = useTheme();
+const AdminDashboard = () => {
+  const theme = useTheme();
   const isDark = theme.palette.mode === 'dark';
   const [submissions, setSubmissions] = useState([]);
   const [selected, setSelected] = useState(null);
@@ -67,10 +58,44 @@ const AdminDashboard = () => {
   // Admin list usability
   const [search, setSearch] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
+  // Reviewer private key (submissions are unreadable until it is unlocked)
+  const [reviewerUnlocked, setReviewerUnlocked] = useState(areReviewerKeysUnlocked());
+  const [reviewerKeyExists, setReviewerKeyExists] = useState(true);
+  const [unlockPassword, setUnlockPassword] = useState('');
+  const [unlockError, setUnlockError] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  // Reviewer key rotation
+  const [rotationPassword, setRotationPassword] = useState('');
+  const [rotating, setRotating] = useState(false);
+  const [rotationProgress, setRotationProgress] = useState(null);
+  const [rotationReport, setRotationReport] = useState(null);
+  const [rotationError, setRotationError] = useState('');
+  // User erasure
+  const [eraseUsername, setEraseUsername] = useState('');
+  const [erasing, setErasing] = useState(false);
+  const [erasureReceipt, setErasureReceipt] = useState(null);
+  const [erasureError, setErasureError] = useState('');
+  // Face match threshold
+  const [matchThreshold, setMatchThreshold] = useState('');
+  const [thresholdNotice, setThresholdNotice] = useState(null); // { severity, message }
+
+  // Step-up remember window
+  const [stepUpWindow, setStepUpWindow] = useState('');
+  const [stepUpNotice, setStepUpNotice] = useState(null); // { severity, message }
+  const [credentialNotice, setCredentialNotice] = useState(null);
+  // Thumbprint of the issuer key, and whether this build pins it
+  const [issuerPin, setIssuerPin] = useState(null); // { thumbprint, pinned }
   const navigate = useNavigate();
 
-  // Load submissions from store on component mount
+  // Check whether a reviewer key exists yet
   useEffect(() => {
+    getReviewerKeyring().then(keyring => setReviewerKeyExists(!!keyring));
+  }, []);
+
+  // Load submissions from store once the reviewer key is unlocked
+  useEffect(() => {
+    if (!reviewerUnlocked) return undefined;
+
     const loadSubmissions = async () => {
       try {
         const storeSubmissions = await submissionStore.getSubmissions();
@@ -91,16 +116,63 @@ const AdminDashboard = () => {
 
     // Cleanup subscription on unmount
     return unsubscribe;
-  }, []);
+  }, [reviewerUnlocked]);
+
+  // Verifiers only trust the issuer key once its thumbprint is pinned in the build
+  useEffect(() => {
+    const signer = reviewerUnlocked && getAdminSigner();
+    if (!signer) return;
+    Promise.all([jwkThumbprint(signer.publicKey), isPinnedAdminKey(signer.publicKey)])
+      .then(([thumbprint, pinned]) => setIssuerPin({ thumbprint, pinned }));
+  }, [reviewerUnlocked]);
+
+  const handleUnlockReviewerKey = async () => {
+    setUnlockError('');
+    setUnlocking(true);
+    try {
+      // Keys are wrapped under the admin password, so check it first
+      if (!(await verifyAdminPassword(unlockPassword))) {
+        throw new Error('Invalid admin password');
+      }
+      // The issuer key signs the reviewer keyring and test QR codes
+      await unlockAdminIssuerKey(unlockPassword);
+      await unlockBlindIndexKey(unlockPassword);
+      if (reviewerKeyExists) {
+        await unlockReviewerKeys(unlockPassword);
+      } else {
+        await createReviewerKey(unlockPassword);
+        setReviewerKeyExists(true);
+      }
+      setUnlockPassword('');
+      setReviewerUnlocked(true);
+    } catch (error) {
+      console.error('Error unlocking reviewer key:', error);
+      setUnlockError(error.message || 'Failed to unlock reviewer key');
+    } finally {
+      setUnlocking(false);
+    }
+  };
 
   const handleView = (submission) => {
     setSelected(submission);
     setDialogOpen(true);
   };
 
+  // Mark a submission verified and issue the user's verifiable credential
+  const markVerified = async (submission) => {
+    await submissionStore.updateSubmissionStatus(submission.id, 'verified');
+    try {
+      const credential = await issueIdentityCredential(submission);
+      setCredentialNotice({ severity: 'success', message: `Credential issued to ${submission.username} (${credential.id})` });
+    } catch (error) {
+      console.error('Error issuing credential:', error);
+      setCredentialNotice({ severity: 'warning', message: `Verified, but no credential was issued: ${error.message}` });
+    }
+  };
+
   const handleVerify = () => {
     if (selected) {
-      submissionStore.updateSubmissionStatus(selected.id, 'verified');
+      markVerified(selected);
       setDialogOpen(false);
     }
   };
@@ -113,6 +185,9 @@ const AdminDashboard = () => {
   };
 
   const handleLogout = () => {
+    lockReviewerKeys();
+    lockBlindIndexKey();
+    clearSigners();
     localStorage.removeItem('isAdmin');
     navigate('/admin-login');
   };
@@ -121,6 +196,93 @@ const AdminDashboard = () => {
     setPwDialogOpen(true);
     setNewPassword('');
     setPwError('');
+    setRotationPassword('');
+    setRotationError('');
+    setRotationReport(null);
+    setRotationProgress(null);
+    setEraseUsername('');
+    setErasureReceipt(null);
+    setErasureError('');
+    setThresholdNotice(null);
+    loadMatchThreshold().then(threshold => setMatchThreshold(String(threshold)));
+    setStepUpNotice(null);
+    loadStepUpWindow().then(seconds => setStepUpWindow(String(seconds)));
+  };
+
+  const handleSaveThreshold = async () => {
+    try {
+      await saveMatchThreshold(Number(matchThreshold));
+      setThresholdNotice({ severity: 'success', message: 'Threshold saved. It applies to the next face authentication.' });
+    } catch (error) {
+      console.error('Error saving face match threshold:', error);
+      setThresholdNotice({ severity: 'error', message: error.message || 'Failed to save the threshold.' });
+    }
+  };
+
+  const handleSaveStepUpWindow = async () => {
+    try {
+      await saveStepUpWindow(Number(stepUpWindow));
+      setStepUpNotice({ severity: 'success', message: 'Window saved. It applies to the next sensitive action.' });
+    } catch (error) {
+      console.error('Error saving step-up window:', error);
+      setStepUpNotice({ severity: 'error', message: error.message || 'Failed to save the window.' });
+    }
+  };
+
+  const handleEraseUser = async () => {
+    if (!window.confirm(`Erase every record of "${eraseUsername}"? This cannot be undone.`)) return;
+
+    setErasing(true);
+    setErasureError('');
+    setErasureReceipt(null);
+    try {
+      const receipt = await eraseUser(eraseUsername.trim(), { requestedBy: ERASURE_REQUESTERS.ADMIN });
+      setErasureReceipt(receipt);
+      setEraseUsername('');
+      setSubmissions(await submissionStore.getSubmissions());
+    } catch (error) {
+      console.error('Error erasing user:', error);
+      setErasureError(error.message || 'Erasure failed');
+    } finally {
+      setErasing(false);
+    }
+  };
+
+  // Re-seal every submission to the active reviewer key. The job id is derived
+  // from the active key, so running this again resumes an interrupted job.
+  const resealSubmissions = async () => {
+    const report = await rotateSubmissionKeys({
+      onProgress: ({ processed, total }) => setRotationProgress({ processed, total }),
+    });
+
+    // Old keys are only retired once nothing sealed to them is left
+    const keyring = await getReviewerKeyring();
+    const { inUse } = await retireUnusedReviewerKeys(keyring.keys.map(entry => entry.kid));
+    setRotationReport({ ...report, keysInUse: inUse });
+
+    setSubmissions(await submissionStore.getSubmissions());
+  };
+
+  const handleRotateReviewerKey = async (createNewKey) => {
+    setRotationError('');
+    setRotationReport(null);
+    setRotationProgress(null);
+    setRotating(true);
+    try {
+      if (createNewKey) {
+        if (!(await verifyAdminPassword(rotationPassword))) {
+          throw new Error('Invalid admin password');
+        }
+        await createReviewerKey(rotationPassword);
+        setRotationPassword('');
+      }
+      await resealSubmissions();
+    } catch (error) {
+      console.error('Error rotating reviewer key:', error);
+      setRotationError(error.message || 'Key rotation failed');
+    } finally {
+      setRotating(false);
+    }
   };
 
   const handleChangePassword = async () => {
@@ -130,6 +292,10 @@ const AdminDashboard = () => {
     }
     
     try {
+      // The reviewer private keys are wrapped under the admin password
+      await rewrapReviewerKeys(newPassword);
+      await rewrapAdminIssuerKey(newPassword);
+      await rewrapBlindIndexKey(newPassword);
       await firebaseService.setSetting('adminPassword', newPassword);
       setPwDialogOpen(false);
       alert('Password changed!');
@@ -154,77 +320,78 @@ const AdminDashboard = () => {
     }, 10000); // 10 seconds timeout
   };
 
-  const validateQRData = (qrData) => {
+  const validateQRData = async (qrData) => {
     try {
       console.log('Raw QR data received:', qrData);
 
-      // Robust parse using utility
-      const parsedData = parseQRData(qrData);
+      // Robust parse using utility, then check the issuer signature and the
+      // revocation status before trusting anything in the payload
+      let verified;
+      try {
+        verified = await verifyQRCode(await parseQRData(qrData));
+      } catch (error) {
+        if (!isQRRejection(error)) throw error;
+        console.error('QR code rejected:', error);
+        return {
+          isValid: false,
+          submission: null,
+          scannedData: null,
+          signatureFailure: rejectionTitle(error),
+          message: `${error.message} Do not trust the information in this QR code.`
+        };
+      }
 
+      const { payload: parsedData, disclosed } = verified;
       console.log('Final parsed QR data:', parsedData);
       console.log('Available submissions:', submissions);
 
-      // Find matching submission by comparing key attributes
-      const matchingSubmission = submissions.find(submission => {
-        // Check multiple attributes for validation (case-insensitive for name)
-        const nameMatch = submission.name.toLowerCase().trim() === parsedData.name?.toLowerCase().trim();
-        const dobMatch = submission.dob === parsedData.dob || 
-                        (submission.dob === 'N/A' && !parsedData.dob) ||
-                        (submission.dob === 'Not found' && !parsedData.dob) ||
-                        (!parsedData.dob && (submission.dob === 'N/A' || submission.dob === 'Not found'));
-        const aadhaarMatch = submission.aadhaar === parsedData.aadhaar;
-        const mobileMatch = submission.mobile === parsedData.mobile;
-        const usernameMatch = submission.username === parsedData.username;
-        
-        console.log('Checking submission:', submission.name);
-        console.log('Name match:', nameMatch, `"${submission.name}" vs "${parsedData.name}"`);
-        console.log('DOB match:', dobMatch, `"${submission.dob}" vs "${parsedData.dob}"`);
-        console.log('Aadhaar match:', aadhaarMatch, `"${submission.aadhaar}" vs "${parsedData.aadhaar}"`);
-        console.log('Mobile match:', mobileMatch, `"${submission.mobile}" vs "${parsedData.mobile}"`);
-        console.log('Username match:', usernameMatch, `"${submission.username}" vs "${parsedData.username}"`);
-        
-        // Consider it a match if at least 3 out of 5 key attributes match
-        const matchCount = [nameMatch, dobMatch, aadhaarMatch, mobileMatch, usernameMatch].filter(Boolean).length;
-        console.log('Match count:', matchCount);
-        return matchCount >= 3;
-      });
+      // The signature ties the QR code to its subject, so the submission is found by username
+      const matchingSubmission = submissions.find(submission => submission.username === parsedData.sub);
 
       if (matchingSubmission) {
-        // Check if the QR code is not too old (e.g., valid for 24 hours)
-        const verifiedAt = new Date(parsedData.verifiedAt);
-        const now = new Date();
-        const hoursDiff = (now - verifiedAt) / (1000 * 60 * 60);
-        const isExpired = hoursDiff > 24; // QR valid for 24 hours
-
-        if (isExpired) {
-          return {
-            isValid: false,
-            submission: matchingSubmission,
-            scannedData: parsedData,
-            message: 'QR code has expired. Please generate a new QR code for verification.',
-            attributeVerification: null
-          };
-        }
+        // Expiry (exp/nbf) was already enforced by verifyQRCode
 
-        // Check if the data in QR matches the submission data exactly
-        const nameValid = parsedData.name?.toLowerCase().trim() === matchingSubmission.name.toLowerCase().trim();
+        // Only the disclosed attributes can be compared; the others stay hidden
         const dobValid = parsedData.dob === matchingSubmission.dob ||
-                        (matchingSubmission.dob === 'N/A' && !parsedData.dob) ||
-                        (matchingSubmission.dob === 'Not found' && !parsedData.dob) ||
                         (!parsedData.dob && (matchingSubmission.dob === 'N/A' || matchingSubmission.dob === 'Not found'));
-        const aadhaarValid = parsedData.aadhaar === matchingSubmission.aadhaar;
-        const mobileValid = parsedData.mobile === matchingSubmission.mobile;
-        const usernameValid = parsedData.username === matchingSubmission.username;
-
-        const isDataValid = nameValid && dobValid && aadhaarValid && mobileValid && usernameValid;
-
-        console.log('Data validation breakdown:');
-        console.log('Name valid:', nameValid);
-        console.log('DOB valid:', dobValid);
-        console.log('Aadhaar valid:', aadhaarValid);
-        console.log('Mobile valid:', mobileValid);
-        console.log('Username valid:', usernameValid);
+        const attributeChecks = {
+          name: { claim: 'name', verified: parsedData.name?.toLowerCase().trim() === matchingSubmission.name?.toLowerCase().trim() },
+          mobile: { claim: 'mobile', verified: parsedData.mobile === matchingSubmission.mobile },
+          aadhaar: { claim: 'aadhaar', verified: parsedData.aadhaar === matchingSubmission.aadhaar },
+          address: { claim: 'address', verified: parsedData.address === matchingSubmission.address }
+        };
+
+        const attributeVerification = {};
+        Object.entries(attributeChecks).forEach(([attribute, { claim, verified }]) => {
+          attributeVerification[attribute] = {
+            verified,
+            scanned: parsedData[claim],
+            stored: matchingSubmission[claim],
+            requested: disclosed.includes(claim)
+          };
+        });
+
+        // Age is proven with predicates (age_over_18, ...); recompute them from
+        // the stored DOB as of the date the credential was issued
+        const storedPredicates = computeAgePredicates(matchingSubmission.dob, new Date(parsedData.verifiedAt));
+        const ageClaims = AGE_PREDICATE_THRESHOLDS.map(agePredicateClaim).filter(claim => disclosed.includes(claim));
+        attributeVerification.age = {
+          verified: (!disclosed.includes('dob') || dobValid) &&
+            ageClaims.every(claim => parsedData[claim] === storedPredicates[claim]),
+          scanned: ageClaims.map(claim => `${claim}: ${parsedData[claim]}`).join(', ') || parsedData.dob,
+          stored: ageClaims.map(claim => `${claim}: ${storedPredicates[claim]}`).join(', ') || matchingSubmission.dob,
+          requested: disclosed.includes('dob') || ageClaims.length > 0
+        };
+
+        const isDataValid = Object.values(attributeVerification)
+          .filter(details => details.requested)
+          .every(details => details.verified);
+
+        console.log('Disclosed attributes:', disclosed);
         console.log('Overall data validation result:', isDataValid);
+        if (isDataValid) {
+          await recordQRVerification(verified, 'Secure Digital Wallet admin');
+        }
 
         return {
           isValid: isDataValid,
@@ -233,38 +400,7 @@ const AdminDashboard = () => {
           message: isDataValid
             ? 'QR code data matches the submission records. User identity verified!'
             : 'QR code found matching user but some data discrepancies detected.',
-          attributeVerification: {
-            name: {
-              verified: nameValid,
-              scanned: parsedData.name,
-              stored: matchingSubmission.name,
-              requested: parsedData.verificationRequested?.name || false
-            },
-            age: {
-              verified: dobValid,
-              scanned: parsedData.dob,
-              stored: matchingSubmission.dob,
-              requested: parsedData.verificationRequested?.age || false
-            },
-            mobile: {
-              verified: mobileValid,
-              scanned: parsedData.mobile,
-              stored: matchingSubmission.mobile,
-              requested: parsedData.verificationRequested?.mobile || false
-            },
-            aadhaar: {
-              verified: aadhaarValid,
-              scanned: parsedData.aadhaar,
-              stored: matchingSubmission.aadhaar,
-              requested: parsedData.verificationRequested?.aadhaar || false
-            },
-            address: {
-              verified: parsedData.address === matchingSubmission.address,
-              scanned: parsedData.address,
-              stored: matchingSubmission.address,
-              requested: parsedData.verificationRequested?.address || false
-            }
-          }
+          attributeVerification
         };
       } else {
         return {
@@ -296,7 +432,7 @@ const AdminDashboard = () => {
     }
   };
 
-  const handleQRScan = (data) => {
+  const handleQRScan = async (data) => {
     if (!data) return;
 
     console.log('QR scan data received:', data);
@@ -316,13 +452,13 @@ const AdminDashboard = () => {
     // Store raw for debugging (stringify objects)
     setRawQrData(typeof data === 'string' ? data : JSON.stringify(data));
 
-    const validationResult = validateQRData(content);
+    const validationResult = await validateQRData(content);
     setQrValidationResult(validationResult);
     setScannedData(validationResult.scannedData);
     
     // If valid, automatically update the submission status
     if (validationResult.isValid && validationResult.submission) {
-      submissionStore.updateSubmissionStatus(validationResult.submission.id, 'verified');
+      await markVerified(validationResult.submission);
       console.log('Submission status updated to verified for:', validationResult.submission.name);
     }
   };
@@ -359,7 +495,7 @@ const AdminDashboard = () => {
   };
 
   // Add test submission for demo purposes
-  const addTestSubmission = () => {
+  const addTestSubmission = async () => {
     const testData = {
       username: 'user1',
       name: 'Vijaykumar Selvan Shenbaga',
@@ -369,14 +505,35 @@ const AdminDashboard = () => {
       aadhaar: '370710869406'
     };
     
-    submissionStore.addSubmission(testData);
+    await submissionStore.addSubmission(testData);
     console.log('Test submission added:', testData);
-    console.log('Current submissions after adding:', submissionStore.getSubmissions());
     alert('Test submission added! You can now test QR scanning.');
   };
 
+  // Test QR codes are credentials issued with the admin issuer key and presented
+  // with that same key in place of the user's wallet key, valid for 5 minutes
+  const buildTestQRString = async (submission, claims, disclose) => {
+    const signer = getAdminSigner();
+    const iat = Math.floor(Date.now() / 1000);
+    const sdJwt = await issueSelectiveDisclosure({
+      sub: submission.username,
+      docType: 'Document Verification',
+      verifiedAt: new Date(iat * 1000).toISOString(),
+      iat,
+      exp: iat + 5 * 60
+    }, claims, signer, signer);
+    const sd = await presentSelectiveDisclosure(sdJwt, disclose, {
+      jti: `test-${iat}`,
+      iat,
+      nbf: iat,
+      exp: iat + 5 * 60,
+      single_use: false
+    }, signer);
+    return `${window.location.origin}/qr-verification?data=${encodeURIComponent(await encodeCompactQR(sd))}`;
+  };
+
   // Test function to simulate QR scanning with demo data
-  const handleTestQRScan = () => {
+  const handleTestQRScan = async () => {
     // Get the first pending submission for testing
     const testSubmission = submissions.find(s => s.status === 'pending');
     
@@ -385,35 +542,25 @@ const AdminDashboard = () => {
       return;
     }
 
-    // Create test QR data that matches the submission
-    const testQRData = {
-      docType: 'Document Verification',
-      verifiedAt: new Date().toISOString(),
-      username: testSubmission.username,
+    // Create test QR data that matches the submission, disclosing every attribute
+    const testClaims = {
       name: testSubmission.name,
       dob: testSubmission.dob,
       mobile: testSubmission.mobile,
       aadhaar: testSubmission.aadhaar,
       address: testSubmission.address,
-      verificationRequested: {
-        name: true,
-        age: true,
-        address: true,
-        mobile: true,
-        aadhaar: true
-      }
+      ...computeAgePredicates(testSubmission.dob)
     };
     
     // Simulate the URL format that would be in a real QR code
-    const testQRString = `${window.location.origin}/qr-verification?data=${encodeURIComponent(JSON.stringify(testQRData))}`;
+    const testQRString = await buildTestQRString(testSubmission, testClaims, Object.keys(testClaims));
     console.log('Testing with QR URL:', testQRString);
-    console.log('Test QR Data:', testQRData);
     console.log('Should match submission:', testSubmission);
     handleQRScan(testQRString);
   };
 
   // Test function with mismatched data
-  const handleTestQRScanMismatch = () => {
+  const handleTestQRScanMismatch = async () => {
     const testSubmission = submissions.find(s => s.status === 'pending');
     
     if (!testSubmission) {
@@ -422,30 +569,23 @@ const AdminDashboard = () => {
     }
 
     // Create test QR data with some mismatched information
-    const testQRData = {
-      docType: 'Document Verification',
-      verifiedAt: new Date().toISOString(),
-      username: testSubmission.username,
+    const testClaims = {
       name: testSubmission.name, // This will match
       dob: testSubmission.dob, // This will match
       mobile: '9999999999', // This will NOT match
       aadhaar: '999999999999', // This will NOT match
       address: testSubmission.address, // This will match
-      verificationRequested: {
-        name: true,
-        age: true,
-        mobile: true, // Only these 3 attributes are requested
-        // address and aadhaar are not requested, so won't be shown
-      }
+      ...computeAgePredicates(testSubmission.dob)
     };
-    
-    const testQRString = `${window.location.origin}/qr-verification?data=${encodeURIComponent(JSON.stringify(testQRData))}`;
+
+    // Only these 3 attributes are disclosed; address and aadhaar stay hidden
+    const testQRString = await buildTestQRString(testSubmission, testClaims, ['name', agePredicateClaim(18), 'mobile']);
     console.log('Testing MISMATCH with QR URL:', testQRString);
     handleQRScan(testQRString);
   };
 
   // Test function with only age verification requested
-  const handleTestAgeOnly = () => {
+  const handleTestAgeOnly = async () => {
     const testSubmission = submissions.find(s => s.status === 'pending');
     
     if (!testSubmission) {
@@ -453,22 +593,17 @@ const AdminDashboard = () => {
       return;
     }
 
-    // Create test QR data requesting only age verification
-    const testQRData = {
-      docType: 'Document Verification',
-      verifiedAt: new Date().toISOString(),
-      username: testSubmission.username,
+    // Create test QR data disclosing only the age_over_18 predicate
+    const testClaims = {
       name: testSubmission.name,
       dob: testSubmission.dob,
       mobile: testSubmission.mobile,
       aadhaar: testSubmission.aadhaar,
       address: testSubmission.address,
-      verificationRequested: {
-        age: true // Only age is requested for verification
-      }
+      ...computeAgePredicates(testSubmission.dob)
     };
     
-    const testQRString = `${window.location.origin}/qr-verification?data=${encodeURIComponent(JSON.stringify(testQRData))}`;
+    const testQRString = await buildTestQRString(testSubmission, testClaims, [agePredicateClaim(18)]);
     console.log('Testing AGE ONLY with QR URL:', testQRString);
     handleQRScan(testQRString);
   };
@@ -539,6 +674,19 @@ const AdminDashboard = () => {
           />
         </Box>
 
+        {credentialNotice && (
+          <Alert severity={credentialNotice.severity} onClose={() => setCredentialNotice(null)} sx={{ mb: 2 }}>
+            {credentialNotice.message}
+          </Alert>
+        )}
+
+        {issuerPin && !issuerPin.pinned && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            This build does not pin the issuer key, so verifiers reject the credentials and QR codes it issues.
+            Set VITE_ADMIN_ISSUER_KEYS={issuerPin.thumbprint} and rebuild.
+          </Alert>
+        )}
+
         {/* Simple filters */}
         <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center', alignItems: 'center', mb: 2, flexWrap: 'wrap' }}>
           <TextField
@@ -720,7 +868,7 @@ const AdminDashboard = () => {
                 {/* Header with Name and Status */}
                 <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
                   <Typography variant="h6" sx={{ fontWeight: 600, flex: 1, mr: 1 }}>
-                    {showSensitiveData ? submission.name : maskSensitiveData(submission.name, 'name')}
+                    {showSensitiveData ? submission.name : maskSensitiveData(submission.name, 'name', VIEWER_ROLES.ADMIN)}
                   </Typography>
                   <Chip
                     label={submission.status.toUpperCase()}
@@ -746,23 +894,23 @@ const AdminDashboard = () => {
                   <Box sx={{ display: 'grid', gap: 0.5 }}>
                     <Typography variant="body2" sx={{ display: 'flex', alignItems: 'center' }}>
                       <strong>DOB:</strong>&nbsp;
-                      {showSensitiveData ? submission.dob : (submission.dob !== 'N/A' ? '****' : 'N/A')}
+                      {showSensitiveData ? submission.dob : maskSensitiveData(submission.dob, 'dob', VIEWER_ROLES.ADMIN)}
                     </Typography>
                     
                     <Typography variant="body2" sx={{ display: 'flex', alignItems: 'center' }}>
                       <strong>Mobile:</strong>&nbsp;
-                      {showSensitiveData ? submission.mobile : maskSensitiveData(submission.mobile, 'mobile')}
+                      {showSensitiveData ? submission.mobile : maskSensitiveData(submission.mobile, 'mobile', VIEWER_ROLES.ADMIN)}
                     </Typography>
                     
                     <Typography variant="body2" sx={{ display: 'flex', alignItems: 'center' }}>
                       <strong>Aadhaar:</strong>&nbsp;
-                      {showSensitiveData ? submission.aadhaar : maskSensitiveData(submission.aadhaar, 'aadhaar')}
+                      {showSensitiveData ? submission.aadhaar : maskSensitiveData(submission.aadhaar, 'aadhaar', VIEWER_ROLES.ADMIN)}
                     </Typography>
                     
                     <Typography variant="body2" sx={{ display: 'flex', alignItems: 'flex-start' }}>
                       <strong>Address:</strong>&nbsp;
                       <span style={{ wordBreak: 'break-word' }}>
-                        {showSensitiveData ? submission.address : maskSensitiveData(submission.address, 'address')}
+                        {showSensitiveData ? submission.address : maskSensitiveData(submission.address, 'address', VIEWER_ROLES.ADMIN)}
                       </span>
                     </Typography>
                   </Box>
@@ -830,6 +978,35 @@ const AdminDashboard = () => {
         </DialogActions>
       </Dialog>
 
+      {/* Unlock Reviewer Key Dialog */}
+      <Dialog open={!reviewerUnlocked} maxWidth="xs" fullWidth>
+        <DialogTitle>{reviewerKeyExists ? 'Unlock Reviewer Key' : 'Create Reviewer Key'}</DialogTitle>
+        <DialogContent>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            {reviewerKeyExists
+              ? 'Submissions are encrypted to the reviewer key. Enter the admin password to unlock it for this session.'
+              : 'No reviewer key exists yet. Enter the admin password to create one; users can submit documents once it exists.'}
+          </Typography>
+          <TextField
+            label="Admin Password"
+            type="password"
+            fullWidth
+            margin="normal"
+            value={unlockPassword}
+            onChange={e => setUnlockPassword(e.target.value)}
+            onKeyDown={e => e.key === 'Enter' && handleUnlockReviewerKey()}
+            error={!!unlockError}
+            helperText={unlockError}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleLogout}>Logout</Button>
+          <Button onClick={handleUnlockReviewerKey} variant="contained" disabled={!unlockPassword || unlocking}>
+            {unlocking ? <CircularProgress size={20} /> : (reviewerKeyExists ? 'Unlock' : 'Create Key')}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       {/* Change Password Dialog */}
       <Dialog open={pwDialogOpen} onClose={() => setPwDialogOpen(false)} maxWidth="xs" fullWidth>
         <DialogTitle>Change Admin Password</DialogTitle>
@@ -844,6 +1021,127 @@ const AdminDashboard = () => {
             error={!!pwError}
             helperText={pwError}
           />
+
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>Rotate Reviewer Key</Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Creates a new reviewer key and re-seals every submission to it. Records that cannot be decrypted are left untouched and listed below.
+          </Typography>
+          <TextField
+            label="Admin Password"
+            type="password"
+            fullWidth
+            margin="dense"
+            value={rotationPassword}
+            onChange={e => setRotationPassword(e.target.value)}
+            disabled={rotating}
+          />
+          {rotationError && <Alert severity="error" sx={{ mt: 1 }}>{rotationError}</Alert>}
+          {rotating && rotationProgress && (
+            <Typography variant="body2" sx={{ mt: 1 }}>
+              Re-sealing {rotationProgress.processed} / {rotationProgress.total}...
+            </Typography>
+          )}
+          {rotationReport && (
+            <Alert severity={rotationReport.failures.length ? 'warning' : 'success'} sx={{ mt: 1 }}>
+              {rotationReport.rotated} re-sealed, {rotationReport.skipped} already current, {rotationReport.failures.length} failed
+              {rotationReport.failures.map(failure => (
+                <Typography key={failure.id} variant="caption" display="block">
+                  {failure.id}: {failure.reason}
+                </Typography>
+              ))}
+              {rotationReport.keysInUse.length > 0 && (
+                <Typography variant="caption" display="block">
+                  Kept, still sealing submissions: {rotationReport.keysInUse.join(', ')}
+                </Typography>
+              )}
+            </Alert>
+          )}
+          <Box sx={{ display: 'flex', gap: 1, mt: 1 }}>
+            <Button
+              variant="outlined"
+              onClick={() => handleRotateReviewerKey(true)}
+              disabled={!rotationPassword || rotating}
+            >
+              {rotating ? <CircularProgress size={20} /> : 'Rotate Key'}
+            </Button>
+            <Button onClick={() => handleRotateReviewerKey(false)} disabled={rotating}>
+              Resume Re-sealing
+            </Button>
+          </Box>
+
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>Face Match Threshold</Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Largest median distance between the live face and the ID face that still counts as a match. Lower is stricter.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <TextField
+              label="Threshold"
+              type="number"
+              margin="dense"
+              value={matchThreshold}
+              onChange={e => setMatchThreshold(e.target.value)}
+              inputProps={{ min: MIN_MATCH_THRESHOLD, max: MAX_MATCH_THRESHOLD, step: 0.01 }}
+            />
+            <Button variant="outlined" onClick={handleSaveThreshold} disabled={!matchThreshold}>
+              Save Threshold
+            </Button>
+          </Box>
+          {thresholdNotice && <Alert severity={thresholdNotice.severity} sx={{ mt: 1 }}>{thresholdNotice.message}</Alert>}
+
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>Step-up Window</Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            How long a user&apos;s face or password confirmation covers further QR codes, uploads and account deletion. 0 asks every time.
+          </Typography>
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+            <TextField
+              label="Seconds"
+              type="number"
+              margin="dense"
+              value={stepUpWindow}
+              onChange={e => setStepUpWindow(e.target.value)}
+              inputProps={{ min: MIN_STEP_UP_WINDOW_SECONDS, max: MAX_STEP_UP_WINDOW_SECONDS, step: 30 }}
+            />
+            <Button variant="outlined" onClick={handleSaveStepUpWindow} disabled={stepUpWindow === ''}>
+              Save Window
+            </Button>
+          </Box>
+          {stepUpNotice && <Alert severity={stepUpNotice.severity} sx={{ mt: 1 }}>{stepUpNotice.message}</Alert>}
+
+          <Divider sx={{ my: 2 }} />
+          <Typography variant="subtitle1" sx={{ fontWeight: 600 }}>Erase User</Typography>
+          <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+            Destroys the keys of a user and deletes their account, documents and submissions.
+          </Typography>
+          <TextField
+            label="Username"
+            fullWidth
+            margin="dense"
+            value={eraseUsername}
+            onChange={e => setEraseUsername(e.target.value)}
+            disabled={erasing}
+          />
+          {erasureError && <Alert severity="error" sx={{ mt: 1 }}>{erasureError}</Alert>}
+          {erasureReceipt && (
+            <Alert
+              severity="success"
+              sx={{ mt: 1 }}
+              action={<Button size="small" onClick={() => downloadErasureReceipt(erasureReceipt)}>Receipt</Button>}
+            >
+              {erasureReceipt.username} erased: {erasureReceipt.deleted.documents} documents, {erasureReceipt.deleted.submissions} submissions
+            </Alert>
+          )}
+          <Button
+            variant="outlined"
+            color="error"
+            sx={{ mt: 1 }}
+            onClick={handleEraseUser}
+            disabled={!eraseUsername.trim() || erasing}
+          >
+            {erasing ? <CircularProgress size={20} /> : 'Erase User'}
+          </Button>
         </DialogContent>
         <DialogActions>
           <Button onClick={() => setPwDialogOpen(false)}>Cancel</Button>
@@ -1004,6 +1302,11 @@ const AdminDashboard = () => {
                 icon={qrValidationResult.isValid ? <CheckCircleIcon /> : <CancelIcon />}
                 sx={{ mb: 2 }}
               >
+                {qrValidationResult.signatureFailure && (
+                  <Typography variant="subtitle1" sx={{ fontWeight: 700 }}>
+                    {qrValidationResult.signatureFailure}
+                  </Typography>
+                )}
                 {qrValidationResult.message}
               </Alert>
 
@@ -1108,4 +1411,4 @@ const AdminDashboard = () => {
   );
 };
 
-export default AdminDashboard;
+export default AdminDashboard;
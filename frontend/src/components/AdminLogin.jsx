@@ -1,12 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Box, Paper, Typography, TextField, Button, Alert, CircularProgress, useTheme } from '@mui/material';
 import { useNavigate } from 'react-router-dom';
-import firebaseService from '../utils/firebaseService';
-
-const ADMIN_CREDENTIALS = {
-  username: 'admin',
-  password: 'admin123',
-};
+import { ADMIN_CREDENTIALS, verifyAdminPassword } from '../utils/adminAuth';
 
 const AdminLogin = () => {
   const theme = useTheme();
@@ -23,10 +18,8 @@ const AdminLogin = () => {
     setLoading(true);
     
     try {
-      // Get stored password from Firebase
-      const storedPassword = await firebaseService.getSetting('adminPassword') || ADMIN_CREDENTIALS.password;
-      
-      if (username === ADMIN_CREDENTIALS.username && password === storedPassword) {
+      // Check against the stored password from Firebase
+      if (username === ADMIN_CREDENTIALS.username && await verifyAdminPassword(password)) {
         localStorage.setItem('isAdmin', 'true');
         navigate('/admin');
       } else {
@@ -6,11 +6,23 @@ import {
   Typography,
   Paper,
   Link,
+  Divider,
   useTheme,
 } from '@mui/material';
+import FaceIcon from '@mui/icons-material/Face';
 import { useNavigate } from 'react-router-dom';
 import { AuthContext } from './AuthContext';
 import firebaseService from '../utils/firebaseService';
+import {
+  createUserKeyMaterial,
+  hasKeyMaterial,
+  unlockUserKey,
+  setActiveKeyContext,
+} from '../utils/keyManagement';
+import { rotateDocumentKeys, rotateUserDataKey } from '../utils/keyRotation';
+import { getFaceLoginEnrollment, openFaceLoginTemplate, unlockWithFaceLogin } from '../utils/faceLogin';
+import { useFaceCheck } from './useFaceCheck';
+import { recordStepUp, STEP_UP_METHODS } from '../utils/stepUp';
 
 const AuthPage = () => {
   const theme = useTheme();
@@ -20,6 +32,7 @@ const AuthPage = () => {
   const [error, setError] = useState('');
   const navigate = useNavigate();
   const { login } = useContext(AuthContext); // Get the login function from context
+  const { requestFaceCheck, faceCheckDialog } = useFaceCheck();
 
   const isDark = theme.palette.mode === 'dark';
   const modernColors = {
@@ -35,6 +48,57 @@ const AuthPage = () => {
     textSecondary: theme.palette.text.secondary,
   };
 
+  // Shared by password and face login once the data key is unlocked
+  const completeLogin = async (keyContext, method) => {
+    // Re-encrypt documents still stored in a legacy format; never blocks login
+    try {
+      await rotateDocumentKeys({ username, fromContext: keyContext, toContext: keyContext });
+    } catch (rotationError) {
+      console.error('Document key migration failed:', rotationError);
+    }
+
+    // Login successful
+    await setActiveKeyContext(keyContext);
+    login(username);
+    // Logging in confirms the user is present, as a step-up would
+    recordStepUp(username, method);
+    localStorage.setItem('token', 'firebase-auth-token'); // Dummy token for compatibility
+    localStorage.setItem('currentUser', username);
+    navigate('/scan-id');
+  };
+
+  const handleFaceLogin = async () => {
+    setError('');
+    if (!username) {
+      setError('Enter your username first.');
+      return;
+    }
+
+    try {
+      const existingUser = await firebaseService.getUser(username);
+      const enrollment = existingUser && await getFaceLoginEnrollment(existingUser);
+      if (!enrollment) {
+        setError('Face login is not set up for this account in this browser. Please log in with your password.');
+        return;
+      }
+
+      const verification = await requestFaceCheck({
+        title: 'Log in with your face',
+        message: `Logging in as ${username}. Follow the prompts on the camera view.`,
+        openReference: () => openFaceLoginTemplate(enrollment),
+      });
+      if (!verification) {
+        setError('Face login did not succeed. Please log in with your password.');
+        return;
+      }
+
+      await completeLogin(await unlockWithFaceLogin(enrollment), STEP_UP_METHODS.FACE);
+    } catch (err) {
+      console.error('Face login error:', err);
+      setError(`${err.message || 'Face login failed.'} Please log in with your password.`);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -49,17 +113,32 @@ const AuthPage = () => {
           return;
         }
 
-        // Simple password check (in production, use proper hashing)
-        if (existingUser.password !== password) {
-          setError('Invalid password');
-          return;
+        let keyContext;
+        if (hasKeyMaterial(existingUser)) {
+          // Unwrapping the data key doubles as the password check
+          try {
+            keyContext = await unlockUserKey(existingUser, password);
+          } catch {
+            setError('Invalid password');
+            return;
+          }
+          // Finish a data key replacement that stopped half way
+          if (existingUser.pendingKeyRecord) {
+            const { keyContext: rotatedKeyContext } = await rotateUserDataKey({ username, password });
+            keyContext = rotatedKeyContext || keyContext;
+          }
+        } else {
+          // Legacy account: plaintext password, migrate it to wrapped key material
+          if (existingUser.password !== password) {
+            setError('Invalid password');
+            return;
+          }
+          const { keyRecord, keyContext: newKeyContext } = await createUserKeyMaterial(username, password);
+          await firebaseService.saveUser(username, { ...keyRecord, password: null });
+          keyContext = newKeyContext;
         }
 
-        // Login successful
-        login(username);
-        localStorage.setItem('token', 'firebase-auth-token'); // Dummy token for compatibility
-        localStorage.setItem('currentUser', username);
-        navigate('/scan-id');
+        await completeLogin(keyContext, STEP_UP_METHODS.PASSWORD);
       } else {
         // Register - check if user already exists
         const existingUser = await firebaseService.getUser(username);
@@ -69,15 +148,18 @@ const AuthPage = () => {
           return;
         }
 
-        // Create new user
+        // Create new user - only the wrapped data key is stored, never the password
+        const { keyRecord, keyContext } = await createUserKeyMaterial(username, password);
         await firebaseService.createUser({
           username,
-          password, // In production, hash this!
+          ...keyRecord,
           createdAt: new Date().toISOString(),
         });
 
         // Auto-login after registration
+        await setActiveKeyContext(keyContext);
         login(username);
+        recordStepUp(username, STEP_UP_METHODS.PASSWORD);
         localStorage.setItem('token', 'firebase-auth-token');
         localStorage.setItem('currentUser', username);
         navigate('/scan-id');
@@ -195,6 +277,30 @@ const AuthPage = () => {
           </Button>
         </form>
 
+        {isLogin && (
+          <>
+            <Divider sx={{ my: 3, color: modernColors.textSecondary }}>or</Divider>
+            <Button
+              variant="outlined"
+              fullWidth
+              size="large"
+              startIcon={<FaceIcon />}
+              onClick={handleFaceLogin}
+              sx={{
+                py: 1.5,
+                borderRadius: '12px',
+                textTransform: 'none',
+                fontWeight: 600,
+                borderColor: modernColors.primary,
+                color: modernColors.primary,
+              }}
+            >
+              Log in with your face
+            </Button>
+          </>
+        )}
+        {faceCheckDialog}
+
         <Typography variant="body2" sx={{ mt: 3, color: modernColors.textSecondary }}>
           {isLogin ? "Don't have an account? " : "Already have an account? "}
           <Link
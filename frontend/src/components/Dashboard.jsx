@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useRef } from 'react';
 import {
   Box,
   Paper,
@@ -20,7 +20,9 @@ import {
   List,
   ListItem,
   ListItemText,
-  ListItemIcon
+  ListItemIcon,
+  TextField,
+  MenuItem
 } from '@mui/material';
 import {
   UploadFile,
@@ -30,19 +32,50 @@ import {
   VerifiedUser,
   Add,
   GppGood,
-  ErrorOutline
+  ErrorOutline,
+  DeleteForever,
+  Block,
+  ContentCopy,
+  Download,
+  QrCodeScanner,
+  PhotoLibrary,
+  Face,
+  VpnKey
 } from '@mui/icons-material';
 import { keyframes } from '@emotion/react';
+import QrScanner from 'react-qr-scanner';
 import { AuthContext } from './AuthContext';
+import QRScannerErrorBoundary from './QRScannerErrorBoundary';
 import {
   processDocumentImage,
   generateCustomVerificationQR,
+  AGE_PREDICATE_THRESHOLDS,
+  QR_VALIDITY_PRESETS,
   calculateAge,
   hasUserDocument,
   getUserDocument,
 
 } from '../utils/documentUtils';
 import { submissionStore } from '../utils/submissionStore';
+import { getActiveKeyContext, setActiveKeyContext } from '../utils/keyManagement';
+import { rotateUserDataKey } from '../utils/keyRotation';
+import { getWalletSigner } from '../utils/issuerKeys';
+import { listQRCodes, revokeQRCode, QR_STATUS } from '../utils/qrStatus';
+import { maskSensitiveData } from '../utils/encryption';
+import { VIEWER_ROLES } from '../utils/fieldPolicy';
+import { eraseUser, downloadErasureReceipt } from '../utils/userErasure';
+import { isFaceLoginEnrolled, disableFaceLogin } from '../utils/faceLogin';
+import { useStepUp } from './useStepUp';
+import { listIdentityCredentials, downloadCredential, getQRCredential } from '../utils/verifiableCredential';
+import { parseQRData } from '../utils/qrParser';
+import { listSharingHistory, downloadConsentReceipt, SHARING_EVENTS } from '../utils/sharingHistory';
+import { decodeQRImage } from '../utils/qrImageDecoder';
+import {
+  validatePresentationRequest,
+  describeClaim,
+  PresentationRequestError,
+  RESPONSE_VALIDITY_SECONDS,
+} from '../utils/presentationRequest';
 
 // Animation for a modern feel
 const fadeIn = keyframes`
@@ -56,21 +89,72 @@ const fadeIn = keyframes`
   }
 `;
 
+// Remaining time as h:mm:ss or m:ss
+const formatCountdown = (ms) => {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+};
+
 const Dashboard = () => {
-  const { currentUser } = useContext(AuthContext);
+  const { currentUser, logout } = useContext(AuthContext);
+  const { requireStepUp, stepUpDialog } = useStepUp();
   const [hasDocument, setHasDocument] = useState(false);
   const [documentData, setDocumentData] = useState(null);
   const [uploadDialogOpen, setUploadDialogOpen] = useState(false);
   const [qrDialogOpen, setQrDialogOpen] = useState(false);
   const [addressDialogOpen, setAddressDialogOpen] = useState(false);
   const [qrCode, setQrCode] = useState('');
+  const [qrLink, setQrLink] = useState('');
   const [loading, setLoading] = useState(true); // Start loading until check is complete
   const [error, setError] = useState('');
+  const [eraseDialogOpen, setEraseDialogOpen] = useState(false);
+  const [erasing, setErasing] = useState(false);
   const [selectedAttributes, setSelectedAttributes] = useState({
     name: false,
     age: false,
     address: false,
   });
+  const [ageThreshold, setAgeThreshold] = useState(AGE_PREDICATE_THRESHOLDS[0]);
+  const [singleUse, setSingleUse] = useState(false);
+  const [qrJti, setQrJti] = useState(null);
+  const [validityChoice, setValidityChoice] = useState(QR_VALIDITY_PRESETS[1].seconds);
+  const [customMinutes, setCustomMinutes] = useState(30);
+  const [qrExpiresAt, setQrExpiresAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
+  const [issuedQRCodes, setIssuedQRCodes] = useState([]);
+  const [credentials, setCredentials] = useState([]);
+  const [qrAudience, setQrAudience] = useState(null);
+  const [requestDialogOpen, setRequestDialogOpen] = useState(false);
+  const [incomingRequest, setIncomingRequest] = useState(null);
+  const [requestError, setRequestError] = useState('');
+  const requestScanHandled = useRef(false);
+  const [sharingHistory, setSharingHistory] = useState([]);
+  const [faceLoginEnrolled, setFaceLoginEnrolled] = useState(false);
+  const [keyRotationDialogOpen, setKeyRotationDialogOpen] = useState(false);
+  const [keyRotationPassword, setKeyRotationPassword] = useState('');
+  const [keyRotationError, setKeyRotationError] = useState('');
+  const [rotatingKey, setRotatingKey] = useState(false);
+
+  const refreshQRCodes = async () => {
+    if (!currentUser) return;
+    try {
+      setIssuedQRCodes(await listQRCodes(currentUser.username));
+    } catch (err) {
+      console.error('Error loading QR codes:', err);
+    }
+  };
+
+  const refreshSharingHistory = async () => {
+    if (!currentUser) return;
+    try {
+      setSharingHistory(await listSharingHistory(currentUser.username));
+    } catch (err) {
+      console.error('Error loading sharing history:', err);
+    }
+  };
 
   useEffect(() => {
     const loadDocument = async () => {
@@ -78,7 +162,8 @@ const Dashboard = () => {
         setLoading(true);
         const hasDoc = await hasUserDocument(currentUser.username);
         if (hasDoc) {
-          const docData = await getUserDocument(currentUser.username);
+          const keyContext = await getActiveKeyContext();
+          const docData = await getUserDocument(currentUser.username, keyContext);
           setDocumentData(docData);
           setHasDocument(true);
         }
@@ -87,7 +172,94 @@ const Dashboard = () => {
     };
     loadDocument();
   }, [currentUser]);
+
+  // Tick the expiry countdown while the QR dialog is open
+  useEffect(() => {
+    if (!qrDialogOpen || !qrExpiresAt) return undefined;
+    setNow(Date.now());
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [qrDialogOpen, qrExpiresAt]);
+
+  // Load the QR codes issued to this user
+  useEffect(() => {
+    if (!currentUser) return;
+    listQRCodes(currentUser.username)
+      .then(setIssuedQRCodes)
+      .catch(err => console.error('Error loading QR codes:', err));
+  }, [currentUser]);
+
+  // Load what this user shared and who verified it
+  useEffect(() => {
+    if (!currentUser) return;
+    listSharingHistory(currentUser.username)
+      .then(setSharingHistory)
+      .catch(err => console.error('Error loading sharing history:', err));
+  }, [currentUser]);
+
+  // Check whether this user can log in with their face in this browser
+  useEffect(() => {
+    if (!currentUser) return;
+    isFaceLoginEnrolled(currentUser.username)
+      .then(setFaceLoginEnrolled)
+      .catch(err => console.error('Error checking face login:', err));
+  }, [currentUser]);
+
+  // Load the credentials issued once an admin verified this user
+  useEffect(() => {
+    if (!currentUser) return;
+    getActiveKeyContext()
+      .then(keyContext => (keyContext ? listIdentityCredentials(keyContext) : []))
+      .then(setCredentials)
+      .catch(err => console.error('Error loading credentials:', err));
+  }, [currentUser]);
   
+  const handleDisableFaceLogin = async () => {
+    try {
+      await disableFaceLogin(currentUser.username);
+      setFaceLoginEnrolled(false);
+    } catch (err) {
+      console.error('Error turning off face login:', err);
+      setError('Failed to turn off face login. Please try again.');
+    }
+  };
+
+  const closeKeyRotationDialog = () => {
+    setKeyRotationDialogOpen(false);
+    setKeyRotationPassword('');
+    setKeyRotationError('');
+  };
+
+  // Moves documents and key copies to a new data key, e.g. when the old one may have leaked
+  const handleRotateDataKey = async () => {
+    setRotatingKey(true);
+    setKeyRotationError('');
+    try {
+      const { report, keyContext } = await rotateUserDataKey({
+        username: currentUser.username,
+        password: keyRotationPassword,
+      });
+      if (!keyContext) {
+        setKeyRotationError(`${report.failures.length} document(s) could not be re-encrypted. Your old key is still in use; try again later.`);
+        return;
+      }
+      await setActiveKeyContext(keyContext);
+      setFaceLoginEnrolled(false);
+      closeKeyRotationDialog();
+      alert('Your encryption key has been replaced. Face login was turned off; set it up again from the login page.');
+    } catch (err) {
+      console.error('Error replacing data key:', err);
+      setKeyRotationError(err.message === 'Invalid password' ? 'Incorrect password.' : `Failed to replace your key: ${err.message}`);
+    } finally {
+      setRotatingKey(false);
+    }
+  };
+
+  const handleOpenUpload = async () => {
+    if (!(await requireStepUp('upload a document'))) return;
+    setUploadDialogOpen(true);
+  };
+
   const handleFileUpload = async (event) => {
     const file = event.target.files[0];
     if (!file) return;
@@ -108,7 +280,10 @@ const Dashboard = () => {
       console.log('📤 [STEP 2] Submitting to admin queue...');
       console.log('📤 [STEP 2] Data to submit:', processedData);
       
-      await submissionStore.addSubmission(processedData);
+      // The admin binds the QR credential it issues to this wallet key
+      const keyContext = await getActiveKeyContext();
+      const { kid, publicKey } = await getWalletSigner(keyContext);
+      await submissionStore.addSubmission({ ...processedData, walletKey: { kid, publicKey } }, keyContext);
       
       console.log('✅ [STEP 2 COMPLETE] Submission saved to Firebase successfully');
       
@@ -119,7 +294,7 @@ const Dashboard = () => {
       console.log('✅ [UPLOAD COMPLETE] Document processed and added to admin submissions');
       
       setTimeout(() => {
-        alert('Document uploaded successfully! Your data has been encrypted and submitted to an admin for verification. You can now generate QR codes.');
+        alert('Document uploaded successfully! Your data has been encrypted and submitted to an admin for verification. You can generate QR codes once it is verified.');
       }, 500);
     } catch (err) {
       console.error('❌ [UPLOAD FAILED] Error details:', {
@@ -135,6 +310,25 @@ const Dashboard = () => {
     }
   };
 
+  const handleEraseAccount = async () => {
+    if (!(await requireStepUp('delete your account'))) return;
+    setErasing(true);
+    setError('');
+    try {
+      const receipt = await eraseUser(currentUser.username);
+      downloadErasureReceipt(receipt);
+      setEraseDialogOpen(false);
+      alert('Your account and all of its data have been deleted. A deletion receipt has been downloaded.');
+      logout();
+    } catch (err) {
+      console.error('Error erasing account:', err);
+      setError(`Failed to delete account: ${err.message}`);
+      setEraseDialogOpen(false);
+    } finally {
+      setErasing(false);
+    }
+  };
+
   const handleAttributeChange = (attribute) => {
     setSelectedAttributes((prev) => ({
       ...prev,
@@ -148,20 +342,110 @@ const Dashboard = () => {
       setError('Please select at least one attribute to generate a QR code.');
       return;
     }
+    if (!(await requireStepUp('generate a QR code'))) return;
     setError('');
     setLoading(true);
 
     try {
-      const qrCodeDataURL = await generateCustomVerificationQR(documentData, selectedAttributes);
+      const keyContext = await getActiveKeyContext();
+      const signer = await getWalletSigner(keyContext);
+      const validitySeconds = validityChoice === 'custom' ? Math.round(Number(customMinutes) * 60) : validityChoice;
+      const { qrCodeDataURL, verificationUrl, jti, expiresAt } = await generateCustomVerificationQR(await getQRCredential(keyContext), selectedAttributes, signer, { ageThreshold, singleUse, validitySeconds });
       setQrCode(qrCodeDataURL);
+      setQrLink(verificationUrl);
+      setQrJti(jti);
+      setQrExpiresAt(expiresAt);
+      setQrAudience(null);
       setQrDialogOpen(true);
+      refreshQRCodes();
+      refreshSharingHistory();
     } catch (err) {
-      setError('Failed to generate QR code.');
+      setError(err.message || 'Failed to generate QR code.');
     } finally {
       setLoading(false);
     }
   };
 
+  const openRequestDialog = () => {
+    setIncomingRequest(null);
+    setRequestError('');
+    requestScanHandled.current = false;
+    setRequestDialogOpen(true);
+  };
+
+  // A verifier's request QR code, scanned or read from a picture
+  const handleRequestText = async (text) => {
+    try {
+      setIncomingRequest(validatePresentationRequest(await parseQRData(text)));
+      setRequestError('');
+    } catch (err) {
+      console.error('Invalid presentation request:', err);
+      setRequestError(err instanceof PresentationRequestError ? err.message : 'This is not a verifier request QR code.');
+      requestScanHandled.current = false;
+    }
+  };
+
+  // The scanner keeps firing while the code stays in view
+  const handleRequestScan = (data) => {
+    const content = typeof data === 'string' ? data : (data?.text ?? data?.data ?? '');
+    if (!content || requestScanHandled.current) return;
+    requestScanHandled.current = true;
+    handleRequestText(content);
+  };
+
+  const handleRequestImage = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      await handleRequestText(await decodeQRImage(file));
+    } catch (err) {
+      setRequestError(err.message);
+    }
+  };
+
+  // Consent given: a single-use response disclosing exactly what was requested
+  const respondToRequest = async () => {
+    if (!(await requireStepUp('answer this request'))) return;
+    setLoading(true);
+    try {
+      // The request may have expired while the consent screen was open
+      validatePresentationRequest(incomingRequest);
+      const keyContext = await getActiveKeyContext();
+      const signer = await getWalletSigner(keyContext);
+      const { qrCodeDataURL, verificationUrl, jti, expiresAt } = await generateCustomVerificationQR(await getQRCredential(keyContext), {}, signer, {
+        request: incomingRequest,
+        singleUse: true,
+        validitySeconds: RESPONSE_VALIDITY_SECONDS,
+      });
+      setQrCode(qrCodeDataURL);
+      setQrLink(verificationUrl);
+      setQrJti(jti);
+      setQrExpiresAt(expiresAt);
+      setQrAudience(incomingRequest.verifier);
+      setRequestDialogOpen(false);
+      setQrDialogOpen(true);
+      refreshQRCodes();
+      refreshSharingHistory();
+    } catch (err) {
+      setRequestError(err.message || 'Failed to answer the request.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevokeQR = async (jti) => {
+    try {
+      await revokeQRCode(jti, currentUser.username);
+      if (jti === qrJti) {
+        setQrDialogOpen(false);
+      }
+      await refreshQRCodes();
+    } catch (err) {
+      setError(err.message || 'Failed to revoke QR code.');
+    }
+  };
+
   const cardStyles = {
     p: { xs: 2, sm: 4 },
     borderRadius: '24px',
@@ -213,7 +497,7 @@ const Dashboard = () => {
                 variant="contained"
                 size="large"
                 startIcon={<UploadFile />}
-                onClick={() => setUploadDialogOpen(true)}
+                onClick={handleOpenUpload}
                 sx={{ borderRadius: '16px', px: 4, py: 1.5, textTransform: 'none', fontSize: '1rem' }}
               >
                 Upload Document
@@ -260,6 +544,49 @@ const Dashboard = () => {
                       />
                     ))}
                   </FormGroup>
+                  {selectedAttributes.age && (
+                    <TextField
+                      select
+                      size="small"
+                      label="Prove that I am over"
+                      value={ageThreshold}
+                      onChange={(e) => setAgeThreshold(e.target.value)}
+                      helperText="Only a yes/no answer is shared, never your date of birth."
+                    >
+                      {AGE_PREDICATE_THRESHOLDS.map((threshold) => (
+                        <MenuItem key={threshold} value={threshold}>{threshold} years</MenuItem>
+                      ))}
+                    </TextField>
+                  )}
+                  <Stack direction="row" spacing={2}>
+                    <TextField
+                      select
+                      size="small"
+                      label="Valid for"
+                      value={validityChoice}
+                      onChange={(e) => setValidityChoice(e.target.value)}
+                      sx={{ minWidth: 140 }}
+                    >
+                      {QR_VALIDITY_PRESETS.map((preset) => (
+                        <MenuItem key={preset.seconds} value={preset.seconds}>{preset.label}</MenuItem>
+                      ))}
+                      <MenuItem value="custom">Custom</MenuItem>
+                    </TextField>
+                    {validityChoice === 'custom' && (
+                      <TextField
+                        type="number"
+                        size="small"
+                        label="Minutes"
+                        value={customMinutes}
+                        onChange={(e) => setCustomMinutes(e.target.value)}
+                        inputProps={{ min: 1 }}
+                      />
+                    )}
+                  </Stack>
+                  <FormControlLabel
+                    control={<Checkbox checked={singleUse} onChange={() => setSingleUse(!singleUse)} />}
+                    label="Single-use (a verifier can accept it only once)"
+                  />
                   <Button
                     variant="contained"
                     size="large"
@@ -270,6 +597,14 @@ const Dashboard = () => {
                   >
                     {loading ? <CircularProgress size={24} color="inherit" /> : 'Generate QR'}
                   </Button>
+                  <Button
+                    variant="outlined"
+                    startIcon={<QrCodeScanner />}
+                    onClick={openRequestDialog}
+                    sx={{ borderRadius: '12px', textTransform: 'none' }}
+                  >
+                    Answer a verifier&apos;s request
+                  </Button>
                 </Stack>
               </Grid>
 
@@ -299,7 +634,209 @@ const Dashboard = () => {
         )}
       </Paper>
 
+      {/* Verifiable credential */}
+      {credentials.length > 0 && (
+        <Paper sx={{ ...cardStyles, mt: 3 }}>
+          <Typography variant="h6" component="h3" sx={{ fontWeight: 600 }}>Verified Credential</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Your identity was verified by {credentials[0].issuer.name} on {new Date(credentials[0].issuanceDate).toLocaleDateString()}.
+            Download it as a W3C Verifiable Credential to share with partners.
+          </Typography>
+          <Stack direction="row" spacing={2} alignItems="center" sx={{ mt: 2 }}>
+            <Button variant="contained" startIcon={<Download />} onClick={() => downloadCredential(credentials[0])}>
+              Download Credential
+            </Button>
+            <Typography variant="caption" color="text.secondary">
+              Valid until {new Date(credentials[0].expirationDate).toLocaleDateString()}
+            </Typography>
+          </Stack>
+        </Paper>
+      )}
+
+      {/* Issued QR codes */}
+      {issuedQRCodes.length > 0 && (
+        <Paper sx={{ ...cardStyles, mt: 3 }}>
+          <Typography variant="h6" component="h3" sx={{ fontWeight: 600 }}>My QR Codes</Typography>
+          <Typography variant="body2" color="text.secondary">
+            Revoke a QR code to stop verifiers from accepting it.
+          </Typography>
+          <List>
+            {issuedQRCodes.map((record) => {
+              const status = record.status === QR_STATUS.ACTIVE && new Date(record.expiresAt).getTime() <= Date.now()
+                ? 'expired'
+                : record.status;
+              return (
+                <ListItem
+                  key={record.jti}
+                  divider
+                  secondaryAction={status === QR_STATUS.ACTIVE && (
+                    <Button size="small" color="error" startIcon={<Block />} onClick={() => handleRevokeQR(record.jti)}>
+                      Revoke
+                    </Button>
+                  )}
+                >
+                  <ListItemText
+                    primary={`Shares: ${(record.disclosed || []).join(', ') || 'nothing'}`}
+                    secondary={record.issuedAt ? `Issued ${new Date(record.issuedAt).toLocaleString()}` : null}
+                  />
+                  <Stack direction="row" spacing={1} sx={{ mr: 12 }}>
+                    {record.singleUse && <Chip label="Single-use" size="small" variant="outlined" />}
+                    <Chip
+                      label={status}
+                      size="small"
+                      color={status === QR_STATUS.ACTIVE ? 'success' : 'default'}
+                    />
+                  </Stack>
+                </ListItem>
+              );
+            })}
+          </List>
+        </Paper>
+      )}
+
+      {/* Sharing history */}
+      {sharingHistory.length > 0 && (
+        <Paper sx={{ ...cardStyles, mt: 3 }}>
+          <Typography variant="h6" component="h3" sx={{ fontWeight: 600 }}>Sharing History</Typography>
+          <Typography variant="body2" color="text.secondary">
+            What you shared, when, and who verified it. Download a consent receipt for any entry.
+          </Typography>
+          <List>
+            {sharingHistory.map((event) => (
+              <ListItem
+                key={event.eventId}
+                divider
+                secondaryAction={
+                  <Button size="small" startIcon={<Download />} onClick={() => downloadConsentReceipt(event)}>
+                    Receipt
+                  </Button>
+                }
+              >
+                <ListItemIcon>
+                  {event.type === SHARING_EVENTS.VERIFIED ? <VerifiedUser color="success" /> : <QrCode2 color="primary" />}
+                </ListItemIcon>
+                <ListItemText
+                  primary={event.type === SHARING_EVENTS.VERIFIED
+                    ? `Verified by ${event.verifier || 'an unnamed verifier'}`
+                    : `Shared with ${event.verifier || 'any verifier'}`}
+                  secondary={`${(event.disclosed || []).join(', ') || 'nothing'} · ${new Date(event.at).toLocaleString()}`}
+                  sx={{ mr: 12 }}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {/* Face login */}
+      {faceLoginEnrolled && (
+        <Paper sx={{ ...cardStyles, mt: 3 }}>
+          <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems="center" justifyContent="space-between">
+            <Box>
+              <Typography variant="h6" component="h3" sx={{ fontWeight: 600 }}>Face Login</Typography>
+              <Typography variant="body2" color="text.secondary">
+                You can log in with your face in this browser. Your password still works everywhere.
+              </Typography>
+            </Box>
+            <Button
+              variant="outlined"
+              startIcon={<Face />}
+              onClick={handleDisableFaceLogin}
+              sx={{ borderRadius: '12px', textTransform: 'none', flexShrink: 0 }}
+            >
+              Turn off face login
+            </Button>
+          </Stack>
+        </Paper>
+      )}
+
+      {/* Data key rotation */}
+      <Paper sx={{ ...cardStyles, mt: 3 }}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems="center" justifyContent="space-between">
+          <Box>
+            <Typography variant="h6" component="h3" sx={{ fontWeight: 600 }}>Encryption Key</Typography>
+            <Typography variant="body2" color="text.secondary">
+              If you think your encryption key was exposed, replace it. Your documents are re-encrypted with a new key.
+            </Typography>
+          </Box>
+          <Button
+            variant="outlined"
+            startIcon={<VpnKey />}
+            onClick={() => setKeyRotationDialogOpen(true)}
+            sx={{ borderRadius: '12px', textTransform: 'none', flexShrink: 0 }}
+          >
+            Replace my key
+          </Button>
+        </Stack>
+      </Paper>
+
+      {/* Account deletion */}
+      <Paper sx={{ ...cardStyles, mt: 3 }}>
+        <Stack direction={{ xs: 'column', sm: 'row' }} spacing={2} alignItems="center" justifyContent="space-between">
+          <Box>
+            <Typography variant="h6" component="h3" sx={{ fontWeight: 600 }}>Delete Account</Typography>
+            <Typography variant="body2" color="text.secondary">
+              Permanently erase your account, documents and submissions. Your encryption keys are destroyed first, so no copy can be read again.
+            </Typography>
+          </Box>
+          <Button
+            variant="outlined"
+            color="error"
+            startIcon={<DeleteForever />}
+            onClick={() => setEraseDialogOpen(true)}
+            sx={{ borderRadius: '12px', textTransform: 'none', flexShrink: 0 }}
+          >
+            Delete my account
+          </Button>
+        </Stack>
+      </Paper>
+
       {/* Dialogs */}
+      {stepUpDialog}
+      <Dialog open={keyRotationDialogOpen} onClose={() => !rotatingKey && closeKeyRotationDialog()} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ display: 'flex', alignItems: 'center' }}>
+          <VpnKey color="primary" sx={{ mr: 1 }} /> Replace Encryption Key
+        </DialogTitle>
+        <Divider />
+        <DialogContent sx={{ py: 3 }}>
+          <Typography sx={{ mb: 2 }}>
+            Enter your password. A new key is wrapped under it, and face login is turned off in every browser.
+          </Typography>
+          <TextField
+            label="Password"
+            type="password"
+            fullWidth
+            autoFocus
+            value={keyRotationPassword}
+            onChange={(e) => setKeyRotationPassword(e.target.value)}
+          />
+          {keyRotationError && <Alert severity="error" sx={{ mt: 2 }}>{keyRotationError}</Alert>}
+        </DialogContent>
+        <DialogActions sx={{ p: 2 }}>
+          <Button onClick={closeKeyRotationDialog} disabled={rotatingKey}>Cancel</Button>
+          <Button onClick={handleRotateDataKey} variant="contained" disabled={rotatingKey || !keyRotationPassword}>
+            {rotatingKey ? <CircularProgress size={24} color="inherit" /> : 'Replace key'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+      <Dialog open={eraseDialogOpen} onClose={() => !erasing && setEraseDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ display: 'flex', alignItems: 'center' }}>
+          <DeleteForever color="error" sx={{ mr: 1 }} /> Delete Account
+        </DialogTitle>
+        <Divider />
+        <DialogContent sx={{ py: 3 }}>
+          <Typography>
+            This deletes everything stored for <strong>{currentUser?.username}</strong> and cannot be undone. A deletion receipt will be downloaded.
+          </Typography>
+        </DialogContent>
+        <DialogActions sx={{ p: 2 }}>
+          <Button onClick={() => setEraseDialogOpen(false)} disabled={erasing}>Cancel</Button>
+          <Button onClick={handleEraseAccount} color="error" variant="contained" disabled={erasing}>
+            {erasing ? <CircularProgress size={24} color="inherit" /> : 'Delete'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
       <Dialog open={uploadDialogOpen} onClose={() => setUploadDialogOpen(false)} maxWidth="sm" fullWidth>
         <DialogTitle sx={{ display: 'flex', alignItems: 'center' }}>
           <UploadFile sx={{ mr: 1 }} /> Upload Document
@@ -327,14 +864,99 @@ const Dashboard = () => {
         <DialogContent sx={{ py: 3, textAlign: 'center' }}>
           {qrCode && <img src={qrCode} alt="Verification QR Code" style={{ maxWidth: '100%', borderRadius: '16px' }} />}
           <Typography color="text.secondary" sx={{ mt: 2 }}>
-            A verifier can scan this to confirm the attributes you selected.
+            {qrAudience
+              ? `Show this to ${qrAudience}. It answers their request and works once.`
+              : 'A verifier can scan this to confirm the attributes you selected.'}
           </Typography>
+          {qrExpiresAt && (
+            <Chip
+              sx={{ mt: 2 }}
+              color={qrExpiresAt.getTime() > now ? 'primary' : 'error'}
+              label={qrExpiresAt.getTime() > now
+                ? `Expires in ${formatCountdown(qrExpiresAt.getTime() - now)}`
+                : 'Expired. Generate a new QR code.'}
+            />
+          )}
         </DialogContent>
         <DialogActions sx={{ p: 2 }}>
+          {qrJti && (
+            <Button color="error" startIcon={<Block />} onClick={() => handleRevokeQR(qrJti)}>Revoke</Button>
+          )}
+          {qrLink && (
+            <Button startIcon={<ContentCopy />} onClick={() => navigator.clipboard.writeText(qrLink)}>Copy link</Button>
+          )}
           <Button onClick={() => setQrDialogOpen(false)}>Close</Button>
         </DialogActions>
       </Dialog>
       
+      <Dialog open={requestDialogOpen} onClose={() => setRequestDialogOpen(false)} maxWidth="xs" fullWidth>
+        <DialogTitle sx={{ display: 'flex', alignItems: 'center' }}>
+          <QrCodeScanner sx={{ mr: 1 }} /> {incomingRequest ? 'Share with a Verifier?' : 'Scan a Verifier Request'}
+        </DialogTitle>
+        <Divider />
+        <DialogContent sx={{ py: 3 }}>
+          {requestError && (
+            <Alert severity="error" sx={{ mb: 2 }}>{requestError}</Alert>
+          )}
+          {incomingRequest ? (
+            <Stack spacing={2}>
+              <Typography>
+                <strong>{incomingRequest.verifier}</strong> asks you to share:
+              </Typography>
+              <List dense>
+                {incomingRequest.claims.map((claim) => (
+                  <ListItem key={claim}>
+                    <ListItemIcon><VerifiedUser color="primary" /></ListItemIcon>
+                    <ListItemText primary={describeClaim(claim)} />
+                  </ListItem>
+                ))}
+              </List>
+              <Alert severity="info">
+                The verifier typed this name themselves, so check it matches who you are dealing with.
+                Nothing else is shared, and your answer works once within {RESPONSE_VALIDITY_SECONDS / 60} minutes.
+              </Alert>
+            </Stack>
+          ) : (
+            <Stack spacing={2}>
+              <Typography variant="body2" color="text.secondary">
+                Scan the request QR code on the verifier&apos;s screen, or upload a picture of it.
+              </Typography>
+              <QRScannerErrorBoundary>
+                <QrScanner
+                  delay={300}
+                  onError={(err) => setRequestError(err?.message || 'Camera access failed. Please check permissions.')}
+                  onScan={handleRequestScan}
+                  style={{ width: '100%' }}
+                  constraints={{
+                    video: {
+                      facingMode: 'environment',
+                      width: { ideal: 640 },
+                      height: { ideal: 480 }
+                    }
+                  }}
+                />
+              </QRScannerErrorBoundary>
+              <Button variant="outlined" component="label" startIcon={<PhotoLibrary />}>
+                Upload image
+                <input hidden type="file" accept="image/*" onChange={handleRequestImage} />
+              </Button>
+            </Stack>
+          )}
+        </DialogContent>
+        <DialogActions sx={{ p: 2 }}>
+          {incomingRequest ? (
+            <>
+              <Button onClick={() => setRequestDialogOpen(false)}>Decline</Button>
+              <Button variant="contained" onClick={respondToRequest} disabled={loading}>
+                {loading ? <CircularProgress size={24} color="inherit" /> : 'Share'}
+              </Button>
+            </>
+          ) : (
+            <Button onClick={() => setRequestDialogOpen(false)}>Cancel</Button>
+          )}
+        </DialogActions>
+      </Dialog>
+
       <Dialog open={addressDialogOpen} onClose={() => setAddressDialogOpen(false)} maxWidth="sm" fullWidth>
         <DialogTitle sx={{ display: 'flex', alignItems: 'center' }}>
           <LocationOn sx={{ mr: 1 }} /> Document Details
@@ -350,11 +972,21 @@ const Dashboard = () => {
                 <ListItemText primary="Date of Birth" secondary={`${documentData.dob} (${calculateAge(documentData.dob)} years old)`} />
               </ListItem>
                <ListItem>
-                <ListItemText primary="Mobile" secondary={documentData.mobile} />
+                <ListItemText primary="Mobile" secondary={maskSensitiveData(documentData.mobile, 'mobile', VIEWER_ROLES.OWNER)} />
               </ListItem>
                <ListItem>
-                <ListItemText primary="Aadhaar" secondary={documentData.aadhaar} />
+                <ListItemText primary="Aadhaar" secondary={maskSensitiveData(documentData.aadhaar, 'aadhaar', VIEWER_ROLES.OWNER)} />
               </ListItem>
+              {documentData.panNumber && (
+                <ListItem>
+                  <ListItemText primary="PAN" secondary={maskSensitiveData(documentData.panNumber, 'pan', VIEWER_ROLES.OWNER)} />
+                </ListItem>
+              )}
+              {documentData.dlNumber && (
+                <ListItem>
+                  <ListItemText primary="Driving Licence" secondary={maskSensitiveData(documentData.dlNumber, 'dl', VIEWER_ROLES.OWNER)} />
+                </ListItem>
+              )}
               <ListItem>
                 <ListItemText primary="Address" secondary={documentData.address} secondaryTypographyProps={{ style: { whiteSpace: 'pre-line' } }}/>
               </ListItem>
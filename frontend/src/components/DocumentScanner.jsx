@@ -11,6 +11,7 @@ import ErrorIcon from '@mui/icons-material/Error';
 import ReactWebcam from "react-webcam";
 import { styled } from '@mui/material/styles';
 import ocrApiService from './ocrApiService'; // Import the API service
+import { useStepUp } from './useStepUp';
 
 const VisuallyHiddenInput = styled('input')({
   clipPath: 'inset(50%)',
@@ -39,6 +40,7 @@ const DocumentScanner = ({ onFaceScanned, modelsLoaded, loadingError, hashVerifi
 
   const webcamRef = useRef(null);
   const imageRef = useRef(null);
+  const { requireStepUp, stepUpDialog } = useStepUp();
 
   // Check API health on component mount
   useEffect(() => {
@@ -204,7 +206,13 @@ const DocumentScanner = ({ onFaceScanned, modelsLoaded, loadingError, hashVerifi
       if (ocrData) {
         console.log("DocumentScanner: OCR Data prepared for onFaceScanned:", ocrData);
         setScanError(null);
-        
+
+        // Continuing replaces the stored document
+        if (!(await requireStepUp('save this document'))) {
+          setScanError("Confirm it's you to continue with this document.");
+          return;
+        }
+
         // Pass data to parent component
         onFaceScanned(detections.descriptor, faceImage, ocrData);
       }
@@ -488,6 +496,7 @@ const DocumentScanner = ({ onFaceScanned, modelsLoaded, loadingError, hashVerifi
           </Box>
         )}
       </Box>
+      {stepUpDialog}
     </Box>
   );
 };
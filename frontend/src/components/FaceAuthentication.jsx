@@ -1,7 +1,7 @@
 // src/components/FaceAuthentication.jsx
 import React, { useState, useEffect, useRef, useCallback } from "react";
 import * as faceapi from "face-api.js";
-import { Box, Button, Typography, Alert, CircularProgress, Card, CardContent, Divider, Snackbar, useTheme, useMediaQuery } from "@mui/material";
+import { Box, Button, Typography, Alert, CircularProgress, Card, CardContent, Divider, Snackbar, Dialog, DialogTitle, DialogContent, DialogContentText, DialogActions, TextField, useTheme, useMediaQuery } from "@mui/material";
 import CameraAltIcon from "@mui/icons-material/CameraAlt";
 import CheckCircleIcon from "@mui/icons-material/CheckCircle";
 import RemoveRedEyeIcon from "@mui/icons-material/RemoveRedEye";
@@ -16,12 +16,17 @@ import VisibilityOffIcon from "@mui/icons-material/VisibilityOff";
 import VideocamOffIcon from "@mui/icons-material/VideocamOff";
 import VideocamIcon from "@mui/icons-material/Videocam";
 import { motion } from "framer-motion";
+import { getActiveKeyContext } from "../utils/keyManagement";
+import { openFaceTemplate, BiometricExpiredError } from "../utils/biometricVault";
+import { LivenessError } from "../utils/liveness";
+import { verifyLiveFace, FaceMatchError } from "../utils/faceMatching";
+import { enrollFaceLogin, isFaceLoginEnrolled, declineFaceLogin, hasDeclinedFaceLogin, FaceLoginError } from "../utils/faceLogin";
+import { captureFaceFrame, captureStillPixels } from "../utils/faceCapture";
 
 
 const FaceAuthentication = ({
   onAuthenticated,
-  scannedIdFaceDescriptor,
-  scannedIdFaceImage,
+  sealedFaceTemplate, // Sealed ID face descriptor and crop (see biometricVault.js)
   extractedDocumentData, // NEW PROP: Data extracted from document (name, dob, age, address)
   modelsLoaded,
   loadingError,
@@ -36,9 +41,17 @@ const FaceAuthentication = ({
   const [facesStatus, setFacesStatus] = useState("no-face");
   const [isCameraEnabled, setIsCameraEnabled] = useState(true);
   const [comparisonResult, setComparisonResult] = useState(null); // null, 'match', 'no-match'
+  const [livenessPrompt, setLivenessPrompt] = useState(null); // { text, step, total } while challenges run
+  const [matchResult, setMatchResult] = useState(null); // { distance, confidence, frames, threshold } of the last comparison
+  const [faceLoginOffer, setFaceLoginOffer] = useState(null); // { username, descriptors, result } while the user decides
+  const [faceLoginPassword, setFaceLoginPassword] = useState("");
+  const [faceLoginError, setFaceLoginError] = useState("");
+  const [isEnrolling, setIsEnrolling] = useState(false);
 
   const webcamRef = useRef(null);
   const intervalRef = useRef(null);
+  // Liveness and matching read the camera themselves; status polling pauses meanwhile
+  const cameraBusy = useRef(false);
 
   const toggleCamera = () => {
     setIsCameraEnabled(!isCameraEnabled);
@@ -59,60 +72,9 @@ const FaceAuthentication = ({
     checkCameraAccess();
   }, []);
 
-  const analyzeTexture = async (image) => {
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d");
-    canvas.width = image.width;
-    canvas.height = image.height;
-    ctx.drawImage(image, 0, 0);
-
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    const grayscale = new Uint8Array(imageData.width * imageData.height);
-
-    for (let i = 0; i < imageData.data.length; i += 4) {
-      const avg = (imageData.data[i] + imageData.data[i + 1] + imageData.data[i + 2]) / 3;
-      grayscale[i / 4] = avg;
-    }
-
-    const lbpHistogram = new Array(256).fill(0);
-
-    for (let y = 1; y < imageData.height - 1; y++) {
-      for (let x = 1; x < imageData.width - 1; x++) {
-        const centerIdx = y * imageData.width + x;
-        const centerValue = grayscale[centerIdx];
-
-        let binaryPattern = 0;
-        let bitPos = 0;
-
-        for (let dy = -1; dy <= 1; dy++) {
-          for (let dx = -1; dx <= 1; dx++) {
-            if (dx === 0 && dy === 0) continue;
-
-            const neighborIdx = (y + dy) * imageData.width + (x + dx);
-            const neighborValue = grayscale[neighborIdx];
-
-            binaryPattern |= (neighborValue >= centerValue ? 1 : 0) << bitPos;
-            bitPos++;
-          }
-        }
-
-        lbpHistogram[binaryPattern]++;
-      }
-    }
-
-    const totalPixels = (imageData.width - 2) * (imageData.height - 2);
-    const normalizedHist = lbpHistogram.map((count) => count / totalPixels);
-
-    const textureScore = normalizedHist.reduce((sum, p) => {
-      return p > 0 ? sum - p * Math.log2(p) : sum;
-    }, 0);
-
-    return textureScore;
-  };
-
   const handleFaceDetection = useCallback(async () => {
     const videoElement = webcamRef.current?.video;
-    if (!videoElement || !modelsLoaded) return;
+    if (!videoElement || !modelsLoaded || cameraBusy.current) return;
 
     try {
       const detections = await faceapi.detectAllFaces(videoElement).withFaceLandmarks();
@@ -151,87 +113,121 @@ const FaceAuthentication = ({
     };
   }, [isCameraEnabled, modelsLoaded, cameraError, handleFaceDetection]);
 
+  // Hand the result to App; called once the face login offer is answered
+  const completeAuthentication = (result) => {
+    setFaceLoginOffer(null);
+    setFaceLoginPassword("");
+    setFaceLoginError("");
+    onAuthenticated("User", result);
+  };
+
+  const handleEnableFaceLogin = async () => {
+    setIsEnrolling(true);
+    setFaceLoginError("");
+    try {
+      await enrollFaceLogin(faceLoginOffer.descriptors, faceLoginOffer.username, faceLoginPassword);
+      showSnackbar("Face login enabled. Next time you can log in with your face.", "success");
+    } catch (error) {
+      if (error instanceof FaceLoginError) {
+        setFaceLoginError(error.message);
+        return;
+      }
+      console.error("Error enrolling face login:", error);
+      showSnackbar("Face login could not be enabled. You can keep using your password.", "error");
+    } finally {
+      setIsEnrolling(false);
+    }
+    completeAuthentication(faceLoginOffer.result);
+  };
+
+  const handleDeclineFaceLogin = () => {
+    declineFaceLogin(faceLoginOffer.username);
+    completeAuthentication(faceLoginOffer.result);
+  };
+
   const handleAuthentication = async () => {
-    if (!scannedIdFaceDescriptor) {
-      alert("No ID face data available for comparison. Please go back and scan your ID.");
+    if (!sealedFaceTemplate) {
+      showSnackbar("No ID face data available for comparison. Please go back and scan your ID.", "error");
       return;
     }
 
     setIsAuthenticating(true);
     setIsProcessing(true);
     setComparisonResult(null);
+    setMatchResult(null);
 
     try {
-      const videoElement = webcamRef.current?.video;
-      if (!videoElement) {
+      if (!webcamRef.current?.video) {
         throw new Error("Webcam not ready.");
       }
 
-      const liveImageSrc = webcamRef.current.getScreenshot();
-      const liveImg = new Image();
-      liveImg.src = liveImageSrc;
-
-      liveImg.onload = async () => {
-        try {
-          const liveDetections = await faceapi
-            .detectSingleFace(liveImg)
-            .withFaceLandmarks()
-            .withFaceDescriptor();
-
-          if (!liveDetections) {
-            alert("No face detected in live feed. Please ensure your face is clearly visible.");
-            setIsAuthenticating(false);
-            setIsProcessing(false);
-            return;
-          }
-
-          const textureScore = await analyzeTexture(liveImg);
-
-          if (textureScore < 0.8) {
-            alert("Potential spoof detected. Authentication failed.");
-            setIsAuthenticating(false);
-            setIsProcessing(false);
-            return;
-          }
-
-          const faceMatcher = new faceapi.FaceMatcher(scannedIdFaceDescriptor, 0.6);
-          const match = faceMatcher.findBestMatch(liveDetections.descriptor);
-
-          console.log("Comparison result:", match.toString());
-
-          if (match.distance < 0.6) {
-            setComparisonResult('match');
-            // Pass the extracted document data along with authentication result
-            onAuthenticated("User", { 
-              authenticated: true, 
-              description: "Face matched with ID.",
-              documentData: extractedDocumentData
-            });
-            alert("Face authentication successful! Face matched with document.");
-          } else {
-            setComparisonResult('no-match');
-            alert("Face authentication failed. Live face does not match the document face.");
-          }
-
-        } catch (error) {
-          console.error("Authentication/Comparison error:", error);
-          alert("Authentication failed. An error occurred during face comparison. Please try again.");
-          setComparisonResult('no-match');
-        } finally {
-          setIsAuthenticating(false);
-          setIsProcessing(false);
-        }
-      };
-
-      liveImg.onerror = () => {
-        alert("Failed to load live image. Please try again.");
-        setIsAuthenticating(false);
-        setIsProcessing(false);
-      };
+      // Random challenges first, so a photo or a replayed video cannot pass
+      let verification;
+      cameraBusy.current = true;
+      try {
+        verification = await verifyLiveFace({
+          captureFrame: (options) => captureFaceFrame(webcamRef.current?.video, options),
+          captureImage: () => captureStillPixels(webcamRef.current),
+          // The ID descriptor is decrypted only for this comparison
+          openReference: async () => (await openFaceTemplate(sealedFaceTemplate, await getActiveKeyContext())).descriptor,
+          onPrompt: (text, step, total) => setLivenessPrompt({ text, step, total }),
+        });
+      } finally {
+        cameraBusy.current = false;
+        setLivenessPrompt(null);
+      }
 
+      const { match, liveness, presentationAttack } = verification;
+      setMatchResult(match);
+
+      if (match.matched) {
+        setComparisonResult('match');
+        showSnackbar("Face authentication successful! Face matched with document.", "success");
+        // Pass the extracted document data along with authentication result
+        const result = {
+          authenticated: true,
+          description: "Face matched with ID.",
+          documentData: extractedDocumentData,
+          faceMatch: {
+            distance: match.distance,
+            confidence: match.confidence,
+            frames: match.frames,
+            threshold: match.threshold,
+          },
+          liveness: {
+            challenges: liveness.challenges,
+            responses: liveness.responses,
+            durationMs: liveness.durationMs,
+          },
+          presentationAttack: {
+            score: presentationAttack.score,
+            detectors: presentationAttack.results.map(({ name, score }) => ({ name, score })),
+          },
+        };
+
+        // Offer face login once, to users without it in this browser
+        const { username } = await getActiveKeyContext();
+        if (!hasDeclinedFaceLogin(username) && !(await isFaceLoginEnrolled(username))) {
+          setFaceLoginOffer({ username, descriptors: liveness.descriptors, result });
+        } else {
+          completeAuthentication(result);
+        }
+      } else {
+        setComparisonResult('no-match');
+        showSnackbar("Face authentication failed. Live face does not match the document face.", "error");
+      }
     } catch (error) {
-      console.error("Image processing error for live feed:", error);
-      alert("Failed to process live image for authentication. Please try again.");
+      if (error instanceof LivenessError) {
+        console.warn("Liveness check failed:", error.message);
+        showSnackbar(`Liveness check failed: ${error.message} Please try again.`, "error");
+      } else if (error instanceof FaceMatchError || error instanceof BiometricExpiredError) {
+        showSnackbar(error.message, "error");
+      } else {
+        console.error("Authentication/Comparison error:", error);
+        showSnackbar("Authentication failed. An error occurred during face comparison. Please try again.", "error");
+        setComparisonResult('no-match');
+      }
+    } finally {
       setIsAuthenticating(false);
       setIsProcessing(false);
     }
@@ -293,21 +289,12 @@ const FaceAuthentication = ({
               Document Face
             </Typography>
 
-            {scannedIdFaceImage ? (
+            {/* The template stays sealed until handleAuthentication compares it */}
+            {sealedFaceTemplate ? (
               <Box sx={{ textAlign: 'center', mb: 2 }}>
-                <img
-                  src={scannedIdFaceImage}
-                  alt="Scanned ID Face"
-                  style={{ 
-                    maxWidth: "120px", 
-                    maxHeight: "120px", 
-                    borderRadius: "50%", 
-                    border: "3px solid #006FB9",
-                    boxShadow: "0 4px 8px rgba(0,0,0,0.1)"
-                  }}
-                />
+                <PersonIcon sx={{ fontSize: 64, color: "#006FB9" }} />
                 <Typography variant="body2" sx={{ mt: 1, color: "text.secondary" }}>
-                  Face extracted from ID
+                  Face extracted from ID. It stays encrypted and is only opened to compare it with your live face.
                 </Typography>
               </Box>
             ) : (
@@ -507,6 +494,12 @@ const FaceAuthentication = ({
                       <Typography variant="body2">Face Match Failed</Typography>
                     </Box>
                   )}
+                  {matchResult && (
+                    <Typography variant="caption" sx={{ ml: "auto", color: "text.secondary", textAlign: "right" }}>
+                      Distance {matchResult.distance.toFixed(2)} (max {matchResult.threshold})<br />
+                      {Math.round(matchResult.confidence * 100)}% confidence, {matchResult.frames} frames
+                    </Typography>
+                  )}
                 </Box>
               )}
             </Box>
@@ -607,6 +600,27 @@ const FaceAuthentication = ({
                     </Typography>
                   </Box>
                 )}
+                {livenessPrompt && (
+                  <Box
+                    sx={{
+                      position: "absolute",
+                      left: 0,
+                      right: 0,
+                      bottom: 0,
+                      padding: "12px",
+                      textAlign: "center",
+                      color: "#fff",
+                      backgroundColor: "rgba(0, 111, 185, 0.85)",
+                    }}
+                  >
+                    <Typography variant="caption">
+                      Step {livenessPrompt.step} of {livenessPrompt.total}
+                    </Typography>
+                    <Typography variant="h6" sx={{ fontWeight: "bold" }}>
+                      {livenessPrompt.text}
+                    </Typography>
+                  </Box>
+                )}
               </Box>
             )}
 
@@ -636,7 +650,7 @@ const FaceAuthentication = ({
                   facesStatus !== "one-face" ||
                   !isCameraEnabled ||
                   !modelsLoaded ||
-                  !scannedIdFaceDescriptor
+                  !sealedFaceTemplate
                 }
                 startIcon={isAuthenticating ? <CircularProgress size={24} /> : <CameraAltIcon />}
                 sx={{
@@ -650,9 +664,10 @@ const FaceAuthentication = ({
                   },
                 }}
               >
-                {isAuthenticating ? "Authenticating..." :
+                {livenessPrompt ? "Follow the prompt..." :
+                 isAuthenticating ? "Authenticating..." :
                  !modelsLoaded ? "Waiting for models..." :
-                 !scannedIdFaceDescriptor ? "Waiting for ID scan..." :
+                 !sealedFaceTemplate ? "Waiting for ID scan..." :
                  "Compare Faces"}
               </Button>
             </Box>
@@ -710,10 +725,53 @@ const FaceAuthentication = ({
                   Remove masks or sunglasses
                 </Typography>
               </Box>
+              <Box sx={{ display: "flex", alignItems: "center", gap: 1 }}>
+                <PersonIcon sx={{ color: "#006FB9", fontSize: "20px" }} />
+                <Typography variant="body2" sx={{ color: "#333" }}>
+                  Follow the on-screen prompts to blink, turn your head or smile
+                </Typography>
+              </Box>
             </Box>
           </CardContent>
         </Card>
       </Box>
+
+      <Dialog open={!!faceLoginOffer} maxWidth="xs" fullWidth>
+        <DialogTitle>Log in with your face next time?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Your face template is encrypted with a key that never leaves this browser, so face login only works here.
+            Your password keeps working, and you can turn face login off from your dashboard.
+            Enter it once more to enable face login.
+          </DialogContentText>
+          <TextField
+            label="Password"
+            type="password"
+            fullWidth
+            sx={{ mt: 2 }}
+            value={faceLoginPassword}
+            onChange={(e) => setFaceLoginPassword(e.target.value)}
+          />
+          {faceLoginError && <Alert severity="error" sx={{ mt: 2 }}>{faceLoginError}</Alert>}
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={handleDeclineFaceLogin} disabled={isEnrolling}>Not now</Button>
+          <Button onClick={handleEnableFaceLogin} variant="contained" disabled={isEnrolling || !faceLoginPassword}>
+            {isEnrolling ? <CircularProgress size={24} /> : "Enable face login"}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Snackbar
+        open={snackbarOpen}
+        autoHideDuration={6000}
+        onClose={handleSnackbarClose}
+        anchorOrigin={{ vertical: 'bottom', horizontal: isMobile ? 'center' : 'left' }}
+      >
+        <Alert onClose={handleSnackbarClose} severity={snackbarSeverity} sx={{ width: '100%' }}>
+          {snackbarMessage}
+        </Alert>
+      </Snackbar>
     </Box>
   );
 };
@@ -0,0 +1,35 @@
+import React from 'react';
+import { Alert, Typography } from '@mui/material';
+
+// Simple Error Boundary for QR Scanner
+class QRScannerErrorBoundary extends React.Component {
+  constructor(props) {
+    super(props);
+    this.state = { hasError: false, error: null };
+  }
+
+  static getDerivedStateFromError(error) {
+    return { hasError: true, error };
+  }
+
+  componentDidCatch(error, errorInfo) {
+    console.error('QR Scanner Error Boundary caught an error:', error, errorInfo);
+  }
+
+  render() {
+    if (this.state.hasError) {
+      return (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          QR Scanner failed to load. Please use one of the other options below.
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            Error: {this.state.error?.message || 'Unknown error'}
+          </Typography>
+        </Alert>
+      );
+    }
+
+    return this.props.children;
+  }
+}
+
+export default QRScannerErrorBoundary;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Box,
   Card,
@@ -7,8 +7,14 @@ import {
   Chip,
   Grid,
   Alert,
+  Button,
   CircularProgress,
   Divider,
+  TextField,
+  MenuItem,
+  FormGroup,
+  FormControlLabel,
+  Checkbox,
   useTheme
 } from '@mui/material';
 import {
@@ -16,10 +22,121 @@ import {
   LocationOn,
   Cake,
   CheckCircle,
-  Cancel
+  Cancel,
+  GppBad,
+  UploadFile,
+  CloudOff,
+  QrCodeScanner,
+  VideocamOff,
+  PhotoLibrary,
+  QrCode2
 } from '@mui/icons-material';
 import { useSearchParams } from 'react-router-dom';
-import { calculateAge } from '../utils/documentUtils';
+import QrScanner from 'react-qr-scanner';
+import QRScannerErrorBoundary from './QRScannerErrorBoundary';
+import { AGE_PREDICATE_THRESHOLDS, agePredicateClaim } from '../utils/documentUtils';
+import { maskSensitiveData } from '../utils/encryption';
+import { VIEWER_ROLES } from '../utils/fieldPolicy';
+import { verifyQRCode, recordQRVerification, isQRRejection, rejectionTitle, getQRValidity } from '../utils/qrStatus';
+import { parseQRData } from '../utils/qrParser';
+import { verifyIdentityCredential, recordCredentialVerification, isVerifiableCredential } from '../utils/verifiableCredential';
+import { isOffline, syncVerifierCache, getSnapshotAge, STALE_SNAPSHOT_MS } from '../utils/verifierCache';
+import { decodeQRImage } from '../utils/qrImageDecoder';
+import {
+  createPresentationRequest,
+  requestQRCodeDataURL,
+  describeClaim,
+  loadPendingRequest,
+  savePendingRequest,
+} from '../utils/presentationRequest';
+
+// The verifier name is remembered on this device. It labels requests and
+// the holder's sharing history entries.
+const VERIFIER_NAME_KEY = 'sdw_verifierName';
+
+const verifierLabel = () => localStorage.getItem(VERIFIER_NAME_KEY) || 'Public verification page';
+
+// Human-readable age of the trust snapshot
+const formatAge = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'less than a minute';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  return `${Math.floor(hours / 24)} days`;
+};
+
+// Verify a W3C credential; resolves to what the page shows for it
+const checkCredential = async (credential) => {
+  let credentialResult;
+  try {
+    credentialResult = await verifyIdentityCredential(credential);
+  } catch (err) {
+    if (!isQRRejection(err)) throw err;
+    console.error('Credential rejected:', err);
+    // Credentials fail with the QR code errors ('Tampered QR code', ...)
+    const title = rejectionTitle(err).replace('QR code', 'credential');
+    return { credentialResult: null, signatureError: { title, message: err.message, kid: err.kid } };
+  }
+  await recordCredentialVerification(credential, verifierLabel());
+  return { credentialResult, signatureError: null };
+};
+
+// What the page shows when nothing has been verified
+const EMPTY_OUTCOME = {
+  error: '',
+  signatureError: null,
+  isCredential: false,
+  credentialResult: null,
+  issuer: null,
+  hiddenCount: 0,
+  verificationData: null,
+  answeredRequest: null,
+};
+
+// Verify the text of a QR code (compact code, verification URL or JSON,
+// from the URL, the camera or an image); resolves to what the page shows for it.
+// With a pending presentation request, the code must answer that request.
+const checkQRText = async (qrData, request = null) => {
+  let parsedData;
+  try {
+    parsedData = await parseQRData(qrData);
+  } catch {
+    return { ...EMPTY_OUTCOME, error: 'Invalid QR Code: The code is improperly formatted.' };
+  }
+
+  if (isVerifiableCredential(parsedData)) {
+    if (request) {
+      return { ...EMPTY_OUTCOME, isCredential: true, error: 'A credential cannot answer your request. Ask the holder to scan your request QR code.' };
+    }
+    return { ...EMPTY_OUTCOME, isCredential: true, ...(await checkCredential(parsedData)) };
+  }
+
+  // Only show data whose issuer signature checks out and that was not
+  // revoked (or, for single-use codes, already used)
+  let verified;
+  try {
+    verified = await verifyQRCode(parsedData, { request });
+  } catch (err) {
+    if (!isQRRejection(err)) throw err;
+    console.error('QR code rejected:', err);
+    return { ...EMPTY_OUTCOME, signatureError: { title: rejectionTitle(err), message: err.message, kid: err.kid } };
+  }
+
+  // Check for a unique identifier to ensure it's a valid QR code from our system
+  if (!verified.payload.docType) {
+    return { ...EMPTY_OUTCOME, error: 'Invalid QR Code: Data discrepancy detected.' };
+  }
+  await recordQRVerification(verified, verifierLabel());
+
+  return {
+    ...EMPTY_OUTCOME,
+    issuer: verified.issuer,
+    hiddenCount: verified.hiddenCount,
+    verificationData: verified.payload,
+    answeredRequest: request,
+  };
+};
 
 const QRVerification = () => {
   const theme = useTheme();
@@ -28,46 +145,424 @@ const QRVerification = () => {
   const [verificationData, setVerificationData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [signatureError, setSignatureError] = useState(null);
+  const [issuer, setIssuer] = useState(null);
+  const [hiddenCount, setHiddenCount] = useState(0);
+  const [credentialResult, setCredentialResult] = useState(null);
+  const [isCredential, setIsCredential] = useState(false);
+  const [offline, setOffline] = useState(isOffline());
+  const [snapshotAge, setSnapshotAge] = useState(getSnapshotAge());
+  const [scanning, setScanning] = useState(false);
+  const [scanError, setScanError] = useState('');
+  const scanHandled = useRef(false);
+  const [presentationRequest, setPresentationRequest] = useState(loadPendingRequest());
+  const [requestQR, setRequestQR] = useState('');
+  const [verifierName, setVerifierName] = useState(localStorage.getItem(VERIFIER_NAME_KEY) || '');
+  const [requestedClaims, setRequestedClaims] = useState({ name: false, address: false });
+  const [requestedAge, setRequestedAge] = useState('');
+  const [requestError, setRequestError] = useState('');
+  const [answeredRequest, setAnsweredRequest] = useState(null);
 
+  // Keep the trust snapshot for offline verification fresh while online
   useEffect(() => {
-    const loadVerificationData = () => {
-      try {
-        setLoading(true);
-        
-        // Get QR data from URL parameters
-        const qrData = searchParams.get('data');
-        if (!qrData) {
-          setError('No verification data found');
-          setLoading(false);
-          return;
-        }
-
-        // Parse the QR data
-        const parsedData = JSON.parse(decodeURIComponent(qrData));
-
-        // Check for a unique identifier to ensure it's a valid QR code from our system
-        if (!parsedData.docType) {
-          setError('Invalid QR Code: Data discrepancy detected.');
-          setLoading(false);
-          return;
-        }
-        
-        setVerificationData(parsedData);
-      } catch (err) {
-        setError('Invalid QR Code: The code is improperly formatted.');
-      } finally {
-        setLoading(false);
+    const refresh = () => {
+      setOffline(isOffline());
+      if (isOffline()) {
+        setSnapshotAge(getSnapshotAge());
+        return;
       }
+      syncVerifierCache()
+        .catch(err => console.error('Error syncing verifier cache:', err))
+        .finally(() => setSnapshotAge(getSnapshotAge()));
+    };
+
+    refresh();
+    window.addEventListener('online', refresh);
+    window.addEventListener('offline', refresh);
+    return () => {
+      window.removeEventListener('online', refresh);
+      window.removeEventListener('offline', refresh);
     };
+  }, []);
+
+  // Show the outcome of a verification, replacing whatever was shown before
+  const showOutcome = useCallback((outcome) => {
+    setError(outcome.error);
+    setSignatureError(outcome.signatureError);
+    setIsCredential(outcome.isCredential);
+    setCredentialResult(outcome.credentialResult);
+    setIssuer(outcome.issuer);
+    setHiddenCount(outcome.hiddenCount);
+    setVerificationData(outcome.verificationData);
+    setAnsweredRequest(outcome.answeredRequest);
+  }, []);
+
+  const verifyQRText = useCallback(async (qrData, request = null) => {
+    try {
+      setLoading(true);
+      const outcome = await checkQRText(qrData, request);
+      // A nonce is answered once
+      if (outcome.answeredRequest) {
+        savePendingRequest(null);
+        setPresentationRequest(null);
+      }
+      showOutcome(outcome);
+    } catch (err) {
+      console.error('Error verifying QR code:', err);
+      showOutcome({ ...EMPTY_OUTCOME, error: 'Unable to verify this QR code. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  }, [showOutcome]);
+
+  useEffect(() => {
+    // Get QR data from URL parameters; without it the page waits for a scan or a file
+    const qrData = searchParams.get('data');
+    if (!qrData) {
+      setLoading(false);
+      return;
+    }
+    verifyQRText(qrData);
+  }, [searchParams, verifyQRText]);
+
+  // Camera scanner output; it keeps firing while the code stays in view
+  const handleScan = (data) => {
+    const content = typeof data === 'string' ? data : (data?.text ?? data?.data ?? '');
+    if (!content || scanHandled.current) return;
+    scanHandled.current = true;
+    setScanning(false);
+    verifyQRText(content, presentationRequest);
+  };
+
+  const handleScanError = (err) => {
+    console.error('QR scan error:', err);
+    setScanError(err?.message || 'Camera access failed. Please check permissions.');
+    setScanning(false);
+  };
+
+  const startScanning = () => {
+    scanHandled.current = false;
+    setScanError('');
+    setScanning(true);
+  };
+
+  const handleImageFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setScanning(false);
+    setScanError('');
+    let content;
+    try {
+      content = await decodeQRImage(file);
+    } catch (err) {
+      setScanError(err.message);
+      return;
+    }
+    verifyQRText(content, presentationRequest);
+  };
+
+  // Render the pending request as a QR code for the holder to scan
+  useEffect(() => {
+    if (!presentationRequest) {
+      setRequestQR('');
+      return;
+    }
+    requestQRCodeDataURL(presentationRequest)
+      .then(setRequestQR)
+      .catch(err => console.error('Error rendering request QR code:', err));
+  }, [presentationRequest]);
+
+  const handleCreateRequest = () => {
+    const claims = Object.keys(requestedClaims).filter(claim => requestedClaims[claim]);
+    if (requestedAge) claims.push(agePredicateClaim(requestedAge));
+    if (!verifierName.trim()) {
+      setRequestError('Enter your name or business name so the holder knows who is asking.');
+      return;
+    }
+    if (claims.length === 0) {
+      setRequestError('Select at least one attribute to request.');
+      return;
+    }
+
+    try {
+      const request = createPresentationRequest({ verifier: verifierName, claims });
+      savePendingRequest(request);
+      setPresentationRequest(request);
+      setRequestError('');
+    } catch (err) {
+      setRequestError(err.message);
+    }
+  };
+
+  const handleCancelRequest = () => {
+    savePendingRequest(null);
+    setPresentationRequest(null);
+  };
+
+  const handleCredentialFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    setLoading(true);
+    try {
+      let credential;
+      try {
+        credential = JSON.parse(await file.text());
+      } catch {
+        showOutcome({ ...EMPTY_OUTCOME, isCredential: true, error: 'Invalid credential: The file is not JSON.' });
+        return;
+      }
+
+      showOutcome({ ...EMPTY_OUTCOME, isCredential: true, ...(await checkCredential(credential)) });
+    } catch (err) {
+      console.error('Error verifying credential:', err);
+      showOutcome({ ...EMPTY_OUTCOME, isCredential: true, error: 'Unable to verify this credential. Please try again.' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Where issuer keys and revocation status come from right now
+  let trustStatus;
+  if (!offline) {
+    trustStatus = (
+      <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 2 }}>
+        Online: revocation status is checked live.
+        {snapshotAge !== null && ` Offline copy updated ${formatAge(snapshotAge)} ago.`}
+      </Typography>
+    );
+  } else if (snapshotAge === null) {
+    trustStatus = (
+      <Alert severity="warning" icon={<CloudOff />} sx={{ mb: 3 }}>
+        Offline with no saved trust data: no issuer can be checked. Open this page online once to download it.
+      </Alert>
+    );
+  } else {
+    trustStatus = (
+      <Alert severity={snapshotAge > STALE_SNAPSHOT_MS ? 'warning' : 'info'} icon={<CloudOff />} sx={{ mb: 3 }}>
+        Offline: issuer keys and revocation data are {formatAge(snapshotAge)} old.
+        Codes revoked since then are not detected.
+      </Alert>
+    );
+  }
+
+  // Offered whenever the page was opened without QR data, so anyone can
+  // verify a code in front of them without an account
+  const qrScanner = !searchParams.get('data') && (
+    <Card elevation={3} sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>Scan a QR Code</Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Scan a wallet QR code with the camera, or upload a screenshot or photo of one.
+        </Typography>
+        {presentationRequest && (
+          <Alert severity="info" sx={{ mb: 2 }}>
+            Waiting for the answer to your request: only a response QR made for it is accepted.
+          </Alert>
+        )}
+        {scanError && (
+          <Alert severity="error" sx={{ mb: 2 }}>{scanError}</Alert>
+        )}
+        {scanning && (
+          <Box sx={{ width: '100%', maxWidth: 400, mx: 'auto', mb: 2 }}>
+            <QRScannerErrorBoundary>
+              <QrScanner
+                delay={300}
+                onError={handleScanError}
+                onScan={handleScan}
+                style={{ width: '100%' }}
+                constraints={{
+                  video: {
+                    facingMode: 'environment',
+                    width: { ideal: 640 },
+                    height: { ideal: 480 }
+                  }
+                }}
+              />
+            </QRScannerErrorBoundary>
+          </Box>
+        )}
+        <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+          {scanning ? (
+            <Button variant="outlined" startIcon={<VideocamOff />} onClick={() => setScanning(false)}>
+              Stop camera
+            </Button>
+          ) : (
+            <Button variant="contained" startIcon={<QrCodeScanner />} onClick={startScanning}>
+              Scan with camera
+            </Button>
+          )}
+          <Button variant="outlined" component="label" startIcon={<PhotoLibrary />}>
+            Upload image
+            <input hidden type="file" accept="image/*" onChange={handleImageFile} />
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+
+  // Ask the holder for exactly the attributes needed instead of letting them guess
+  const requestCard = !searchParams.get('data') && (
+    <Card elevation={3} sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>Request Attributes</Typography>
+        {presentationRequest ? (
+          <Box sx={{ textAlign: 'center' }}>
+            {requestQR && <img src={requestQR} alt="Presentation request QR code" style={{ maxWidth: '100%', width: 280 }} />}
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              <strong>{presentationRequest.verifier}</strong> requests:
+            </Typography>
+            {presentationRequest.claims.map(claim => (
+              <Chip key={claim} label={describeClaim(claim)} size="small" sx={{ m: 0.5 }} />
+            ))}
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              The holder scans this from their Dashboard. Then scan the response QR code they show you.
+            </Typography>
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+              Answer by {new Date(presentationRequest.exp * 1000).toLocaleTimeString()}
+            </Typography>
+            <Button sx={{ mt: 1 }} onClick={handleCancelRequest}>Cancel request</Button>
+          </Box>
+        ) : (
+          <>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              Show the holder a request QR code listing what you need. Their answer only works for this request.
+            </Typography>
+            {requestError && (
+              <Alert severity="error" sx={{ mb: 2 }}>{requestError}</Alert>
+            )}
+            <TextField
+              size="small"
+              fullWidth
+              label="Your name or business"
+              value={verifierName}
+              onChange={(e) => {
+                setVerifierName(e.target.value);
+                localStorage.setItem(VERIFIER_NAME_KEY, e.target.value.trim());
+              }}
+              inputProps={{ maxLength: 60 }}
+              helperText="Holders see this in their sharing history."
+              sx={{ mb: 1 }}
+            />
+            <FormGroup row>
+              {Object.keys(requestedClaims).map(claim => (
+                <FormControlLabel
+                  key={claim}
+                  control={<Checkbox checked={requestedClaims[claim]} onChange={() => setRequestedClaims(prev => ({ ...prev, [claim]: !prev[claim] }))} />}
+                  label={claim.charAt(0).toUpperCase() + claim.slice(1)}
+                />
+              ))}
+            </FormGroup>
+            <TextField
+              select
+              size="small"
+              label="Age over"
+              value={requestedAge}
+              onChange={(e) => setRequestedAge(e.target.value)}
+              sx={{ minWidth: 160, mb: 2 }}
+            >
+              <MenuItem value="">Not needed</MenuItem>
+              {AGE_PREDICATE_THRESHOLDS.map(threshold => (
+                <MenuItem key={threshold} value={threshold}>{threshold} years</MenuItem>
+              ))}
+            </TextField>
+            <Box>
+              <Button variant="contained" startIcon={<QrCode2 />} onClick={handleCreateRequest}>
+                Create request
+              </Button>
+            </Box>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+
+  const credentialUpload = !searchParams.get('data') && (
+    <Card elevation={3} sx={{ mb: 3 }}>
+      <CardContent>
+        <Typography variant="h6" gutterBottom>Verify a Credential</Typography>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Upload a W3C Verifiable Credential exported from a wallet to check its issuer signature and validity.
+        </Typography>
+        <Button variant="contained" component="label" startIcon={<UploadFile />}>
+          Upload credential
+          <input hidden type="file" accept=".json,.jsonld,application/json,application/ld+json" onChange={handleCredentialFile} />
+        </Button>
+      </CardContent>
+    </Card>
+  );
 
-    loadVerificationData();
-  }, [searchParams]);
+  const renderCredential = () => {
+    const { credential, issuer: credentialIssuer } = credentialResult;
+    const subject = credential.credentialSubject || {};
+
+    return (
+      <Card elevation={3} sx={{ mb: 3 }}>
+        <CardContent>
+          <Typography variant="h6" gutterBottom>
+            Verifiable Credential
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Type: <strong>{credential.type.filter(type => type !== 'VerifiableCredential').join(', ') || 'VerifiableCredential'}</strong>
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Issuer: <strong>{credential.issuer?.name || credential.issuer?.id || credential.issuer}</strong>
+          </Typography>
+          {subject.name && (
+            <Typography variant="body2" color="text.secondary">
+              Name: <strong>{maskSensitiveData(subject.name, 'name', VIEWER_ROLES.VERIFIER)}</strong>
+            </Typography>
+          )}
+          {subject.birthDate && (
+            <Typography variant="body2" color="text.secondary">
+              Date of Birth: <strong>{maskSensitiveData(subject.birthDate, 'dob', VIEWER_ROLES.VERIFIER)}</strong>
+            </Typography>
+          )}
+          {subject.identifier?.value && (
+            <Typography variant="body2" color="text.secondary">
+              {subject.identifier.propertyID || 'Identifier'}: <strong>{maskSensitiveData(subject.identifier.value, 'aadhaar', VIEWER_ROLES.VERIFIER)}</strong>
+            </Typography>
+          )}
+          {subject.telephone && (
+            <Typography variant="body2" color="text.secondary">
+              Mobile: <strong>{maskSensitiveData(subject.telephone, 'mobile', VIEWER_ROLES.VERIFIER)}</strong>
+            </Typography>
+          )}
+          {subject.address && (
+            <Typography variant="body2" color="text.secondary">
+              Address: <strong>{maskSensitiveData(subject.address, 'address', VIEWER_ROLES.VERIFIER)}</strong>
+            </Typography>
+          )}
+          <Typography variant="body2" color="text.secondary">
+            Issued: <strong>{new Date(credential.issuanceDate).toLocaleString()}</strong>
+          </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Valid Until: <strong>{new Date(credential.expirationDate).toLocaleString()}</strong>
+          </Typography>
+          <Chip
+            icon={<VerifiedUser />}
+            label={`Proof valid (${credentialIssuer.role} key ${credentialIssuer.kid})`}
+            color="success"
+            size="small"
+            sx={{ mt: 1 }}
+          />
+        </CardContent>
+      </Card>
+    );
+  };
+
+  // Age predicates (age_over_18, ...) the QR code discloses; the date of birth never leaves the wallet
+  const agePredicates = verificationData
+    ? AGE_PREDICATE_THRESHOLDS
+        .filter(threshold => typeof verificationData[agePredicateClaim(threshold)] === 'boolean')
+        .map(threshold => ({ threshold, over: verificationData[agePredicateClaim(threshold)] }))
+    : [];
 
   const renderAgeVerification = () => {
-    if (!verificationData.age) return null;
-    
-    const age = calculateAge(verificationData.age);
-    const isAbove18 = age >= 18;
+    if (agePredicates.length === 0) return null;
     
     return (
       <Card elevation={3} sx={{ mb: 2 }}>
@@ -77,12 +572,19 @@ const QRVerification = () => {
             <Typography variant="h6">Age Verification</Typography>
           </Box>
           
-          <Typography variant="body2" color="text.secondary" sx={{ 
-            color: isAbove18 ? 'success.main' : 'error.main',
-            fontWeight: 'bold'
-          }}>
-            Status: <strong>{isAbove18 ? '✓ User is above 18 and verified' : '✗ User is below 18'}</strong>
-          </Typography>
+          {agePredicates.map(({ threshold, over }) => (
+            <Typography key={threshold} variant="body2" color="text.secondary" sx={{ 
+              color: over ? 'success.main' : 'error.main',
+              fontWeight: 'bold'
+            }}>
+              Status: <strong>{over ? `✓ User is over ${threshold}` : `✗ User is not over ${threshold}`}</strong>
+            </Typography>
+          ))}
+          {verificationData.verifiedAt && (
+            <Typography variant="caption" color="text.secondary">
+              As of: {new Date(verificationData.verifiedAt).toLocaleString()}
+            </Typography>
+          )}
         </CardContent>
       </Card>
     );
@@ -114,7 +616,7 @@ const QRVerification = () => {
             fontFamily: 'monospace',
             border: `1px solid ${isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)'}`,
           }}>
-            {verificationData.address}
+            {maskSensitiveData(verificationData.address, 'address', VIEWER_ROLES.VERIFIER)}
           </Typography>
         </CardContent>
       </Card>
@@ -122,9 +624,8 @@ const QRVerification = () => {
   };
 
   let ageStatus = null;
-  if (verificationData && verificationData.age) {
-    const age = calculateAge(verificationData.age);
-    ageStatus = age >= 18 ? 'verified' : 'not_verified';
+  if (agePredicates.length > 0) {
+    ageStatus = agePredicates.every(({ over }) => over) ? 'verified' : 'not_verified';
   }
 
   let addressStatus = null;
@@ -144,9 +645,34 @@ const QRVerification = () => {
     );
   }
 
+  if (signatureError) {
+    return (
+      <Box sx={{ maxWidth: 600, mx: 'auto', p: 3 }}>
+        {trustStatus}
+        {qrScanner}
+        {requestCard}
+        {credentialUpload}
+        <Alert severity="error" icon={<GppBad />}>
+          <Typography variant="h6" sx={{ fontWeight: 700 }}>{signatureError.title}</Typography>
+          <Typography variant="body2">{signatureError.message}</Typography>
+          {signatureError.kid && (
+            <Typography variant="caption" sx={{ fontFamily: 'monospace' }}>Key: {signatureError.kid}</Typography>
+          )}
+          <Typography variant="body2" sx={{ mt: 1 }}>
+            Do not trust the information in this {isCredential ? 'credential' : 'QR code'}.
+          </Typography>
+        </Alert>
+      </Box>
+    );
+  }
+
   if (error) {
     return (
       <Box sx={{ maxWidth: 600, mx: 'auto', p: 3 }}>
+        {trustStatus}
+        {qrScanner}
+        {requestCard}
+        {credentialUpload}
         <Alert severity="error">
           {error}
         </Alert>
@@ -154,8 +680,38 @@ const QRVerification = () => {
     );
   }
 
+  if (credentialResult) {
+    return (
+      <Box sx={{ maxWidth: 800, mx: 'auto', p: 3 }}>
+        {trustStatus}
+        {qrScanner}
+        {requestCard}
+        {credentialUpload}
+        <Alert severity="success" sx={{ mb: 3, fontWeight: 600, fontSize: '1.1rem' }}>Credential verified!</Alert>
+        {renderCredential()}
+      </Box>
+    );
+  }
+
+  if (!verificationData) {
+    return (
+      <Box sx={{ maxWidth: 600, mx: 'auto', p: 3 }}>
+        {trustStatus}
+        <Alert severity="info" sx={{ mb: 3 }}>
+          No verification data found. Scan a verification QR code, or upload a credential below.
+        </Alert>
+        {qrScanner}
+        {requestCard}
+        {credentialUpload}
+      </Box>
+    );
+  }
+
   return (
     <Box sx={{ maxWidth: 800, mx: 'auto', p: 3 }}>
+      {trustStatus}
+      {qrScanner}
+      {requestCard}
       {ageStatus === 'verified' && (
         <Alert severity="success" sx={{ mb: 1, fontWeight: 600, fontSize: '1.1rem' }}>Age verified!</Alert>
       )}
@@ -181,14 +737,52 @@ const QRVerification = () => {
           <Typography variant="body2" color="text.secondary">
             Document Type: <strong>{verificationData.docType || 'N/A'}</strong>
           </Typography>
-          {verificationData.username && (
+          {verificationData.sub && (
+            <Typography variant="body2" color="text.secondary">
+              User: <strong>{verificationData.sub}</strong>
+            </Typography>
+          )}
+          {verificationData.name && (
             <Typography variant="body2" color="text.secondary">
-              User: <strong>{verificationData.username}</strong>
+              Name: <strong>{maskSensitiveData(verificationData.name, 'name', VIEWER_ROLES.VERIFIER)}</strong>
+            </Typography>
+          )}
+          {verificationData.aadhaar && (
+            <Typography variant="body2" color="text.secondary">
+              Aadhaar: <strong>{maskSensitiveData(verificationData.aadhaar, 'aadhaar', VIEWER_ROLES.VERIFIER)}</strong>
+            </Typography>
+          )}
+          {verificationData.mobile && (
+            <Typography variant="body2" color="text.secondary">
+              Mobile: <strong>{maskSensitiveData(verificationData.mobile, 'mobile', VIEWER_ROLES.VERIFIER)}</strong>
             </Typography>
           )}
           <Typography variant="body2" color="text.secondary">
             Verified At: <strong>{new Date(verificationData.verifiedAt).toLocaleString()}</strong>
           </Typography>
+          <Typography variant="body2" color="text.secondary">
+            Valid Until: <strong>{getQRValidity(verificationData).expiresAt.toLocaleString()}</strong>
+          </Typography>
+          {issuer && (
+            <Chip
+              icon={<VerifiedUser />}
+              label={`Signature valid (${issuer.role} key ${issuer.kid})`}
+              color="success"
+              size="small"
+              sx={{ mt: 1 }}
+            />
+          )}
+          {verificationData.single_use && (
+            <Chip label="Single-use code: now used" size="small" variant="outlined" sx={{ mt: 1, ml: 1 }} />
+          )}
+          {answeredRequest && (
+            <Chip label={`Answers your request as ${answeredRequest.verifier}`} color="primary" size="small" variant="outlined" sx={{ mt: 1, ml: 1 }} />
+          )}
+          {hiddenCount > 0 && (
+            <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 1 }}>
+              {hiddenCount} other attribute{hiddenCount === 1 ? ' was' : 's were'} signed but not disclosed to you.
+            </Typography>
+          )}
         </CardContent>
       </Card>
 
@@ -201,7 +795,7 @@ const QRVerification = () => {
       {renderAgeVerification()}
       {renderAddressVerification()}
 
-      {!verificationData.age && !verificationData.address && (
+      {agePredicates.length === 0 && !verificationData.address && (
         <Alert severity="info">
           No verification attributes found in the QR code.
         </Alert>
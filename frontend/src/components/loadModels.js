@@ -3,11 +3,34 @@ import * as faceapi from "face-api.js";
 // import localforage from "localforage"; // Not directly needed for faceapi.js loadFromUri on local files
 // import axios from "axios"; // Not directly needed for faceapi.js loadFromUri
 
+// Models are served from the local 'public/models' directory
+const MODEL_URL = "/models";
+
+// Load in flight or done, shared so the models are fetched only once
+let modelsPromise = null;
+
+/**
+ * Load the face models on first use
+ * Only the face routes and the face checks need them, so nothing loads them
+ * up front. A failed load is retried on the next call.
+ * @returns {Promise<void>}
+ */
+export const ensureModelsLoaded = () => {
+  if (!modelsPromise) {
+    modelsPromise = Promise.all([
+      faceapi.nets.ssdMobilenetv1.loadFromUri(MODEL_URL),
+      faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL),
+      faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_URL),
+    ]).catch((error) => {
+      modelsPromise = null;
+      throw error;
+    });
+  }
+  return modelsPromise;
+};
+
 // Enhanced model loader for local asset loading
 export const loadModels = async (setModelsLoaded, setLoadingError, setHashVerificationError) => {
-  // IMPORTANT CHANGE: Point to the local 'public/models' directory
-  const MODEL_URL = "/models";
-
   // --- Removed Localforage, CryptoJS, Axios, and custom caching logic ---
   // --- These are generally not needed when serving models directly from the public folder
   // --- unless you have a very specific advanced caching/security requirement.
@@ -29,17 +52,8 @@ export const loadModels = async (setModelsLoaded, setLoadingError, setHashVerifi
     // Start performance tracking
     performanceMonitor.start();
 
-    // Load models from the local MODEL_URL
     // face-api.js will handle fetching the manifest and shard files automatically
-    await Promise.all([
-      faceapi.nets.ssdMobilenetv1.loadFromUri(MODEL_URL),
-      faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL),
-      faceapi.nets.faceRecognitionNet.loadFromUri(MODEL_URL),
-      // If you're using face expression detection:
-      // faceapi.nets.faceExpressionNet.loadFromUri(MODEL_URL),
-      // If you're using age and gender estimation:
-      // faceapi.nets.ageGenderNet.loadFromUri(MODEL_URL)
-    ]);
+    await ensureModelsLoaded();
 
     // Mark models as loaded
     setModelsLoaded(true);
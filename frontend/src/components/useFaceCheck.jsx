@@ -0,0 +1,145 @@
+import { useState, useRef, useCallback } from "react";
+import {
+  Box,
+  Button,
+  Typography,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from "@mui/material";
+import ReactWebcam from "react-webcam";
+import { verifyLiveFace, FaceMatchError } from "../utils/faceMatching";
+import { captureFaceFrame, captureStillPixels } from "../utils/faceCapture";
+
+// Failed attempts per check before the dialog gives up
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Live face check in a dialog
+ *
+ * const { requestFaceCheck, faceCheckDialog } = useFaceCheck();
+ * const verification = await requestFaceCheck({ title, message, openReference, challengeCount });
+ *
+ * Render faceCheckDialog somewhere in the component. requestFaceCheck opens
+ * the camera, runs verifyLiveFace (liveness, PAD, multi-frame match) against
+ * the descriptor openReference returns, and resolves with its result once the
+ * face matched, or with null when the user cancels or runs out of attempts.
+ * challengeCount (optional) shortens or lengthens the liveness check.
+ */
+export const useFaceCheck = () => {
+  const [request, setRequest] = useState(null); // { title, message, openReference, challengeCount, resolve }
+  const [cameraReady, setCameraReady] = useState(false);
+  const [checking, setChecking] = useState(false);
+  const [prompt, setPrompt] = useState(null); // { text, step, total }
+  const [error, setError] = useState("");
+  const [attempts, setAttempts] = useState(0);
+  const webcamRef = useRef(null);
+
+  const requestFaceCheck = useCallback(({ title, message, openReference, challengeCount }) => new Promise((resolve) => {
+    setCameraReady(false);
+    setError("");
+    setAttempts(0);
+    setRequest({ title, message, openReference, challengeCount, resolve });
+  }), []);
+
+  const finish = (verification) => {
+    request.resolve(verification);
+    setRequest(null);
+  };
+
+  const handleStart = async () => {
+    setChecking(true);
+    setError("");
+    try {
+      const verification = await verifyLiveFace({
+        captureFrame: (options) => captureFaceFrame(webcamRef.current?.video, options),
+        captureImage: () => captureStillPixels(webcamRef.current),
+        openReference: request.openReference,
+        challengeCount: request.challengeCount,
+        onPrompt: (text, step, total) => setPrompt({ text, step, total }),
+      });
+      if (!verification.match.matched) {
+        throw new FaceMatchError("Your face does not match.");
+      }
+      finish(verification);
+    } catch (err) {
+      console.warn("Face check failed:", err.message);
+      if (attempts + 1 >= MAX_ATTEMPTS) {
+        finish(null);
+        return;
+      }
+      setAttempts(attempts + 1);
+      setError(`${err.message} Please try again.`);
+    } finally {
+      setChecking(false);
+      setPrompt(null);
+    }
+  };
+
+  const faceCheckDialog = (
+    <Dialog open={!!request} onClose={checking ? undefined : () => finish(null)} maxWidth="sm" fullWidth>
+      <DialogTitle>{request?.title}</DialogTitle>
+      <DialogContent>
+        {request?.message && <DialogContentText sx={{ mb: 2 }}>{request.message}</DialogContentText>}
+        <Box
+          sx={{
+            position: "relative",
+            width: "100%",
+            height: "300px",
+            borderRadius: "16px",
+            overflow: "hidden",
+            border: "2px solid #006FB9",
+          }}
+        >
+          {request && (
+            <ReactWebcam
+              ref={webcamRef}
+              audio={false}
+              screenshotFormat="image/jpeg"
+              videoConstraints={{ facingMode: "user" }}
+              onUserMedia={() => setCameraReady(true)}
+              onUserMediaError={() => setError("Camera access denied. Please allow access to your camera.")}
+              style={{ width: "100%", height: "100%", objectFit: "cover" }}
+            />
+          )}
+          {prompt && (
+            <Box
+              sx={{
+                position: "absolute",
+                left: 0,
+                right: 0,
+                bottom: 0,
+                padding: "12px",
+                textAlign: "center",
+                color: "#fff",
+                backgroundColor: "rgba(0, 111, 185, 0.85)",
+              }}
+            >
+              <Typography variant="caption">
+                Step {prompt.step} of {prompt.total}
+              </Typography>
+              <Typography variant="h6" sx={{ fontWeight: "bold" }}>
+                {prompt.text}
+              </Typography>
+            </Box>
+          )}
+        </Box>
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={() => finish(null)} disabled={checking}>Cancel</Button>
+        <Button onClick={handleStart} variant="contained" disabled={checking || !cameraReady}>
+          {checking ? <CircularProgress size={24} /> : "Start"}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+
+  return { requestFaceCheck, faceCheckDialog };
+};
+
+export default useFaceCheck;
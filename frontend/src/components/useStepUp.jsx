@@ -0,0 +1,135 @@
+import { useState, useContext, useCallback } from "react";
+import {
+  Button,
+  TextField,
+  Alert,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions,
+} from "@mui/material";
+import { AuthContext } from "./AuthContext";
+import { useFaceCheck } from "./useFaceCheck";
+import firebaseService from "../utils/firebaseService";
+import { getFaceLoginEnrollment, openFaceLoginTemplate } from "../utils/faceLogin";
+import {
+  STEP_UP_CHALLENGES,
+  STEP_UP_METHODS,
+  loadStepUpWindow,
+  hasRecentStepUp,
+  recordStepUp,
+  verifyStepUpPassword,
+} from "../utils/stepUp";
+
+/**
+ * Step-up guard for sensitive actions
+ *
+ * const { requireStepUp, stepUpDialog } = useStepUp();
+ * if (!(await requireStepUp("generate a QR code"))) return;
+ *
+ * Render stepUpDialog somewhere in the component. requireStepUp resolves
+ * with true right away when the logged-in user stepped up within the
+ * configured window; otherwise it asks for a short face check against the
+ * face login template enrolled in this browser, then for the password when
+ * there is none or the face check did not succeed (see utils/stepUp.js).
+ * It resolves with false when the user cancels.
+ */
+export const useStepUp = () => {
+  const { currentUser } = useContext(AuthContext);
+  const { requestFaceCheck, faceCheckDialog } = useFaceCheck();
+  const [passwordRequest, setPasswordRequest] = useState(null); // { action, resolve }
+  const [password, setPassword] = useState("");
+  const [checking, setChecking] = useState(false);
+  const [error, setError] = useState("");
+
+  const username = currentUser?.username;
+
+  const requestPassword = (action) => new Promise((resolve) => {
+    setPassword("");
+    setError("");
+    setPasswordRequest({ action, resolve });
+  });
+
+  const requireStepUp = useCallback(async (action) => {
+    if (!username) return false;
+    if (hasRecentStepUp(username, await loadStepUpWindow())) return true;
+
+    try {
+      const enrollment = await getFaceLoginEnrollment(await firebaseService.getUser(username));
+      if (enrollment) {
+        const verification = await requestFaceCheck({
+          title: "Confirm it's you",
+          message: `Look at the camera to ${action}.`,
+          openReference: () => openFaceLoginTemplate(enrollment),
+          challengeCount: STEP_UP_CHALLENGES,
+        });
+        if (verification) {
+          recordStepUp(username, STEP_UP_METHODS.FACE);
+          return true;
+        }
+      }
+    } catch (err) {
+      console.error("Face step-up failed:", err);
+    }
+
+    return requestPassword(action);
+  }, [username, requestFaceCheck]);
+
+  const finish = (confirmed) => {
+    passwordRequest.resolve(confirmed);
+    setPasswordRequest(null);
+    setPassword("");
+  };
+
+  const handleConfirmPassword = async (event) => {
+    event.preventDefault();
+    setChecking(true);
+    setError("");
+    try {
+      await verifyStepUpPassword(username, password);
+      recordStepUp(username, STEP_UP_METHODS.PASSWORD);
+      finish(true);
+    } catch (err) {
+      setError(err.message || "Could not confirm your password.");
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  const stepUpDialog = (
+    <>
+      {faceCheckDialog}
+      <Dialog open={!!passwordRequest} onClose={checking ? undefined : () => finish(false)} maxWidth="xs" fullWidth>
+        <form onSubmit={handleConfirmPassword}>
+          <DialogTitle>Confirm it&apos;s you</DialogTitle>
+          <DialogContent>
+            <DialogContentText sx={{ mb: 2 }}>
+              Enter your password to {passwordRequest?.action}.
+            </DialogContentText>
+            <TextField
+              label="Password"
+              type="password"
+              fullWidth
+              autoFocus
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+            />
+            {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+          </DialogContent>
+          <DialogActions>
+            <Button onClick={() => finish(false)} disabled={checking}>Cancel</Button>
+            <Button type="submit" variant="contained" disabled={checking || !password}>
+              {checking ? <CircularProgress size={24} /> : "Confirm"}
+            </Button>
+          </DialogActions>
+        </form>
+      </Dialog>
+    </>
+  );
+
+  return { requireStepUp, stepUpDialog };
+};
+
+export default useStepUp;
@@ -0,0 +1,20 @@
+/**
+ * Admin credential check shared by AdminLogin and AdminDashboard
+ */
+
+import firebaseService from './firebaseService';
+
+export const ADMIN_CREDENTIALS = {
+  username: 'admin',
+  password: 'admin123',
+};
+
+/**
+ * Check an admin password against the stored one (or the default)
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>}
+ */
+export const verifyAdminPassword = async (password) => {
+  const storedPassword = await firebaseService.getSetting('adminPassword') || ADMIN_CREDENTIALS.password;
+  return password === storedPassword;
+};
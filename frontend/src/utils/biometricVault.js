@@ -0,0 +1,144 @@
+/**
+ * Biometric Vault - encryption of face templates
+ *
+ * Face descriptors and face crops are biometric data. They are never kept or
+ * passed around in the clear: DocumentScanner's output is sealed right away
+ * into a "sealed template" and only FaceAuthentication opens it, to match it
+ * against the live face.
+ *
+ * Templates are encrypted with their own biometric key (kid 'bk_...'), which
+ * is stored on the user record sealed under the data key (`biometricKey`).
+ * It is not independent of the data key: whoever holds the data key can open
+ * the biometric key too. What it does allow is shredding biometrics alone
+ * (drop `biometricKey`) and keeping the data key out of template envelopes.
+ *
+ * Sealed template:
+ * {
+ *   type: 'face-template',
+ *   sealed: envelope,   // { descriptor: number[128], faceImage: dataURL|null, expiresAt }
+ *   createdAt, expiresAt
+ * }
+ *
+ * Every template has an explicit retention limit. Once `expiresAt` has passed
+ * it can no longer be opened and holders must discard it. The limit that
+ * counts is the copy inside the envelope: the outer `expiresAt` is only there
+ * so holders can schedule the discard, and editing it extends nothing.
+ */
+
+import firebaseService from './firebaseService';
+import { sealEnvelope, openEnvelope } from './envelope';
+import { generateDataKey } from './keyManagement';
+import { bytesToBase64, base64ToBytes, randomId } from './encoding';
+
+export const FACE_TEMPLATE_TYPE = 'face-template';
+
+// How long a scanned face template may be kept before it must be rescanned
+export const BIOMETRIC_RETENTION_MS = 10 * 60 * 1000;
+
+// Biometric key contexts unlocked in this page (username -> key context)
+const biometricKeys = new Map();
+
+/**
+ * The sealed template is past its retention limit
+ */
+export class BiometricExpiredError extends Error {
+  constructor(expiresAt) {
+    super('Face template has expired. Please scan your ID again.');
+    this.name = 'BiometricExpiredError';
+    this.expiresAt = expiresAt;
+  }
+}
+
+/**
+ * Load the user's biometric key, creating it on first use
+ * @param {object} keyContext - The user's data key context
+ * @returns {Promise<object>} - Biometric key context ({ keyId, key, username })
+ */
+const getBiometricKeyContext = async (keyContext) => {
+  const { username } = keyContext;
+  if (biometricKeys.has(username)) return biometricKeys.get(username);
+
+  const user = await firebaseService.getUser(username);
+  let biometricContext;
+
+  if (user?.biometricKey) {
+    const { keyId, key } = await openEnvelope(user.biometricKey, keyContext);
+    const cryptoKey = await crypto.subtle.importKey('raw', base64ToBytes(key), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+    biometricContext = { keyId, key: cryptoKey, username };
+  } else {
+    const cryptoKey = await generateDataKey();
+    biometricContext = { keyId: randomId('bk'), key: cryptoKey, username };
+    const raw = bytesToBase64(await crypto.subtle.exportKey('raw', cryptoKey));
+    await firebaseService.saveUser(username, {
+      biometricKey: await sealEnvelope({ keyId: biometricContext.keyId, key: raw }, keyContext),
+    });
+    console.log('🔑 Biometric key created for', username);
+  }
+
+  biometricKeys.set(username, biometricContext);
+  return biometricContext;
+};
+
+/**
+ * Seal a face descriptor and face crop
+ * @param {object} template
+ * @param {Float32Array|number[]} template.descriptor - 128-d face descriptor
+ * @param {string} template.faceImage - Face crop as a data URL (optional)
+ * @param {object} keyContext - The user's data key context
+ * @param {number} retentionMs - Retention limit (defaults to BIOMETRIC_RETENTION_MS)
+ * @returns {Promise<object>} - Sealed template
+ */
+export const sealFaceTemplate = async ({ descriptor, faceImage = null }, keyContext, retentionMs = BIOMETRIC_RETENTION_MS) => {
+  const biometricContext = await getBiometricKeyContext(keyContext);
+  const now = Date.now();
+  const expiresAt = new Date(now + retentionMs).toISOString();
+
+  return {
+    type: FACE_TEMPLATE_TYPE,
+    sealed: await sealEnvelope({ descriptor: Array.from(descriptor), faceImage, expiresAt }, biometricContext),
+    createdAt: new Date(now).toISOString(),
+    expiresAt,
+  };
+};
+
+// Written as a negation so an unreadable date (NaN) counts as expired
+const isPast = (expiresAt) => !(new Date(expiresAt).getTime() > Date.now());
+
+/**
+ * Check whether a sealed template is past its retention limit
+ * Reads the outer `expiresAt`; openFaceTemplate enforces the sealed one.
+ * @param {object} template - Sealed template
+ * @returns {boolean}
+ */
+export const isFaceTemplateExpired = (template) => {
+  return !template || isPast(template.expiresAt);
+};
+
+/**
+ * Open a sealed template
+ * Only the face-matching path in FaceAuthentication should call this, and it
+ * should drop the result as soon as the comparison is done.
+ * @param {object} template - Sealed template
+ * @param {object} keyContext - The user's data key context
+ * @returns {Promise<{descriptor: Float32Array, faceImage: string|null}>}
+ * @throws {BiometricExpiredError} - When the retention limit has passed
+ */
+export const openFaceTemplate = async (template, keyContext) => {
+  if (isFaceTemplateExpired(template)) {
+    throw new BiometricExpiredError(template?.expiresAt);
+  }
+
+  const biometricContext = await getBiometricKeyContext(keyContext);
+  const { descriptor, faceImage, expiresAt } = await openEnvelope(template.sealed, biometricContext);
+  if (isPast(expiresAt)) {
+    throw new BiometricExpiredError(expiresAt);
+  }
+  return { descriptor: new Float32Array(descriptor), faceImage };
+};
+
+/**
+ * Forget unlocked biometric keys (logout)
+ */
+export const clearBiometricKeys = () => {
+  biometricKeys.clear();
+};
@@ -0,0 +1,183 @@
+/**
+ * Blind Indexes - exact-match lookups on encrypted identifiers
+ *
+ * Next to an encrypted identifier (Aadhaar, PAN, ...) a submission carries a
+ * keyed HMAC of its normalized value in `<field>Index` (e.g. `aadhaarIndex`).
+ * firebaseService can query that field with a plain equality filter, so a
+ * lookup by Aadhaar no longer means decrypting every record, and the
+ * identifier itself stays encrypted.
+ *
+ * Identifiers have little entropy (an Aadhaar is 12 digits), so whoever holds
+ * the index key can recover them by hashing every candidate. The key is
+ * therefore the admin's: created on the admin's first unlock, wrapped (AES-KW)
+ * under the admin password and stored only in that form, in the `settings`
+ * collection under `wrappedBlindIndexKey`:
+ * { kid: 'bi_...', wrappedKey, salt, iterations }
+ * Only an unlocked AdminDashboard computes identifier indexes. Submitters
+ * cannot, so submissions get theirs when the admin opens the queue
+ * (submissionStore.js) or re-seals it (keyRotation.js); every record notes
+ * the key it was indexed with in `blindIndexKid`. Documents are readable by
+ * their owner only and carry no identifier index.
+ *
+ * Submissions also carry `usernameIndex`, written by the submitter so they
+ * can find their own submissions (erasure, key replacement). Usernames are
+ * not secret (user records carry them in the clear), so that index uses a
+ * fixed key: it keeps the username out of the record, nothing more.
+ */
+
+import firebaseService from './firebaseService';
+import { hashData } from './encryption';
+import { bytesToBase64, base64ToBytes, randomBytes, randomId } from './encoding';
+import { deriveKeyEncryptionKey, PBKDF2_ITERATIONS } from './keyManagement';
+import { BLIND_INDEXED_FIELDS, blindIndexFieldName, isEmptyFieldValue } from './fieldPolicy';
+
+export const BLIND_INDEX_SETTING = 'wrappedBlindIndexKey';
+
+// Where the key used to be stored in the clear; removed on the admin's next unlock
+const LEGACY_BLIND_INDEX_SETTING = 'blindIndexKey';
+
+// Fixed key of the username index (see the header)
+const USERNAME_INDEX_KEY = 'sdw-username-index';
+
+const HMAC_PARAMS = { name: 'HMAC', hash: 'SHA-256' };
+
+// Unlocked index key: { kid, key (base64, as hashData takes it) }
+let indexKey = null;
+
+/**
+ * Wrap an index key under the admin password
+ */
+const wrapIndexKey = async (rawKey, password) => {
+  const salt = randomBytes(16);
+  const kek = await deriveKeyEncryptionKey(password, salt, PBKDF2_ITERATIONS);
+  const hmacKey = await crypto.subtle.importKey('raw', rawKey, HMAC_PARAMS, true, ['sign']);
+  return {
+    wrappedKey: bytesToBase64(await crypto.subtle.wrapKey('raw', hmacKey, kek, 'AES-KW')),
+    salt: bytesToBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+  };
+};
+
+/**
+ * Unlock the blind index key with the admin password, creating it on first use
+ * Two admins unlocking at once both end up with the key stored first.
+ * @param {string} password - Admin password
+ * @returns {Promise<string>} - Key ID
+ * @throws {Error} - When the password is wrong
+ */
+export const unlockBlindIndexKey = async (password) => {
+  let stored = await firebaseService.getSetting(BLIND_INDEX_SETTING);
+  if (!stored) {
+    stored = await firebaseService.createSettingIfAbsent(BLIND_INDEX_SETTING, {
+      kid: randomId('bi'),
+      ...(await wrapIndexKey(randomBytes(32), password)),
+    });
+  }
+
+  const kek = await deriveKeyEncryptionKey(password, base64ToBytes(stored.salt), stored.iterations);
+  let hmacKey;
+  try {
+    hmacKey = await crypto.subtle.unwrapKey('raw', base64ToBytes(stored.wrappedKey), kek, 'AES-KW', HMAC_PARAMS, true, ['sign']);
+  } catch {
+    throw new Error('Invalid admin password for blind index key');
+  }
+  indexKey = { kid: stored.kid, key: bytesToBase64(new Uint8Array(await crypto.subtle.exportKey('raw', hmacKey))) };
+
+  if (await firebaseService.getSetting(LEGACY_BLIND_INDEX_SETTING)) {
+    await firebaseService.deleteSetting(LEGACY_BLIND_INDEX_SETTING);
+    console.log('🗑️ Removed the unwrapped blind index key');
+  }
+  return indexKey.kid;
+};
+
+/**
+ * Re-wrap the blind index key under a new admin password
+ * @param {string} newPassword
+ * @throws {Error} - When the key is not unlocked
+ */
+export const rewrapBlindIndexKey = async (newPassword) => {
+  const stored = await firebaseService.getSetting(BLIND_INDEX_SETTING);
+  if (!stored) return;
+  if (!indexKey) {
+    throw new Error('Unlock the blind index key before changing the admin password');
+  }
+  await firebaseService.setSetting(BLIND_INDEX_SETTING, {
+    ...stored,
+    ...(await wrapIndexKey(base64ToBytes(indexKey.key), newPassword)),
+  });
+};
+
+/**
+ * Key ID of the unlocked blind index key
+ * @returns {string|null} - null while locked
+ */
+export const getBlindIndexKid = () => indexKey?.kid || null;
+
+/**
+ * Forget the unlocked blind index key (admin logout)
+ */
+export const lockBlindIndexKey = () => {
+  indexKey = null;
+};
+
+/**
+ * Normalize an identifier so formatting differences do not change its index
+ * ("1234 5678 9012" and "1234-5678-9012" index the same)
+ * @param {string} value - Identifier as entered or extracted
+ * @returns {string} - Upper-case identifier without spaces or dashes
+ */
+export const normalizeIdentifier = (value) => {
+  return String(value).toUpperCase().replace(/[\s-]/g, '');
+};
+
+/**
+ * Compute the blind index of one identifier
+ * The field name is part of the HMAC input, so equal values in different
+ * fields do not share an index.
+ * @param {string} field - Identifier field (e.g. 'aadhaar', 'panNumber')
+ * @param {string} value - Identifier value
+ * @returns {Promise<string>} - Index (hex)
+ * @throws {Error} - When the blind index key is not unlocked
+ */
+export const computeBlindIndex = async (field, value) => {
+  if (!indexKey) {
+    throw new Error('Unlock the blind index key first');
+  }
+  return hashData(`${field}:${normalizeIdentifier(value)}`, indexKey.key);
+};
+
+/**
+ * Compute the blind indexes of every indexed identifier in a record
+ * @param {object} record - Plaintext record
+ * @returns {Promise<object>} - Fields to store with the record ({ aadhaarIndex, ..., blindIndexKid })
+ * @throws {Error} - When the blind index key is not unlocked
+ */
+export const computeBlindIndexes = async (record) => {
+  if (!indexKey) {
+    throw new Error('Unlock the blind index key first');
+  }
+  const indexes = {};
+  for (const field of BLIND_INDEXED_FIELDS) {
+    const value = record?.[field];
+    if (isEmptyFieldValue(value) || typeof value === 'object') continue;
+    indexes[blindIndexFieldName(field)] = await computeBlindIndex(field, value);
+  }
+  return { ...indexes, blindIndexKid: indexKey.kid };
+};
+
+/**
+ * Index fields set to null, to remove the identifier indexes documents
+ * carried while the index key was readable by everyone
+ */
+export const CLEARED_BLIND_INDEXES = Object.freeze(
+  Object.fromEntries(BLIND_INDEXED_FIELDS.map(field => [blindIndexFieldName(field), null]))
+);
+
+/**
+ * Compute the username index of a submission (see the header)
+ * @param {string} username
+ * @returns {string} - Index (hex)
+ */
+export const computeUsernameIndex = (username) => {
+  return hashData(`username:${username}`, USERNAME_INDEX_KEY);
+};
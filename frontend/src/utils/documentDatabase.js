@@ -1,9 +1,13 @@
 /**
  * Document Database using Firebase Firestore
  * This module handles document storage and retrieval using Firebase
+ * Sensitive fields are encrypted with the user's key context before storage
  */
 
 import firebaseService from './firebaseService';
+import { encryptSubmissionData, decryptSubmissionData } from './encryption';
+import { CLEARED_BLIND_INDEXES } from './blindIndex';
+import { submissionStore } from './submissionStore';
 
 /**
  * Document Database Object
@@ -12,22 +16,25 @@ export const documentDB = {
   /**
    * Store document data for a user
    */
-  async storeDocument(username, documentData) {
-    return await firebaseService.storeDocument(username, documentData);
+  async storeDocument(username, documentData, keyContext) {
+    const encryptedDocument = await encryptSubmissionData({ ...documentData, ...CLEARED_BLIND_INDEXES }, keyContext);
+    return await firebaseService.storeDocument(username, encryptedDocument);
   },
 
   /**
    * Get document by username
    */
-  async getDocumentByUsername(username) {
-    return await firebaseService.getDocumentByUsername(username);
+  async getDocumentByUsername(username, keyContext) {
+    const document = await firebaseService.getDocumentByUsername(username);
+    return document ? await decryptSubmissionData(document, keyContext) : null;
   },
 
   /**
    * Get all documents for a user
    */
-  async getAllDocumentsByUsername(username) {
-    return await firebaseService.getAllDocumentsByUsername(username);
+  async getAllDocumentsByUsername(username, keyContext) {
+    const documents = await firebaseService.getAllDocumentsByUsername(username);
+    return await Promise.all(documents.map(document => decryptSubmissionData(document, keyContext)));
   },
 
   /**
@@ -37,11 +44,24 @@ export const documentDB = {
     return await firebaseService.hasDocument(username);
   },
 
+  /**
+   * Find documents by PAN number via the blind index of the submissions
+   * carrying it (documents have none, see blindIndex.js)
+   * Admin only: the blind index and reviewer keys must be unlocked.
+   * Returned documents are still encrypted; only their owners can decrypt them.
+   */
+  async findDocumentsByPan(panNumber) {
+    const submissions = await submissionStore.findByIdentifier('panNumber', panNumber);
+    const usernames = [...new Set(submissions.map(submission => submission.username))];
+    return (await Promise.all(usernames.map(username => firebaseService.getAllDocumentsByUsername(username)))).flat();
+  },
+
   /**
    * Update document data
    */
-  async updateDocument(username, documentData) {
-    return await firebaseService.updateDocument(username, documentData);
+  async updateDocument(username, documentData, keyContext) {
+    const encryptedDocument = await encryptSubmissionData({ ...documentData, ...CLEARED_BLIND_INDEXES }, keyContext);
+    return await firebaseService.updateDocument(username, encryptedDocument);
   },
 };
 
@@ -50,4 +70,5 @@ export const storeDocument = documentDB.storeDocument.bind(documentDB);
 export const getDocumentByUsername = documentDB.getDocumentByUsername.bind(documentDB);
 export const getAllDocumentsByUsername = documentDB.getAllDocumentsByUsername.bind(documentDB);
 export const hasDocument = documentDB.hasDocument.bind(documentDB);
+export const findDocumentsByPan = documentDB.findDocumentsByPan.bind(documentDB);
 export const updateDocument = documentDB.updateDocument.bind(documentDB);
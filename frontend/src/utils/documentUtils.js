@@ -1,61 +1,135 @@
 import QRCode from 'qrcode';
 import { documentDB } from './documentDatabase';
+import { presentSelectiveDisclosure, readDisclosures } from './qrSigning';
+import { registerQRCode } from './qrStatus';
+import { recordSharingEvent, SHARING_EVENTS } from './sharingHistory';
+import { encodeCompactQR } from './qrCompact';
+import { randomId } from './encoding';
 
 
-// Generate custom verification QR code
-export const generateCustomVerificationQR = async (documentData, selectedAttributes) => {
-  try {
-    // Create QR data with fields that match admin expectations
-    const qrData = {
-      docType: 'Document Verification',
-      verifiedAt: new Date().toISOString(),
-      username: documentData.username,
-      name: documentData.name,
-      dob: documentData.dob,
-      mobile: documentData.mobile,
-      aadhaar: documentData.aadhaar,
-      address: documentData.address
-    };
+// Reviewer-verified attributes committed to in every issued QR credential
+const QR_ATTRIBUTES = ['name', 'dob', 'mobile', 'aadhaar', 'address'];
 
-    // Build filtered QR data based on selected attributes
-    const filteredQrData = {
-      docType: qrData.docType,
-      verifiedAt: qrData.verifiedAt,
-      username: qrData.username,
-      name: qrData.name,
-      dob: qrData.dob,
-      mobile: qrData.mobile,
-      aadhaar: qrData.aadhaar
-    };
+// Ages a QR code can prove the holder is over, without the date of birth
+export const AGE_PREDICATE_THRESHOLDS = [18, 21, 60];
+
+// Name of the predicate claim for an age threshold (e.g. 'age_over_18')
+export const agePredicateClaim = (threshold) => `age_over_${threshold}`;
+
+// Attribute the user ticks on the Dashboard -> claim it discloses
+// (age is proven with the predicate for the chosen threshold, never the DOB)
+const SELECTABLE_ATTRIBUTES = {
+  name: () => 'name',
+  age: ({ ageThreshold }) => agePredicateClaim(ageThreshold),
+  address: () => 'address',
+};
+
+// Validity choices offered when generating a QR code (a custom value is also allowed)
+export const QR_VALIDITY_PRESETS = [
+  { label: '5 minutes', seconds: 5 * 60 },
+  { label: '1 hour', seconds: 60 * 60 },
+  { label: '1 day', seconds: 24 * 60 * 60 },
+];
+
+// Longest validity a QR code may be generated with
+export const MAX_QR_VALIDITY_SECONDS = 7 * 24 * 60 * 60;
+
+// Claims the admin issues in a QR credential, from a verified submission
+// (see verifiableCredential.js). Only the age predicates that hold are issued,
+// so a credential never states that its holder is under an age.
+export const credentialClaimsFor = (submission, at = new Date()) => {
+  const claims = {};
+  QR_ATTRIBUTES.forEach(attribute => {
+    claims[attribute] = submission[attribute];
+  });
+  Object.entries(computeAgePredicates(submission.dob, at))
+    .filter(([, holds]) => holds)
+    .forEach(([claim]) => {
+      claims[claim] = true;
+    });
+  return claims;
+};
 
-    // Add age field if age verification is selected
-    if (selectedAttributes.age) {
-      filteredQrData.age = qrData.dob; // Use dob as age field for verification
+// Generate custom verification QR code: a presentation of the QR credential
+// the admin issued (see verifiableCredential.js), signed with the holder's
+// wallet key. Only the selected attributes are disclosed; the others are
+// present as salted commitments only (see qrSigning.js). The code is
+// registered so the user can revoke it, and a single-use code is accepted
+// once. Verifiers reject it outside its nbf/exp window (see qrStatus.js).
+// The QR holds the compact encoding (see qrCompact.js); the link carries the
+// same code for verifiers that open it in a browser.
+// With `request` (see presentationRequest.js), the code answers a verifier's
+// request instead: it discloses exactly the requested claims and is bound to
+// the request's nonce and verifier.
+// Each code is logged in the user's sharing history (see sharingHistory.js).
+// Returns { qrCodeDataURL, verificationUrl, jti, expiresAt }
+export const generateCustomVerificationQR = async (qrCredential, selectedAttributes, signer, {
+  ageThreshold = 18,
+  singleUse = false,
+  validitySeconds = QR_VALIDITY_PRESETS[1].seconds,
+  request = null,
+} = {}) => {
+  try {
+    if (!Number.isInteger(validitySeconds) || validitySeconds <= 0 || validitySeconds > MAX_QR_VALIDITY_SECONDS) {
+      throw new Error('Validity must be between 1 second and 7 days');
+    }
+
+    if (!qrCredential) {
+      throw new Error('Your document has not been verified yet. QR codes can be generated once an admin verifies it');
     }
 
-    // Add address field if address verification is selected
-    if (selectedAttributes.address) {
-      filteredQrData.address = qrData.address;
+    const iat = Math.floor(Date.now() / 1000);
+    const claims = readDisclosures(qrCredential);
+
+    const disclose = request
+      ? request.claims
+      : Object.entries(SELECTABLE_ATTRIBUTES)
+        .filter(([attribute]) => selectedAttributes[attribute])
+        .map(([, claimFor]) => claimFor({ ageThreshold }));
+
+    const missing = disclose.find(claim => claims[claim] === undefined);
+    if (missing) {
+      throw new Error(missing.startsWith('age_over_')
+        ? 'Your verified document does not prove this age'
+        : `Your verified document has no ${missing}`);
     }
 
-    console.log('Generating QR with data:', filteredQrData);
-    console.log('Original document data:', documentData);
-    console.log('Selected attributes:', selectedAttributes);
+    console.log('Generating QR disclosing:', disclose);
 
-    // Generate QR code with verification URL
-    const verificationUrl = `${window.location.origin}/qr-verification?data=${encodeURIComponent(JSON.stringify(filteredQrData))}`;
-    const qrCodeDataURL = await QRCode.toDataURL(verificationUrl);
+    const presentation = {
+      jti: randomId('qr'),
+      iat,
+      nbf: iat,
+      exp: iat + validitySeconds,
+      single_use: singleUse,
+      ...(request && { nonce: request.nonce, aud: request.verifier }),
+    };
+    const sd = await presentSelectiveDisclosure(qrCredential, disclose, presentation, signer);
+    const payload = { ...presentation, sub: signer.owner };
+    await registerQRCode(payload, disclose);
+    await recordSharingEvent({
+      type: SHARING_EVENTS.GENERATED,
+      sub: payload.sub,
+      jti: payload.jti,
+      disclosed: disclose,
+      verifier: request?.verifier ?? null,
+      expiresAt: new Date(payload.exp * 1000).toISOString(),
+    });
+
+    const compactQR = await encodeCompactQR(sd);
+    const verificationUrl = `${window.location.origin}/qr-verification?data=${encodeURIComponent(compactQR)}`;
+    const qrCodeDataURL = await QRCode.toDataURL(compactQR, { errorCorrectionLevel: 'M' });
     
-    return qrCodeDataURL;
+    return { qrCodeDataURL, verificationUrl, jti: payload.jti, expiresAt: new Date(payload.exp * 1000) };
   } catch (error) {
     console.error('Error generating QR code:', error);
-    throw new Error('Failed to generate QR code');
+    throw new Error(`Failed to generate QR code: ${error.message}`);
   }
 };
 
-// Calculate age from date of birth
-export const calculateAge = (dob) => {
-  if (!dob || dob === 'Not found') return 0;
+// Parse a date of birth as extracted by OCR; returns null if it cannot be read
+const parseDateOfBirth = (dob) => {
+  if (!dob || dob === 'Not found' || dob === 'N/A') return null;
   
   try {
     let birthDate;
@@ -87,22 +161,58 @@ export const calculateAge = (dob) => {
     // Check if date is valid
     if (isNaN(birthDate.getTime())) {
       console.error('Invalid date format:', dob);
-      return 0;
+      return null;
     }
     
-    const today = new Date();
-    let age = today.getFullYear() - birthDate.getFullYear();
-    const monthDiff = today.getMonth() - birthDate.getMonth();
-    
-    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
-      age--;
-    }
-    
-    return Math.max(0, age);
+    return birthDate;
   } catch (error) {
-    console.error('Error calculating age from DOB:', dob, error);
-    return 0;
+    console.error('Error parsing DOB:', dob, error);
+    return null;
+  }
+};
+
+// Age in whole years on a given date
+const ageOn = (birthDate, date) => {
+  let age = date.getFullYear() - birthDate.getFullYear();
+  const monthDiff = date.getMonth() - birthDate.getMonth();
+  
+  if (monthDiff < 0 || (monthDiff === 0 && date.getDate() < birthDate.getDate())) {
+    age--;
   }
+  
+  return Math.max(0, age);
+};
+
+// Calculate age from date of birth
+export const calculateAge = (dob) => {
+  const birthDate = parseDateOfBirth(dob);
+  return birthDate ? ageOn(birthDate, new Date()) : 0;
+};
+
+// Date of birth as an ISO 8601 date (YYYY-MM-DD, or YYYY when only the year
+// is known); null if it cannot be read
+export const dateOfBirthToISO = (dob) => {
+  if (/^\d{4}(-\d{2}-\d{2})?$/.test(dob)) return dob;
+
+  const birthDate = parseDateOfBirth(dob);
+  if (!birthDate) return null;
+
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${birthDate.getFullYear()}-${pad(birthDate.getMonth() + 1)}-${pad(birthDate.getDate())}`;
+};
+
+// Compute the age predicates ({ age_over_18: true, ... }) for a date of birth
+// on a given date; empty if the date of birth cannot be read
+export const computeAgePredicates = (dob, at = new Date()) => {
+  const birthDate = parseDateOfBirth(dob);
+  if (!birthDate) return {};
+
+  const age = ageOn(birthDate, at);
+  const predicates = {};
+  AGE_PREDICATE_THRESHOLDS.forEach(threshold => {
+    predicates[agePredicateClaim(threshold)] = age >= threshold;
+  });
+  return predicates;
 };
 
 // Check if user has uploaded document
@@ -110,12 +220,12 @@ export const hasUserDocument = async (username) => {
   return await documentDB.hasDocument(username);
 };
 
-// Get user document data
-export const getUserDocument = async (username) => {
-  return await documentDB.getDocumentByUsername(username);
+// Get user document data (decrypted with the user's key context)
+export const getUserDocument = async (username, keyContext) => {
+  return await documentDB.getDocumentByUsername(username, keyContext);
 };
 
-// Save user document data
-export const saveUserDocument = async (documentData, username) => {
-  return await documentDB.storeDocument(username, documentData);
+// Save user document data (encrypted with the user's key context)
+export const saveUserDocument = async (documentData, username, keyContext) => {
+  return await documentDB.storeDocument(username, documentData, keyContext);
 };
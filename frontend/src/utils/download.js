@@ -0,0 +1,19 @@
+/**
+ * Download - save JSON the app produced (credentials, receipts) as a file
+ */
+
+/**
+ * Download a value as a JSON file
+ * @param {any} value - Value to save, pretty-printed
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type (e.g. 'application/ld+json' for a credential)
+ */
+export const downloadJSON = (value, filename, type = 'application/json') => {
+  const blob = new Blob([JSON.stringify(value, null, 2)], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,103 @@
+/**
+ * Encoding helpers shared by the WebCrypto based modules
+ * WebCrypto works on ArrayBuffers, Firestore and localStorage want strings
+ */
+
+/**
+ * Encode a string as UTF-8 bytes
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} - UTF-8 bytes
+ */
+export const utf8Encode = (text) => new TextEncoder().encode(text);
+
+/**
+ * Decode UTF-8 bytes into a string
+ * @param {ArrayBuffer|Uint8Array} bytes - UTF-8 bytes
+ * @returns {string} - Decoded text
+ */
+export const utf8Decode = (bytes) => new TextDecoder().decode(bytes);
+
+/**
+ * Encode bytes as standard base64
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64 string
+ */
+export const bytesToBase64 = (bytes) => {
+  const view = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < view.length; i++) {
+    binary += String.fromCharCode(view[i]);
+  }
+  return btoa(binary);
+};
+
+/**
+ * Decode a standard base64 string into bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export const base64ToBytes = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+/**
+ * Encode bytes as base64url without padding (JWS/JWT encoding)
+ * @param {ArrayBuffer|Uint8Array} bytes - Bytes to encode
+ * @returns {string} - Base64url string
+ */
+export const bytesToBase64Url = (bytes) => {
+  return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+/**
+ * Decode a base64url string (padded or not) into bytes
+ * @param {string} base64url - Base64url string
+ * @returns {Uint8Array} - Decoded bytes
+ */
+export const base64UrlToBytes = (base64url) => {
+  const base64 = base64url.replace(/-/g, '+').replace(/_/g, '/');
+  return base64ToBytes(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+};
+
+/**
+ * Generate cryptographically secure random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Uint8Array} - Random bytes
+ */
+export const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+/**
+ * Generate a random identifier suitable for key IDs and record IDs
+ * @param {string} prefix - Optional prefix (e.g. 'dk' for data keys)
+ * @returns {string} - Identifier such as 'dk_1f3a...'
+ */
+export const randomId = (prefix = '') => {
+  const hex = Array.from(randomBytes(12), (b) => b.toString(16).padStart(2, '0')).join('');
+  return prefix ? `${prefix}_${hex}` : hex;
+};
+
+/**
+ * Serialize a JSON value canonically (JCS, RFC 8785)
+ * Keys are sorted and no whitespace is added, so equal values always give
+ * the same string to sign.
+ * @param {any} value - JSON value
+ * @returns {string} - Canonical JSON
+ */
+export const canonicalJSON = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
@@ -1,153 +1,250 @@
 import CryptoJS from 'crypto-js';
+import { sealEnvelope, openEnvelope, openLegacyBlobForMigration, isLegacyBlob } from './envelope';
+import { FIELD_ACTIONS, getFieldAction, isEmptyFieldValue, canViewUnmasked } from './fieldPolicy';
 
-// Encryption key - In production, this should be stored securely
-const ENCRYPTION_KEY = 'SecureDigitalWallet2024!@#$%^&*()_+';
+const isEncryptedField = (value) => !!value && typeof value === 'object' && value.encrypted === true;
+const isHashedField = (value) => !!value && typeof value === 'object' && value.hashed === true;
+const isMaskedField = (value) => !!value && typeof value === 'object' && value.masked === true;
+
+/**
+ * One or more fields of a record could not be decrypted
+ * failures: [{ field, error }] where error is the underlying EnvelopeError
+ */
+export class FieldDecryptionError extends Error {
+  constructor(failures) {
+    super(`Failed to decrypt ${failures.map(f => f.field).join(', ')}`);
+    this.name = 'FieldDecryptionError';
+    this.failures = failures;
+  }
+}
 
 /**
  * Encrypt sensitive data
- * @param {string} data - Data to encrypt
- * @returns {string} - Encrypted data
+ * @param {any} data - Data to encrypt (JSON serializable)
+ * @param {object} keyContext - Key context from keyManagement ({ keyId, key })
+ * @returns {Promise<object>} - Versioned envelope (see envelope.js)
  */
-export const encryptData = (data) => {
+export const encryptData = async (data, keyContext) => {
   try {
-    const encrypted = CryptoJS.AES.encrypt(JSON.stringify(data), ENCRYPTION_KEY).toString();
-    return encrypted;
+    return await sealEnvelope(data, keyContext);
   } catch (error) {
     console.error('Encryption error:', error);
-    throw new Error('Failed to encrypt data');
+    throw error;
   }
 };
 
 /**
  * Decrypt sensitive data
- * @param {string} encryptedData - Encrypted data to decrypt
- * @returns {object} - Decrypted data
+ * @param {object} encryptedData - Envelope
+ * @param {object} keyContext - Key context from keyManagement ({ keyId, key })
+ * @returns {Promise<any>} - Decrypted data
+ * @throws {EnvelopeError} - Typed error when the envelope is malformed, sealed with another key or tampered with
  */
-export const decryptData = (encryptedData) => {
+export const decryptData = async (encryptedData, keyContext) => {
   try {
-    const bytes = CryptoJS.AES.decrypt(encryptedData, ENCRYPTION_KEY);
-    const decrypted = bytes.toString(CryptoJS.enc.Utf8);
-    return JSON.parse(decrypted);
+    return await openEnvelope(encryptedData, keyContext);
   } catch (error) {
     console.error('Decryption error:', error);
-    throw new Error('Failed to decrypt data');
+    throw error;
   }
 };
 
 /**
- * Encrypt specific sensitive fields in submission data
+ * Protect the fields of submission data according to the field policy of its documentType
  * @param {object} submissionData - Original submission data
- * @returns {object} - Submission data with encrypted sensitive fields
+ * @param {object} keyContext - Key context to encrypt with
+ * @returns {Promise<object>} - Submission data with encrypted, hashed or masked fields (see fieldPolicy.js)
  */
-export const encryptSubmissionData = (submissionData) => {
+export const encryptSubmissionData = async (submissionData, keyContext) => {
   try {
-    // Fields that should be encrypted
-    const sensitiveFields = ['name', 'dob', 'address', 'mobile', 'aadhaar'];
-    
     const encryptedSubmission = { ...submissionData };
     
-    // Encrypt each sensitive field
-    sensitiveFields.forEach(field => {
-      if (submissionData[field] && submissionData[field] !== 'Not found' && submissionData[field] !== 'N/A') {
-        encryptedSubmission[field] = {
-          encrypted: true,
-          data: encryptData(submissionData[field])
-        };
+    for (const [field, value] of Object.entries(submissionData)) {
+      // Placeholders, and values that are already protected, are kept as they are
+      if (isEmptyFieldValue(value) || isEncryptedField(value) || isHashedField(value) || isMaskedField(value)) continue;
+
+      switch (getFieldAction(submissionData.documentType, field)) {
+        case FIELD_ACTIONS.ENCRYPT:
+          encryptedSubmission[field] = {
+            encrypted: true,
+            data: await encryptData(value, keyContext)
+          };
+          break;
+        case FIELD_ACTIONS.HASH:
+          encryptedSubmission[field] = { hashed: true, hash: hashData(value) };
+          break;
+        case FIELD_ACTIONS.MASK:
+          encryptedSubmission[field] = { masked: true, value: maskSensitiveData(String(value), field) };
+          break;
+        default:
+          break;
       }
-    });
-    
-    // Also encrypt original data if it exists
-    if (submissionData.originalData) {
-      encryptedSubmission.originalData = {
-        encrypted: true,
-        data: encryptData(submissionData.originalData)
-      };
     }
     
     console.log('Encrypted submission data for user:', submissionData.username);
     return encryptedSubmission;
   } catch (error) {
     console.error('Error encrypting submission data:', error);
-    return submissionData; // Return original data if encryption fails
+    // Never fall back to storing the plaintext
+    throw error;
   }
 };
 
 /**
- * Decrypt specific sensitive fields in submission data
+ * Decrypt the encrypted fields of submission data
+ * Masked fields come back in their masked form and hashed fields, which cannot
+ * be reversed, as null. Fields that fail to
+ * decrypt are set to null and listed in `decryptionErrors`; with `strict` the
+ * whole call throws a FieldDecryptionError instead. Legacy CryptoJS fields
+ * only decrypt with `migrateLegacy`, which only key rotation passes.
  * @param {object} encryptedSubmission - Submission data with encrypted fields
- * @returns {object} - Submission data with decrypted sensitive fields
+ * @param {object} keyContext - Key context to decrypt with
+ * @param {object} options - { strict: boolean, migrateLegacy: boolean }
+ * @returns {Promise<object>} - Submission data with decrypted sensitive fields
  */
-export const decryptSubmissionData = (encryptedSubmission) => {
+export const decryptSubmissionData = async (encryptedSubmission, keyContext, { strict = false, migrateLegacy = false } = {}) => {
+  const failures = [];
   try {
     const decryptedSubmission = { ...encryptedSubmission };
     
-    // Fields that might be encrypted
-    const sensitiveFields = ['name', 'dob', 'address', 'mobile', 'aadhaar'];
-    
-    // Decrypt each field if it's encrypted
-    sensitiveFields.forEach(field => {
-      if (encryptedSubmission[field] && 
-          typeof encryptedSubmission[field] === 'object' && 
-          encryptedSubmission[field].encrypted) {
+    // Decrypt by stored form rather than by the current policy, so records
+    // written under an older policy still read back completely
+    for (const [field, value] of Object.entries(encryptedSubmission)) {
+      if (isEncryptedField(value)) {
         try {
-          decryptedSubmission[field] = decryptData(encryptedSubmission[field].data);
+          decryptedSubmission[field] = migrateLegacy && isLegacyBlob(value.data)
+            ? openLegacyBlobForMigration(value.data)
+            : await decryptData(value.data, keyContext);
         } catch (error) {
           console.error(`Error decrypting field ${field}:`, error);
-          decryptedSubmission[field] = 'Decryption Error';
+          failures.push({ field, error });
+          decryptedSubmission[field] = null;
         }
+      } else if (isMaskedField(value)) {
+        decryptedSubmission[field] = value.value;
+      } else if (isHashedField(value)) {
+        decryptedSubmission[field] = null;
       }
-    });
+    }
     
-    // Decrypt original data if it exists and is encrypted
-    if (encryptedSubmission.originalData && 
-        typeof encryptedSubmission.originalData === 'object' && 
-        encryptedSubmission.originalData.encrypted) {
-      try {
-        decryptedSubmission.originalData = decryptData(encryptedSubmission.originalData.data);
-      } catch (error) {
-        console.error('Error decrypting original data:', error);
-        decryptedSubmission.originalData = null;
-      }
+    if (failures.length > 0) {
+      if (strict) throw new FieldDecryptionError(failures);
+      decryptedSubmission.decryptionErrors = failures.map(({ field, error }) => ({ field, reason: error.name }));
     }
     
     return decryptedSubmission;
   } catch (error) {
+    if (strict) throw error;
     console.error('Error decrypting submission data:', error);
     return encryptedSubmission; // Return original data if decryption fails
   }
 };
 
+/**
+ * List the keys a record's fields are encrypted with
+ * Legacy CryptoJS fields are reported as 'legacy', and fields the field policy
+ * wants protected but that are stored in the clear as 'plaintext'. Used by key
+ * rotation to find records to migrate.
+ * @param {object} record - Record with encrypted fields
+ * @returns {string[]} - Distinct key IDs
+ */
+export const listEncryptionKeyIds = (record) => {
+  const keyIds = new Set();
+  for (const [field, value] of Object.entries(record || {})) {
+    if (isEncryptedField(value)) {
+      keyIds.add(isLegacyBlob(value.data) ? 'legacy' : value.data?.kid);
+    } else if (!isEmptyFieldValue(value) && !isHashedField(value) && !isMaskedField(value) &&
+               getFieldAction(record.documentType, field) !== FIELD_ACTIONS.PLAIN) {
+      keyIds.add('plaintext');
+    }
+  }
+  return [...keyIds];
+};
+
 /**
  * Hash sensitive data for comparison (one-way)
+ * With a key the hash is an HMAC-SHA256, which is what blind indexes use
+ * (see blindIndex.js): without the key nobody can hash a guessed identifier
+ * and compare it with stored indexes.
  * @param {string} data - Data to hash
+ * @param {string} key - Optional HMAC key
  * @returns {string} - Hashed data
  */
-export const hashData = (data) => {
+export const hashData = (data, key = null) => {
   try {
-    return CryptoJS.SHA256(data.toString()).toString();
+    return key
+      ? CryptoJS.HmacSHA256(data.toString(), key).toString()
+      : CryptoJS.SHA256(data.toString()).toString();
   } catch (error) {
     console.error('Hashing error:', error);
+    // A keyed hash goes into a queryable index; never let the plaintext through
+    if (key) throw error;
     return data;
   }
 };
 
+// Field names that share a mask type with a differently named field
+const MASK_TYPE_ALIASES = {
+  aadharNumber: 'aadhaar',
+  panNumber: 'pan',
+  dlNumber: 'dl',
+  epicNumber: 'epic',
+  voterId: 'epic',
+  pinCode: 'pincode',
+};
+
+// Replace every character but the last `visible` ones with X (UIDAI masked-Aadhaar style)
+const maskAllButLast = (value, visible) => {
+  return value.length > visible ? `${'X'.repeat(value.length - visible)}${value.slice(-visible)}` : 'X'.repeat(value.length);
+};
+
 /**
  * Create a masked version of sensitive data for display
+ * Identifiers follow UIDAI's masked Aadhaar: everything but the last 4 digits
+ * is replaced with X. With a viewer role, types the role may see (see
+ * VIEWER_ROLES in fieldPolicy.js) are returned unmasked.
  * @param {string} data - Original data
- * @param {string} type - Type of data (mobile, aadhaar, etc.)
+ * @param {string} type - Type of data (mobile, aadhaar, pan, dl, epic, email, pincode, dob, name, address) or a field name
+ * @param {string} role - Optional viewer role
  * @returns {string} - Masked data
  */
-export const maskSensitiveData = (data, type) => {
+export const maskSensitiveData = (data, type, role = null) => {
   if (!data || data === 'Not found' || data === 'N/A') return data;
   
-  switch (type) {
+  const maskType = MASK_TYPE_ALIASES[type] || type;
+  if (role && canViewUnmasked(role, maskType)) return data;
+  
+  const compact = String(data).replace(/[\s-]/g, '').toUpperCase();
+  
+  switch (maskType) {
     case 'mobile':
-      return data.length >= 4 ? `****${data.slice(-4)}` : '****';
-    case 'aadhaar':
-      return data.length >= 4 ? `****-****-${data.slice(-4)}` : '****-****-****';
-    case 'name':
+      return maskAllButLast(compact.slice(-10), 4);
+    case 'aadhaar': {
+      // XXXX XXXX 1234
+      const digits = compact.padStart(12, 'X');
+      return `XXXX XXXX ${digits.slice(-4)}`;
+    }
+    case 'pan':
+      // ABCDE1234F -> XXXXX1234X: only the sequence digits stay visible
+      return compact.length === 10 ? `XXXXX${compact.slice(5, 9)}X` : maskAllButLast(compact, 4);
+    case 'dl':
+    case 'epic':
+      return maskAllButLast(compact, 4);
+    case 'email': {
+      const [local, domain] = String(data).split('@');
+      return domain ? `${local[0]}${'*'.repeat(Math.max(local.length - 1, 3))}@${domain}` : maskAllButLast(String(data), 2);
+    }
+    case 'pincode':
+      // The first three digits only name the sorting district
+      return compact.length === 6 ? `${compact.slice(0, 3)}XXX` : maskAllButLast(compact, 2);
+    case 'dob': {
+      const year = String(data).match(/\b(\d{4})\b/);
+      return year ? year[1] : 'XXXX';
+    }
+    case 'name': {
       const names = data.split(' ');
       return names.length > 1 ? `${names[0]} ${'*'.repeat(names[names.length - 1].length)}` : `${data[0]}${'*'.repeat(data.length - 1)}`;
+    }
     case 'address':
       return data.length > 20 ? `${data.substring(0, 20)}...` : data;
     default:
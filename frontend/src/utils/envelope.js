@@ -0,0 +1,214 @@
+/**
+ * Authenticated Encryption Envelope
+ * The single ciphertext format used by encryption.js and submissionStore.js
+ *
+ * Envelope shape (JSON, stored as-is in Firestore/localStorage):
+ * {
+ *   v: 1,                 // envelope version
+ *   alg: 'AES-256-GCM',   // algorithm
+ *   kid: 'dk_...',        // key ID of the key context that sealed it
+ *   iv: '<base64>',       // 96-bit nonce
+ *   ct: '<base64>',       // ciphertext
+ *   tag: '<base64>'       // 128-bit GCM authentication tag
+ * }
+ *
+ * The header (v, alg, kid) is bound as additional authenticated data, so
+ * changing any field makes openEnvelope fail with EnvelopeIntegrityError.
+ * openEnvelope accepts nothing else: any other shape is an EnvelopeFormatError.
+ *
+ * Records written before this format are CryptoJS passphrase strings
+ * ("U2FsdGVkX1..."). Their passphrases ship in the bundle, so anyone can forge
+ * one; they are only read by key rotation, to migrate them
+ * (openLegacyBlobForMigration), and never written.
+ */
+
+import CryptoJS from 'crypto-js';
+import { utf8Encode, utf8Decode, bytesToBase64, base64ToBytes, randomBytes } from './encoding';
+
+export const ENVELOPE_VERSION = 1;
+export const ENVELOPE_ALGORITHM = 'AES-256-GCM';
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Passphrases of the two pre-envelope code paths (documents and the submission queue).
+// Only used to migrate legacy blobs; nothing new is encrypted with them.
+const LEGACY_PASSPHRASES = [
+  'SecureDigitalWallet2024!@#$%^&*()_+',
+  'secure-digital-wallet-2024',
+];
+
+/**
+ * Base class for envelope failures
+ */
+export class EnvelopeError extends Error {
+  constructor(message, kid = null) {
+    super(message);
+    this.name = 'EnvelopeError';
+    this.kid = kid;
+  }
+}
+
+/**
+ * The envelope is not something openEnvelope understands
+ */
+export class EnvelopeFormatError extends EnvelopeError {
+  constructor(message, kid = null) {
+    super(message, kid);
+    this.name = 'EnvelopeFormatError';
+  }
+}
+
+/**
+ * The envelope was sealed with a different key than the one supplied
+ */
+export class EnvelopeKeyError extends EnvelopeError {
+  constructor(message, kid = null) {
+    super(message, kid);
+    this.name = 'EnvelopeKeyError';
+  }
+}
+
+/**
+ * Authentication failed: the ciphertext, tag or header was modified
+ */
+export class EnvelopeIntegrityError extends EnvelopeError {
+  constructor(message, kid = null) {
+    super(message, kid);
+    this.name = 'EnvelopeIntegrityError';
+  }
+}
+
+const headerAad = (v, alg, kid) => utf8Encode(`${v}|${alg}|${kid}`);
+
+const ENVELOPE_FIELDS = ['v', 'alg', 'kid', 'iv', 'ct', 'tag'];
+
+/**
+ * Check whether a value is a versioned envelope: exactly the envelope fields
+ * @param {any} value - Stored value
+ * @returns {boolean}
+ */
+export const isEnvelope = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const fields = Object.keys(value);
+  return fields.length === ENVELOPE_FIELDS.length
+    && ENVELOPE_FIELDS.every(field => fields.includes(field))
+    && typeof value.v === 'number'
+    && ENVELOPE_FIELDS.slice(1).every(field => typeof value[field] === 'string');
+};
+
+/**
+ * Check whether a value is a legacy CryptoJS passphrase blob
+ * @param {any} value - Stored value
+ * @returns {boolean}
+ */
+export const isLegacyBlob = (value) => {
+  return typeof value === 'string' && value.startsWith('U2FsdGVkX1');
+};
+
+/**
+ * Seal data into an envelope
+ * @param {any} data - Data to encrypt (JSON serializable)
+ * @param {object} keyContext - Key context from keyManagement ({ keyId, key })
+ * @returns {Promise<object>} - Envelope
+ */
+export const sealEnvelope = async (data, keyContext) => {
+  if (!keyContext?.key || !keyContext.keyId) {
+    throw new EnvelopeKeyError('A key context is required to seal an envelope');
+  }
+
+  const iv = randomBytes(IV_LENGTH);
+  const sealed = new Uint8Array(await crypto.subtle.encrypt(
+    {
+      name: 'AES-GCM',
+      iv,
+      additionalData: headerAad(ENVELOPE_VERSION, ENVELOPE_ALGORITHM, keyContext.keyId),
+      tagLength: TAG_LENGTH * 8,
+    },
+    keyContext.key,
+    utf8Encode(JSON.stringify(data))
+  ));
+
+  // WebCrypto appends the tag to the ciphertext; store it as its own field
+  return {
+    v: ENVELOPE_VERSION,
+    alg: ENVELOPE_ALGORITHM,
+    kid: keyContext.keyId,
+    iv: bytesToBase64(iv),
+    ct: bytesToBase64(sealed.slice(0, sealed.length - TAG_LENGTH)),
+    tag: bytesToBase64(sealed.slice(sealed.length - TAG_LENGTH)),
+  };
+};
+
+/**
+ * Decrypt a legacy CryptoJS blob, for migration to an envelope only
+ * The blob is not authenticated by any secret (see the header), so its
+ * contents are only as trustworthy as the record it came from.
+ * @param {string} blob - CryptoJS passphrase ciphertext
+ * @returns {any} - Decrypted data
+ * @throws {EnvelopeFormatError|EnvelopeIntegrityError}
+ */
+export const openLegacyBlobForMigration = (blob) => {
+  if (!isLegacyBlob(blob)) {
+    throw new EnvelopeFormatError('Value is not a legacy record');
+  }
+  for (const passphrase of LEGACY_PASSPHRASES) {
+    try {
+      const text = CryptoJS.AES.decrypt(blob, passphrase).toString(CryptoJS.enc.Utf8);
+      if (text) return JSON.parse(text);
+    } catch {
+      // Wrong passphrase produces malformed UTF-8 or JSON, try the next one
+    }
+  }
+  throw new EnvelopeIntegrityError('Legacy record could not be decrypted', 'legacy');
+};
+
+/**
+ * Open an envelope
+ * @param {object} envelope - Envelope from sealEnvelope
+ * @param {object} keyContext - Key context whose keyId matches envelope.kid
+ * @returns {Promise<any>} - Decrypted data
+ * @throws {EnvelopeFormatError|EnvelopeKeyError|EnvelopeIntegrityError}
+ */
+export const openEnvelope = async (envelope, keyContext) => {
+  if (!isEnvelope(envelope)) {
+    throw new EnvelopeFormatError(isLegacyBlob(envelope)
+      ? 'Legacy record: it must be migrated by key rotation before it can be read'
+      : 'Value is not an encryption envelope');
+  }
+
+  const { v, alg, kid, iv, ct, tag } = envelope;
+  if (v !== ENVELOPE_VERSION || alg !== ENVELOPE_ALGORITHM) {
+    throw new EnvelopeFormatError(`Unsupported envelope v${v} (${alg})`, kid);
+  }
+  if (!keyContext?.key) {
+    throw new EnvelopeKeyError('A key context is required to open an envelope', kid);
+  }
+  if (kid !== keyContext.keyId) {
+    throw new EnvelopeKeyError(`Envelope was sealed with key ${kid}, not ${keyContext.keyId}`, kid);
+  }
+
+  let plaintext;
+  try {
+    const ctBytes = base64ToBytes(ct);
+    const tagBytes = base64ToBytes(tag);
+    const sealed = new Uint8Array(ctBytes.length + tagBytes.length);
+    sealed.set(ctBytes);
+    sealed.set(tagBytes, ctBytes.length);
+
+    plaintext = await crypto.subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: base64ToBytes(iv),
+        additionalData: headerAad(v, alg, kid),
+        tagLength: TAG_LENGTH * 8,
+      },
+      keyContext.key,
+      sealed
+    );
+  } catch {
+    throw new EnvelopeIntegrityError('Envelope failed authentication (tampered or wrong key)', kid);
+  }
+
+  return JSON.parse(utf8Decode(plaintext));
+};
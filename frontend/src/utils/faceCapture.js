@@ -0,0 +1,50 @@
+import * as faceapi from "face-api.js";
+import { ensureModelsLoaded } from "../components/loadModels";
+import { LivenessError } from "./liveness";
+import { imageToPixels } from "./presentationAttackDetection";
+
+// Camera frames for verifyLiveFace (see faceMatching.js), read with face-api.js
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error("Failed to load live image."));
+  image.src = src;
+});
+
+/**
+ * Detect the faces in the current video frame
+ * @param {HTMLVideoElement} video - Webcam video
+ * @param {object} options
+ * @param {boolean} options.withDescriptor - Also compute the descriptor
+ * @returns {Promise<object>} - { faces, points, descriptor, score, faceWidth } (see runLivenessCheck)
+ */
+export const captureFaceFrame = async (video, { withDescriptor }) => {
+  if (!video) {
+    throw new LivenessError("The camera was turned off.");
+  }
+  await ensureModelsLoaded();
+  const task = faceapi.detectAllFaces(video).withFaceLandmarks();
+  const detections = withDescriptor ? await task.withFaceDescriptors() : await task;
+  const [detection] = detections;
+  return {
+    faces: detections.length,
+    points: detection?.landmarks.positions,
+    descriptor: detection?.descriptor,
+    score: detection?.detection.score,
+    faceWidth: detection?.detection.box.width,
+  };
+};
+
+/**
+ * Pixels of the current webcam frame
+ * @param {object} webcam - react-webcam instance
+ * @returns {Promise<ImageData>}
+ */
+export const captureStillPixels = async (webcam) => {
+  const screenshot = webcam?.getScreenshot();
+  if (!screenshot) {
+    throw new LivenessError("The camera was turned off.");
+  }
+  return imageToPixels(await loadImage(screenshot));
+};
@@ -0,0 +1,236 @@
+/**
+ * Face Login - passwordless login with an enrolled face template
+ *
+ * After a successful face match in FaceAuthentication a user may enroll
+ * their face for login in this browser. The password stays the fallback:
+ * face login is only offered where the user enrolled, and can be turned off
+ * from the Dashboard.
+ *
+ * The data key is normally unwrapped with the password (keyManagement.js),
+ * so enrollment creates a device key: a non-extractable AES-GCM key kept in
+ * this browser's IndexedDB. The user record holds, per device key:
+ * faceLogin: {
+ *   [deviceKeyId]: {
+ *     template,     // envelope of { descriptor: number[128] } under the device key
+ *     dataKey,      // the user's data key, sealed under the device key
+ *     enrolledAt, expiresAt
+ *   }
+ * }
+ * The database alone cannot open the template or the data key, and an
+ * enrollment copied to another browser is useless there. In this browser,
+ * though, the device key alone opens the data key: the face is not part of
+ * any key. Logging in runs the same liveness, presentation attack and
+ * multi-frame checks as FaceAuthentication (verifyLiveFace in
+ * faceMatching.js), but only as a gate in the UI. Anyone who can run code in
+ * this browser's origin can unseal the data key without a face, so face login
+ * protects the data no better than the browser profile it is enrolled in.
+ *
+ * The enrolled descriptor is the mean of the descriptors captured during the
+ * liveness check of the enrolling session, i.e. the user's own face under
+ * their own camera, not the ID photo. Enrollments expire after
+ * FACE_LOGIN_RETENTION_MS and must then be renewed.
+ */
+
+import { openDB } from 'idb';
+import firebaseService from './firebaseService';
+import { sealEnvelope, openEnvelope } from './envelope';
+import { sealDataKey, openSealedDataKey, unlockUserKey } from './keyManagement';
+import { randomId } from './encoding';
+
+// How long an enrollment may be used before the face must be enrolled again
+export const FACE_LOGIN_RETENTION_MS = 365 * 24 * 60 * 60 * 1000;
+
+const DEVICE_KEY_DB = 'sdw-face-login';
+const DEVICE_KEY_STORE = 'deviceKeys';
+
+// Users who said "not now" in this browser are not asked again
+const DECLINED_KEY_PREFIX = 'sdw_faceLoginDeclined_';
+
+/**
+ * Face login is not available or failed
+ */
+export class FaceLoginError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FaceLoginError';
+  }
+}
+
+const openDeviceKeyStore = () => openDB(DEVICE_KEY_DB, 1, {
+  upgrade(db) {
+    db.createObjectStore(DEVICE_KEY_STORE);
+  },
+});
+
+/**
+ * This browser's device key for a user
+ * @param {string} username
+ * @returns {Promise<{keyId: string, key: CryptoKey}|undefined>}
+ */
+const loadDeviceKey = async (username) => {
+  const db = await openDeviceKeyStore();
+  return db.get(DEVICE_KEY_STORE, username);
+};
+
+/**
+ * Mean of several face descriptors
+ * @param {Float32Array[]} descriptors
+ * @returns {number[]}
+ */
+const averageDescriptor = (descriptors) => {
+  const mean = new Array(descriptors[0].length).fill(0);
+  for (const descriptor of descriptors) {
+    descriptor.forEach((value, i) => {
+      mean[i] += value / descriptors.length;
+    });
+  }
+  return mean;
+};
+
+/**
+ * Find the enrollment usable in this browser
+ * @param {object} user - User record from firebaseService
+ * @returns {Promise<object|null>} - { deviceContext, template, dataKey, enrolledAt, expiresAt }, or null
+ */
+export const getFaceLoginEnrollment = async (user) => {
+  if (!user?.faceLogin) return null;
+  try {
+    const deviceKey = await loadDeviceKey(user.username);
+    const enrollment = deviceKey && user.faceLogin[deviceKey.keyId];
+    if (!enrollment || Date.now() >= new Date(enrollment.expiresAt).getTime()) return null;
+    return { ...enrollment, deviceContext: { ...deviceKey, username: user.username } };
+  } catch (error) {
+    console.error('Error reading face login device key:', error);
+    return null;
+  }
+};
+
+/**
+ * Check whether a user can log in with their face in this browser
+ * @param {string} username
+ * @returns {Promise<boolean>}
+ */
+export const isFaceLoginEnrolled = async (username) => {
+  return !!(await getFaceLoginEnrollment(await firebaseService.getUser(username)));
+};
+
+/**
+ * Enroll the user's face for login in this browser
+ * The session's data key is not extractable (see keyManagement.js), so the
+ * password is needed again to seal a copy under the device key.
+ * @param {Float32Array[]} descriptors - Descriptors of the user's live face (see runLivenessCheck)
+ * @param {string} username
+ * @param {string} password
+ * @throws {FaceLoginError} - When nothing was captured or the password is wrong
+ */
+export const enrollFaceLogin = async (descriptors, username, password) => {
+  if (!descriptors?.length) {
+    throw new FaceLoginError('No face was captured to enroll.');
+  }
+
+  const user = await firebaseService.getUser(username);
+  let keyContext;
+  try {
+    keyContext = await unlockUserKey(user, password);
+  } catch {
+    throw new FaceLoginError('Incorrect password.');
+  }
+
+  let deviceKey = await loadDeviceKey(username);
+  if (!deviceKey) {
+    deviceKey = {
+      keyId: randomId('fk'),
+      key: await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']),
+    };
+    const db = await openDeviceKeyStore();
+    await db.put(DEVICE_KEY_STORE, deviceKey, username);
+  }
+
+  const now = Date.now();
+  await firebaseService.saveUser(username, {
+    faceLogin: {
+      ...user?.faceLogin,
+      [deviceKey.keyId]: {
+        template: await sealEnvelope({ descriptor: averageDescriptor(descriptors) }, deviceKey),
+        dataKey: await sealDataKey(keyContext, deviceKey),
+        enrolledAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + FACE_LOGIN_RETENTION_MS).toISOString(),
+      },
+    },
+  });
+  localStorage.removeItem(`${DECLINED_KEY_PREFIX}${username}`);
+  console.log('🙂 Face login enrolled for', username);
+};
+
+/**
+ * Open the enrolled face descriptor, to match the live face against
+ * @param {object} enrollment - From getFaceLoginEnrollment
+ * @returns {Promise<Float32Array>}
+ */
+export const openFaceLoginTemplate = async (enrollment) => {
+  const { descriptor } = await openEnvelope(enrollment.template, enrollment.deviceContext);
+  return new Float32Array(descriptor);
+};
+
+/**
+ * Unlock the user's data key after their face matched
+ * @param {object} enrollment - From getFaceLoginEnrollment
+ * @returns {Promise<object>} - Key context, as unlockUserKey returns it
+ */
+export const unlockWithFaceLogin = async (enrollment) => {
+  const { username } = enrollment.deviceContext;
+  try {
+    const { keyId, key } = await openSealedDataKey(enrollment.dataKey, enrollment.deviceContext, true);
+    return { keyId, key, username };
+  } catch (error) {
+    console.error('Error opening face login data key:', error);
+    throw new FaceLoginError('Face login is out of date. Log in with your password and enroll again.');
+  }
+};
+
+/**
+ * Turn face login off in this browser
+ * @param {string} username
+ */
+export const disableFaceLogin = async (username) => {
+  const deviceKey = await loadDeviceKey(username);
+  if (deviceKey) {
+    const user = await firebaseService.getUser(username);
+    if (user?.faceLogin?.[deviceKey.keyId]) {
+      const faceLogin = { ...user.faceLogin };
+      delete faceLogin[deviceKey.keyId];
+      await firebaseService.saveUser(username, { faceLogin });
+    }
+  }
+  await forgetFaceLoginDevice(username);
+};
+
+/**
+ * Delete this browser's device key for a user
+ * @param {string} username
+ */
+export const forgetFaceLoginDevice = async (username) => {
+  try {
+    const db = await openDeviceKeyStore();
+    await db.delete(DEVICE_KEY_STORE, username);
+  } catch (error) {
+    console.error('Error deleting face login device key:', error);
+  }
+};
+
+/**
+ * Remember that the user does not want face login in this browser
+ * @param {string} username
+ */
+export const declineFaceLogin = (username) => {
+  localStorage.setItem(`${DECLINED_KEY_PREFIX}${username}`, new Date().toISOString());
+};
+
+/**
+ * Check whether the user declined face login in this browser
+ * @param {string} username
+ * @returns {boolean}
+ */
+export const hasDeclinedFaceLogin = (username) => {
+  return !!localStorage.getItem(`${DECLINED_KEY_PREFIX}${username}`);
+};
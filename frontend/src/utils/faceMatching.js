@@ -0,0 +1,216 @@
+/**
+ * Face Matching - live face against a stored face, over several camera frames
+ *
+ * One frame is noisy: a blink, motion blur or a slight turn can move its
+ * descriptor across the threshold either way. After the liveness check
+ * (see liveness.js) MATCH_FRAMES frames are captured and each is compared
+ * to the stored descriptor (the ID face, or an enrolled login template):
+ * - the decision uses the median distance, so one bad frame does not decide it
+ * - the confidence is the quality-weighted mean of each frame's calibrated
+ *   score (a logistic of its distance around the threshold), so sharp,
+ *   frontal, well-sized faces count for more than marginal ones
+ * Frames whose face is not the one that passed the liveness check fail the
+ * session.
+ *
+ * The distance threshold is configurable in the `settings` collection under
+ * `faceMatchThreshold` (AdminDashboard settings); lower is stricter. Anyone
+ * can write settings, so it is signed by the admin issuer key and a value
+ * without a valid signature is ignored (see issuerKeys.js).
+ *
+ * verifyLiveFace runs the whole check (liveness, presentation attack
+ * detection, then matching) for every place that compares a live face to a
+ * stored one.
+ */
+
+import { setAdminSignedSetting, getAdminSignedSetting } from './issuerKeys';
+import { createChallengeSequence, descriptorDistance, isConsistentWithLiveness, measureLandmarks, runLivenessCheck } from './liveness';
+import { runPresentationAttackDetection } from './presentationAttackDetection';
+
+export const FACE_MATCH_THRESHOLD_SETTING = 'faceMatchThreshold';
+
+// face-api.js's own recommendation for its recognition net
+export const DEFAULT_MATCH_THRESHOLD = 0.6;
+
+// Thresholds an admin may set
+export const MIN_MATCH_THRESHOLD = 0.3;
+export const MAX_MATCH_THRESHOLD = 0.8;
+
+// Frames compared per session, and how many may be unusable
+const MATCH_FRAMES = 5;
+const MAX_CAPTURE_ATTEMPTS = 10;
+const MIN_USABLE_FRAMES = 3;
+const FRAME_INTERVAL_MS = 150;
+
+// Frames below this quality are not used
+const MIN_FRAME_QUALITY = 0.3;
+
+// Face width (pixels) below which a frame loses quality
+const GOOD_FACE_WIDTH = 120;
+
+// Head turn (see measureLandmarks) at which a frame has no quality left
+const MAX_FRAME_YAW = 0.25;
+
+// Spread of the calibrated score around the threshold: a frame this far
+// below the threshold scores about 0.73, twice as far about 0.88
+const SCORE_SCALE = 0.06;
+
+/**
+ * Face matching could not reach a decision
+ */
+export class FaceMatchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FaceMatchError';
+  }
+}
+
+/**
+ * Check whether a value is an acceptable threshold
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isValidMatchThreshold = (value) => {
+  return typeof value === 'number' && value >= MIN_MATCH_THRESHOLD && value <= MAX_MATCH_THRESHOLD;
+};
+
+/**
+ * Load the configured distance threshold
+ * @returns {Promise<number>} - The setting, or DEFAULT_MATCH_THRESHOLD when unset, unsigned or invalid
+ */
+export const loadMatchThreshold = async () => {
+  const stored = await getAdminSignedSetting(FACE_MATCH_THRESHOLD_SETTING);
+  if (stored === null) return DEFAULT_MATCH_THRESHOLD;
+  if (!isValidMatchThreshold(stored)) {
+    console.warn('⚠️ Ignoring invalid face match threshold:', stored);
+    return DEFAULT_MATCH_THRESHOLD;
+  }
+  return stored;
+};
+
+/**
+ * Save the distance threshold
+ * @param {number} threshold
+ * @throws {FaceMatchError} - When the threshold is out of range
+ * @throws {Error} - When the admin issuer key is not unlocked
+ */
+export const saveMatchThreshold = async (threshold) => {
+  if (!isValidMatchThreshold(threshold)) {
+    throw new FaceMatchError(`The threshold must be between ${MIN_MATCH_THRESHOLD} and ${MAX_MATCH_THRESHOLD}.`);
+  }
+  await setAdminSignedSetting(FACE_MATCH_THRESHOLD_SETTING, threshold);
+};
+
+/**
+ * Quality of a frame for matching, from 0 to 1
+ * @param {object} frame - { score, faceWidth, points }: detector confidence,
+ *   face box width in pixels and 68 landmark positions
+ * @returns {number}
+ */
+export const frameQuality = ({ score, faceWidth, points }) => {
+  const size = Math.min(1, faceWidth / GOOD_FACE_WIDTH);
+  const frontal = Math.max(0, 1 - Math.abs(measureLandmarks(points).yaw) / MAX_FRAME_YAW);
+  return score * size * frontal;
+};
+
+/**
+ * Calibrated match score of one distance, from 0 to 1 (0.5 at the threshold)
+ * @param {number} distance
+ * @param {number} threshold
+ * @returns {number}
+ */
+export const matchScore = (distance, threshold) => 1 / (1 + Math.exp((distance - threshold) / SCORE_SCALE));
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Aggregate per-frame comparisons
+ * @param {{distance: number, quality: number}[]} frames
+ * @param {number} threshold
+ * @returns {{matched: boolean, distance: number, confidence: number, frames: number, threshold: number}}
+ */
+export const aggregateMatch = (frames, threshold) => {
+  const distance = median(frames.map(frame => frame.distance));
+  const weight = frames.reduce((sum, frame) => sum + frame.quality, 0);
+  const confidence = frames.reduce((sum, frame) => sum + frame.quality * matchScore(frame.distance, threshold), 0) / weight;
+  return {
+    matched: distance < threshold,
+    distance: Number(distance.toFixed(4)),
+    confidence: Number(confidence.toFixed(3)),
+    frames: frames.length,
+    threshold,
+  };
+};
+
+/**
+ * Compare the live face to a stored face over several frames
+ * @param {object} options
+ * @param {Function} options.captureFrame - async ({ withDescriptor }) => { faces, points, descriptor, score, faceWidth }
+ *   (see runLivenessCheck)
+ * @param {Float32Array} options.reference - Stored face descriptor
+ * @param {number} options.threshold - Distance threshold (see loadMatchThreshold)
+ * @param {object} [options.liveness] - Result of runLivenessCheck the frames must be consistent with
+ * @param {Function} [options.wait] - ms => Promise, pause between frames
+ * @returns {Promise<object>} - See aggregateMatch
+ * @throws {FaceMatchError}
+ */
+export const matchAcrossFrames = async ({
+  captureFrame,
+  reference,
+  threshold,
+  liveness = null,
+  wait = ms => new Promise(resolve => setTimeout(resolve, ms)),
+}) => {
+  const frames = [];
+  for (let attempt = 0; attempt < MAX_CAPTURE_ATTEMPTS && frames.length < MATCH_FRAMES; attempt++) {
+    if (attempt > 0) await wait(FRAME_INTERVAL_MS);
+    const frame = await captureFrame({ withDescriptor: true });
+    if (frame?.faces !== 1) continue;
+    if (liveness && !isConsistentWithLiveness(frame.descriptor, liveness)) {
+      throw new FaceMatchError('The face in the camera changed after the liveness check. Please try again.');
+    }
+    const quality = frameQuality(frame);
+    if (quality < MIN_FRAME_QUALITY) continue;
+    frames.push({ distance: descriptorDistance(reference, frame.descriptor), quality });
+  }
+
+  if (frames.length < MIN_USABLE_FRAMES) {
+    throw new FaceMatchError('Your face was not clear enough to compare. Face the camera in good light and try again.');
+  }
+  return aggregateMatch(frames, threshold);
+};
+
+/**
+ * Check that a live face is present and compare it to a stored face
+ * @param {object} options
+ * @param {Function} options.captureFrame - See matchAcrossFrames
+ * @param {Function} options.captureImage - async () => RGBA pixels of the current frame, for PAD
+ * @param {Function} options.openReference - async () => Float32Array, the stored descriptor;
+ *   opened only once the live checks passed, and zeroed after the comparison
+ * @param {Function} [options.onPrompt] - See runLivenessCheck
+ * @param {number} [options.challengeCount] - Liveness challenges to run (the liveness default when unset)
+ * @returns {Promise<{match: object, liveness: object, presentationAttack: object}>}
+ * @throws {LivenessError|FaceMatchError}
+ */
+export const verifyLiveFace = async ({ captureFrame, captureImage, openReference, onPrompt, challengeCount }) => {
+  const liveness = await runLivenessCheck({ captureFrame, onPrompt, challenges: createChallengeSequence(challengeCount) });
+
+  const presentationAttack = await runPresentationAttackDetection({ image: await captureImage(), liveness });
+  console.log('Presentation attack detection:', presentationAttack);
+  if (!presentationAttack.live) {
+    throw new FaceMatchError('Potential spoof detected. Authentication failed.');
+  }
+
+  const threshold = await loadMatchThreshold();
+  const reference = await openReference();
+  try {
+    const match = await matchAcrossFrames({ captureFrame, reference, threshold, liveness });
+    console.log('Comparison result:', match);
+    return { match, liveness, presentationAttack };
+  } finally {
+    reference.fill(0);
+  }
+};
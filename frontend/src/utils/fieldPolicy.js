@@ -0,0 +1,139 @@
+/**
+ * Field Policy - how each field of a stored document is protected
+ *
+ * Each documentType has a policy that maps field names to an action:
+ * - encrypt: sealed under the owner's key, stored as { encrypted: true, data: envelope }
+ * - hash:    only a one-way hash is kept, stored as { hashed: true, hash }
+ * - mask:    only the masked display form is kept, stored as { masked: true, value }
+ * - plain:   stored as-is
+ *
+ * Fields a policy does not list are encrypted. A new document type, or a new
+ * field returned by the OCR service, is therefore never stored in the clear
+ * until someone adds it to a policy as 'plain'.
+ *
+ * Document types are the ones the OCR backend returns (aadhar, pan,
+ * driving_license, voter_id, unknown).
+ */
+
+export const FIELD_ACTIONS = Object.freeze({
+  ENCRYPT: 'encrypt',
+  HASH: 'hash',
+  MASK: 'mask',
+  PLAIN: 'plain',
+});
+
+const { ENCRYPT, PLAIN } = FIELD_ACTIONS;
+
+// Record bookkeeping, never sensitive
+const METADATA_FIELDS = [
+  '_id', 'id', 'username', 'documentType', 'status',
+  'uploadedAt', 'updatedAt', 'createdAt', 'submittedAt',
+];
+
+// Fields shared by every identity document
+const COMMON_POLICY = {
+  name: ENCRYPT,
+  fatherName: ENCRYPT,
+  dob: ENCRYPT,
+  address: ENCRYPT,
+  pinCode: ENCRYPT,
+  mobile: ENCRYPT,
+  originalData: ENCRYPT,
+  gender: PLAIN,
+  state: PLAIN,
+};
+
+export const DOCUMENT_POLICIES = {
+  aadhar: {
+    ...COMMON_POLICY,
+    aadhaar: ENCRYPT,
+  },
+  pan: {
+    ...COMMON_POLICY,
+    panNumber: ENCRYPT,
+  },
+  driving_license: {
+    ...COMMON_POLICY,
+    dlNumber: ENCRYPT,
+    bloodGroup: ENCRYPT,
+    issueDate: PLAIN,
+    validity: PLAIN,
+  },
+  voter_id: {
+    ...COMMON_POLICY,
+    epicNumber: ENCRYPT,
+  },
+  unknown: COMMON_POLICY,
+};
+
+// The frontend has used both spellings of Aadhaar
+DOCUMENT_POLICIES.aadhaar = DOCUMENT_POLICIES.aadhar;
+
+// Identifiers that get a blind index next to their ciphertext (see blindIndex.js)
+export const BLIND_INDEXED_FIELDS = ['aadhaar', 'panNumber', 'dlNumber', 'epicNumber'];
+
+/**
+ * Name of the field holding the blind index of an identifier field
+ * @param {string} field - Identifier field (e.g. 'aadhaar')
+ * @returns {string} - Index field (e.g. 'aadhaarIndex')
+ */
+export const blindIndexFieldName = (field) => `${field}Index`;
+
+const BLIND_INDEX_FIELDS = BLIND_INDEXED_FIELDS.map(blindIndexFieldName);
+
+/**
+ * Viewer roles for display masking (see maskSensitiveData in encryption.js)
+ */
+export const VIEWER_ROLES = Object.freeze({
+  OWNER: 'owner',       // the user looking at their own document
+  ADMIN: 'admin',       // a reviewer in AdminDashboard with sensitive data hidden
+  VERIFIER: 'verifier', // whoever scans a QR code
+});
+
+// Mask types each role may see in the clear; every other type is masked.
+// Government identifiers are masked for everyone, as UIDAI does for Aadhaar.
+const VIEW_POLICIES = {
+  owner: ['name', 'dob', 'address', 'mobile', 'email', 'pincode', 'gender', 'state'],
+  admin: ['gender', 'state'],
+  verifier: ['name', 'address', 'gender', 'state'],
+};
+
+/**
+ * Check whether a viewer role may see a mask type in the clear
+ * @param {string} role - One of VIEWER_ROLES
+ * @param {string} type - Mask type (see maskSensitiveData)
+ * @returns {boolean}
+ */
+export const canViewUnmasked = (role, type) => {
+  return (VIEW_POLICIES[role] || []).includes(type);
+};
+
+/**
+ * Get the policy for a document type
+ * @param {string} documentType - Document type from the OCR service
+ * @returns {object} - Field name -> action
+ */
+export const getFieldPolicy = (documentType) => {
+  return DOCUMENT_POLICIES[documentType] || DOCUMENT_POLICIES.unknown;
+};
+
+/**
+ * Get the action for one field of a document
+ * @param {string} documentType - Document type from the OCR service
+ * @param {string} field - Field name
+ * @returns {string} - One of FIELD_ACTIONS (encrypt when the policy does not list the field)
+ */
+export const getFieldAction = (documentType, field) => {
+  if (METADATA_FIELDS.includes(field) || BLIND_INDEX_FIELDS.includes(field)) return PLAIN;
+  return getFieldPolicy(documentType)[field] || ENCRYPT;
+};
+
+/**
+ * Check whether a field value is a placeholder for "nothing extracted"
+ * Placeholders are stored as-is whatever the policy says.
+ * @param {any} value - Field value
+ * @returns {boolean}
+ */
+export const isEmptyFieldValue = (value) => {
+  return value === null || value === undefined || value === '' || value === 'Not found' || value === 'N/A';
+};
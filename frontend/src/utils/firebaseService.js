@@ -24,6 +24,7 @@ import {
   deleteDoc, 
   query, 
   where,
+  runTransaction,
   serverTimestamp 
 } from 'firebase/firestore';
 
@@ -185,6 +186,20 @@ class FirebaseService {
           return { insertedId: docId };
         }
         
+        case 'insertIfAbsent': {
+          // A transaction, so concurrent callers agree on one document
+          const { _id, ...docData } = data;
+          const docRef = doc(this.db, collectionName, _id);
+          return await runTransaction(this.db, async (transaction) => {
+            const docSnap = await transaction.get(docRef);
+            if (docSnap.exists()) {
+              return { inserted: false, document: { _id, ...docSnap.data() } };
+            }
+            transaction.set(docRef, docData);
+            return { inserted: true, document: data };
+          });
+        }
+        
         case 'updateOne': {
           // Find document first
           let docId = queryData._id;
@@ -295,6 +310,18 @@ class FirebaseService {
         result = { insertedId: newItem._id };
         break;
 
+      case 'insertIfAbsent': {
+        const existingItem = items.find(item => item._id === data._id);
+        if (existingItem) {
+          result = { inserted: false, document: existingItem };
+        } else {
+          items.push(data);
+          localStorage.setItem(storageKey, JSON.stringify(items));
+          result = { inserted: true, document: data };
+        }
+        break;
+      }
+
       case 'updateOne':
         const updateIndex = items.findIndex(item => {
           return Object.keys(queryData).every(key => item[key] === queryData[key]);
@@ -422,6 +449,25 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Delete every document of a user
+   * @returns {number} - Number of documents deleted
+   */
+  async deleteDocumentsByUsername(username) {
+    try {
+      await this.getDB();
+      const documents = await this._executeOperation('documents', 'find', { username });
+      for (const document of documents) {
+        await this._executeOperation('documents', 'deleteOne', { _id: document._id });
+      }
+      console.log('Documents deleted for user:', username, documents.length);
+      return documents.length;
+    } catch (error) {
+      console.error('Error deleting documents:', error);
+      throw error;
+    }
+  }
+
   /**
    * Check if user has a document
    */
@@ -459,6 +505,22 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Update one document by its ID (a user may have several, e.g. during key rotation)
+   */
+  async updateDocumentById(documentId, documentData) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('documents', 'updateOne',
+        { _id: documentId },
+        { $set: { ...documentData, updatedAt: new Date().toISOString() } }
+      );
+    } catch (error) {
+      console.error('Error updating document:', error);
+      throw error;
+    }
+  }
+
   // ==================== SUBMISSION OPERATIONS ====================
 
   /**
@@ -508,6 +570,21 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Find submissions by the blind index of an identifier (see blindIndex.js)
+   * @param {string} indexField - Index field, e.g. 'aadhaarIndex'
+   * @param {string} index - Blind index to match
+   */
+  async findSubmissionsByIndex(indexField, index) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('submissions', 'find', { [indexField]: index });
+    } catch (error) {
+      console.error('❌ Firebase: Error finding submissions by index:', error);
+      return [];
+    }
+  }
+
   /**
    * Update a submission
    */
@@ -650,6 +727,42 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Store a setting unless it already exists
+   * Concurrent callers all get the value that was stored first.
+   * @returns {any} - The stored value
+   */
+  async createSettingIfAbsent(key, value) {
+    try {
+      await this.getDB();
+      const { inserted, document } = await this._executeOperation('settings', 'insertIfAbsent', {}, {
+        _id: key,
+        key,
+        value,
+        updatedAt: new Date().toISOString(),
+      });
+      if (inserted) console.log('Setting created:', key);
+      return document.value;
+    } catch (error) {
+      console.error('Error creating setting:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a setting
+   */
+  async deleteSetting(key) {
+    try {
+      await this.getDB();
+      const result = await this._executeOperation('settings', 'deleteOne', { key });
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('Error deleting setting:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all settings
    */
@@ -735,6 +848,308 @@ class FirebaseService {
     }
   }
 
+  /**
+   * Delete a user record
+   */
+  async deleteUser(username) {
+    try {
+      await this.getDB();
+      const result = await this._executeOperation('users', 'deleteOne', { username });
+      console.log('User deleted:', username);
+      return result.deletedCount > 0;
+    } catch (error) {
+      console.error('Error deleting user:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a deletion receipt (see userErasure.js)
+   */
+  async addErasureReceipt(receipt) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('erasureReceipts', 'insertOne', {}, { _id: receipt.receiptId, ...receipt });
+    } catch (error) {
+      console.error('Error storing erasure receipt:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Publish an issuer public key to the trust list (see issuerKeys.js)
+   */
+  async saveIssuerKey(entry) {
+    try {
+      await this.getDB();
+      const result = await this._executeOperation('issuerKeys', 'insertOne', {}, { _id: entry.kid, ...entry });
+      console.log('Issuer key published:', entry.kid);
+      return result;
+    } catch (error) {
+      console.error('Error publishing issuer key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Look up an issuer key in the trust list
+   */
+  async getIssuerKey(kid) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('issuerKeys', 'findOne', { _id: kid });
+    } catch (error) {
+      console.error('Error retrieving issuer key:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove every issuer key of an owner from the trust list
+   * @returns {number} - Number of keys removed
+   */
+  async deleteIssuerKeysByOwner(owner) {
+    try {
+      await this.getDB();
+      const keys = await this._executeOperation('issuerKeys', 'find', { owner });
+      let deleted = 0;
+      for (const key of keys) {
+        const result = await this._executeOperation('issuerKeys', 'deleteOne', { _id: key._id });
+        deleted += result.deletedCount;
+      }
+      return deleted;
+    } catch (error) {
+      console.error('Error deleting issuer keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the whole issuer trust list (for the offline verifier cache)
+   */
+  async getAllIssuerKeys() {
+    try {
+      await this.getDB();
+      return await this._executeOperation('issuerKeys', 'find', {});
+    } catch (error) {
+      console.error('Error retrieving issuer keys:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Register an issued QR code (see qrStatus.js)
+   */
+  async registerQRCode(record) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('qrCodes', 'insertOne', {}, { _id: record.jti, ...record });
+    } catch (error) {
+      console.error('Error registering QR code:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the status record of a QR code
+   */
+  async getQRCodeRecord(jti) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('qrCodes', 'findOne', { _id: jti });
+    } catch (error) {
+      console.error('Error retrieving QR code record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update the status record of a registered QR code
+   */
+  async updateQRCodeRecord(jti, fields) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('qrCodes', 'updateOne', { _id: jti }, { $set: fields });
+    } catch (error) {
+      console.error('Error updating QR code record:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the QR code records with a given status (for the offline verifier cache)
+   */
+  async getQRCodeRecordsByStatus(status) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('qrCodes', 'find', { status });
+    } catch (error) {
+      console.error('Error retrieving QR code records:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the QR codes issued about a user
+   */
+  async getQRCodesBySubject(sub) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('qrCodes', 'find', { sub });
+    } catch (error) {
+      console.error('Error retrieving QR codes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete the QR code records of a user
+   * @returns {number} - Number of records deleted
+   */
+  async deleteQRCodesBySubject(sub) {
+    try {
+      await this.getDB();
+      const records = await this._executeOperation('qrCodes', 'find', { sub });
+      let deleted = 0;
+      for (const record of records) {
+        const result = await this._executeOperation('qrCodes', 'deleteOne', { _id: record._id });
+        deleted += result.deletedCount;
+      }
+      return deleted;
+    } catch (error) {
+      console.error('Error deleting QR codes:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store an issued verifiable credential (see verifiableCredential.js)
+   */
+  async saveCredential(record) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('credentials', 'insertOne', {}, { _id: record.credentialId, ...record });
+    } catch (error) {
+      console.error('Error saving credential:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an issued verifiable credential (e.g. its holderKey after a data key rotation)
+   */
+  async updateCredential(credentialId, fields) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('credentials', 'updateOne', { _id: credentialId }, { $set: fields });
+    } catch (error) {
+      console.error('Error updating credential:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the credentials issued to a user
+   */
+  async getCredentialsBySubject(sub) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('credentials', 'find', { sub });
+    } catch (error) {
+      console.error('Error retrieving credentials:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete the credentials issued to a user
+   * @returns {number} - Number of records deleted
+   */
+  async deleteCredentialsBySubject(sub) {
+    try {
+      await this.getDB();
+      const records = await this._executeOperation('credentials', 'find', { sub });
+      let deleted = 0;
+      for (const record of records) {
+        const result = await this._executeOperation('credentials', 'deleteOne', { _id: record._id });
+        deleted += result.deletedCount;
+      }
+      return deleted;
+    } catch (error) {
+      console.error('Error deleting credentials:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Log a sharing event (see sharingHistory.js)
+   */
+  async saveSharingEvent(event) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('sharingHistory', 'insertOne', {}, { _id: event.eventId, ...event });
+    } catch (error) {
+      console.error('Error saving sharing event:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the sharing history of a user
+   */
+  async getSharingEventsBySubject(sub) {
+    try {
+      await this.getDB();
+      return await this._executeOperation('sharingHistory', 'find', { sub });
+    } catch (error) {
+      console.error('Error retrieving sharing history:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Delete the sharing history of a user
+   * @returns {number} - Number of records deleted
+   */
+  async deleteSharingEventsBySubject(sub) {
+    try {
+      await this.getDB();
+      const records = await this._executeOperation('sharingHistory', 'find', { sub });
+      let deleted = 0;
+      for (const record of records) {
+        const result = await this._executeOperation('sharingHistory', 'deleteOne', { _id: record._id });
+        deleted += result.deletedCount;
+      }
+      return deleted;
+    } catch (error) {
+      console.error('Error deleting sharing history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove records from the localStorage fallback, whatever mode is active
+   * Records written while Firebase was unavailable stay in localStorage after
+   * Firestore is configured; erasure has to reach them too.
+   * @param {string} collectionName - Collection name
+   * @param {Function} predicate - (item) => true for records to remove
+   * @returns {number} - Number of records removed
+   */
+  purgeLocalStorageRecords(collectionName, predicate) {
+    const storageKey = `firebase_${this.dbName}_${collectionName}`;
+    try {
+      const stored = localStorage.getItem(storageKey);
+      if (!stored) return 0;
+      const items = JSON.parse(stored);
+      const kept = items.filter(item => !predicate(item));
+      localStorage.setItem(storageKey, JSON.stringify(kept));
+      return items.length - kept.length;
+    } catch (error) {
+      console.error('Error purging storage:', error);
+      return 0;
+    }
+  }
+
   /**
    * Get all users
    */
@@ -0,0 +1,299 @@
+/**
+ * Issuer Keys - ECDSA P-256 keys that sign credentials and presentations
+ *
+ * There are two kinds of key:
+ * - admin: the admin's issuer key, wrapped under the admin password like the
+ *   reviewer keys (settings `adminIssuerKey`). It is the only key that may
+ *   issue claims: the credentials a wallet presents as QR codes (qrSigning.js)
+ *   and the W3C credential (verifiableCredential.js).
+ * - wallet: each user gets a signing key when they first submit a document.
+ *   The private key is kept on the user record sealed under their data key
+ *   (`signingKey`), like the biometric key. The admin binds its public key
+ *   into the credentials it issues to that user, so it may only sign
+ *   presentations of them, never claims.
+ *
+ * Public keys are listed in the `issuerKeys` collection:
+ * { _id: kid, kid, owner, role, publicKey (JWK), createdAt }
+ * Any browser can write that collection, so neither a listing nor its `role`
+ * makes a key trusted. Admin keys are trusted only when the RFC 7638
+ * thumbprint of their public key is pinned in the build, as a comma-separated
+ * list in VITE_ADMIN_ISSUER_KEYS (AdminDashboard shows the thumbprint to
+ * pin). Removing a wallet key from the list (e.g. by erasure) withdraws the
+ * presentations it signed. Offline, the list is read from the verifier cache
+ * (verifierCache.js), so a removal only takes effect there after the next
+ * sync.
+ *
+ * The same pinned key signs the settings other browsers must be able to
+ * trust, such as the reviewer keyring (signAsAdmin / isSignedByAdmin) and
+ * the security settings the AdminDashboard edits (setAdminSignedSetting /
+ * getAdminSignedSetting).
+ */
+
+import firebaseService from './firebaseService';
+import { sealEnvelope, openEnvelope } from './envelope';
+import { randomId, utf8Encode, bytesToBase64Url, base64UrlToBytes, canonicalJSON } from './encoding';
+import { wrapPrivateKeyWithPassword, unwrapPrivateKeyWithPassword } from './keyManagement';
+import { isOffline, getCachedIssuerKey } from './verifierCache';
+
+export const ISSUER_ROLES = Object.freeze({
+  WALLET: 'wallet',
+  ADMIN: 'admin',
+});
+
+export const ADMIN_ISSUER_SETTING = 'adminIssuerKey';
+export const ADMIN_ISSUER_OWNER = 'admin';
+
+// Thumbprints of the admin issuer keys this build trusts
+export const PINNED_ADMIN_KEYS = Object.freeze(
+  (import.meta.env.VITE_ADMIN_ISSUER_KEYS || '').split(',').map(thumbprint => thumbprint.trim()).filter(Boolean)
+);
+
+const ECDSA_PARAMS = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Signers unlocked in this page (owner -> { kid, owner, role, privateKey, publicKey }). Never persisted.
+const signers = new Map();
+
+/**
+ * Public part of an EC JWK
+ * @param {object} jwk - Public or private EC JWK
+ * @returns {object} - { kty, crv, x, y }
+ */
+const publicJwk = ({ kty, crv, x, y }) => ({ kty, crv, x, y });
+
+/**
+ * RFC 7638 thumbprint of an EC public key
+ * @param {object} jwk - EC JWK
+ * @returns {Promise<string>} - base64url(SHA-256) of the canonical JWK
+ */
+export const jwkThumbprint = async ({ crv, kty, x, y }) => {
+  const canonical = JSON.stringify({ crv, kty, x, y });
+  return bytesToBase64Url(await crypto.subtle.digest('SHA-256', utf8Encode(canonical)));
+};
+
+/**
+ * Check whether a public key is a pinned admin key
+ * @param {object} jwk - EC JWK
+ * @returns {Promise<boolean>}
+ */
+export const isPinnedAdminKey = async (jwk) => {
+  if (jwk?.kty !== 'EC' || jwk.crv !== 'P-256') return false;
+  return PINNED_ADMIN_KEYS.includes(await jwkThumbprint(jwk));
+};
+
+/**
+ * Generate an issuer key pair and publish its public key
+ */
+const createIssuerKeyPair = async (owner, role, prefix) => {
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(ECDSA_PARAMS, true, ['sign', 'verify']);
+  const kid = randomId(prefix);
+  const jwk = publicJwk(await crypto.subtle.exportKey('jwk', publicKey));
+
+  await firebaseService.saveIssuerKey({
+    kid,
+    owner,
+    role,
+    publicKey: jwk,
+    createdAt: new Date().toISOString(),
+  });
+
+  return { kid, privateKey, publicKey: jwk };
+};
+
+/**
+ * Get the wallet signer of a user, creating their signing key on first use
+ * @param {object} keyContext - The user's data key context
+ * @returns {Promise<object>} - Signer ({ kid, owner, role, privateKey, publicKey (JWK) })
+ */
+export const getWalletSigner = async (keyContext) => {
+  const { username } = keyContext;
+  if (signers.has(username)) return signers.get(username);
+
+  const user = await firebaseService.getUser(username);
+  let signer;
+
+  if (user?.signingKey) {
+    const { kid, privateKey } = await openEnvelope(user.signingKey, keyContext);
+    signer = {
+      kid,
+      owner: username,
+      role: ISSUER_ROLES.WALLET,
+      privateKey: await crypto.subtle.importKey('jwk', privateKey, ECDSA_PARAMS, false, ['sign']),
+      publicKey: publicJwk(privateKey),
+    };
+  } else {
+    const { kid, privateKey, publicKey } = await createIssuerKeyPair(username, ISSUER_ROLES.WALLET, 'ik');
+    const jwk = await crypto.subtle.exportKey('jwk', privateKey);
+    await firebaseService.saveUser(username, {
+      signingKey: await sealEnvelope({ kid, privateKey: jwk }, keyContext),
+    });
+    signer = { kid, owner: username, role: ISSUER_ROLES.WALLET, privateKey, publicKey };
+    console.log('🔑 Signing key created for', username);
+  }
+
+  signers.set(username, signer);
+  return signer;
+};
+
+/**
+ * Unlock the admin issuer key, creating it on first use
+ * Only call this with a password that has already been verified; a new key
+ * is wrapped under whatever password is given.
+ * @param {string} password - Admin password
+ * @returns {Promise<object>} - Signer
+ */
+export const unlockAdminIssuerKey = async (password) => {
+  const stored = await firebaseService.getSetting(ADMIN_ISSUER_SETTING);
+  let signer;
+
+  if (stored) {
+    let privateKey;
+    try {
+      privateKey = await unwrapPrivateKeyWithPassword(stored, password, ECDSA_PARAMS, ['sign']);
+    } catch {
+      throw new Error('Invalid admin password for issuer key');
+    }
+    const publicKey = publicJwk(await crypto.subtle.exportKey('jwk', privateKey));
+    signer = { kid: stored.kid, owner: ADMIN_ISSUER_OWNER, role: ISSUER_ROLES.ADMIN, privateKey, publicKey };
+  } else {
+    const { kid, privateKey, publicKey } = await createIssuerKeyPair(ADMIN_ISSUER_OWNER, ISSUER_ROLES.ADMIN, 'ak');
+    await firebaseService.setSetting(ADMIN_ISSUER_SETTING, {
+      kid,
+      ...(await wrapPrivateKeyWithPassword(privateKey, password)),
+      createdAt: new Date().toISOString(),
+    });
+    signer = { kid, owner: ADMIN_ISSUER_OWNER, role: ISSUER_ROLES.ADMIN, privateKey, publicKey };
+    console.log('🔑 Admin issuer key created:', kid);
+  }
+
+  signers.set(ADMIN_ISSUER_OWNER, signer);
+  return signer;
+};
+
+/**
+ * Get the admin signer, if unlocked in this page
+ * @returns {object|null} - Signer
+ */
+export const getAdminSigner = () => signers.get(ADMIN_ISSUER_OWNER) || null;
+
+/**
+ * Re-wrap the admin issuer key under a new admin password
+ * @param {string} newPassword - New admin password
+ */
+export const rewrapAdminIssuerKey = async (newPassword) => {
+  const stored = await firebaseService.getSetting(ADMIN_ISSUER_SETTING);
+  if (!stored) return;
+
+  const signer = getAdminSigner();
+  if (!signer) {
+    throw new Error('Unlock the issuer key before changing the admin password');
+  }
+  await firebaseService.setSetting(ADMIN_ISSUER_SETTING, {
+    ...stored,
+    ...(await wrapPrivateKeyWithPassword(signer.privateKey, newPassword)),
+  });
+};
+
+/**
+ * Look up a key in the `issuerKeys` list
+ */
+const getListedKey = async (kid) => {
+  if (!kid) return null;
+  if (isOffline()) return getCachedIssuerKey(kid);
+  return await firebaseService.getIssuerKey(kid);
+};
+
+/**
+ * Look up a key that may issue claims
+ * @param {string} kid - Key ID
+ * @returns {Promise<object|null>} - List entry, or null unless it is a pinned admin key
+ */
+export const getTrustedIssuerKey = async (kid) => {
+  const entry = await getListedKey(kid);
+  if (!entry || !(await isPinnedAdminKey(entry.publicKey))) return null;
+  return entry;
+};
+
+/**
+ * Check that a holder key bound into a credential is still listed
+ * @param {string} kid - Key ID from the credential's `cnf`
+ * @param {object} jwk - Public key from the credential's `cnf`
+ * @returns {Promise<boolean>} - False once the key was removed (e.g. by erasure)
+ */
+export const isHolderKeyListed = async (kid, jwk) => {
+  const entry = await getListedKey(kid);
+  return !!entry && (await jwkThumbprint(entry.publicKey)) === (await jwkThumbprint(jwk));
+};
+
+/**
+ * Sign a value with the admin issuer key
+ * @param {any} value - JSON value, signed in its canonical form
+ * @returns {Promise<{kid: string, signature: string}>} - Detached signature (base64url)
+ * @throws {Error} - When the issuer key is not unlocked
+ */
+export const signAsAdmin = async (value) => {
+  const signer = getAdminSigner();
+  if (!signer) {
+    throw new Error('Unlock the issuer key first');
+  }
+  const signature = await crypto.subtle.sign(SIGN_PARAMS, signer.privateKey, utf8Encode(canonicalJSON(value)));
+  return { kid: signer.kid, signature: bytesToBase64Url(signature) };
+};
+
+/**
+ * Check a signature made with signAsAdmin
+ * @param {any} value - The signed value
+ * @param {object} proof - { kid, signature } from signAsAdmin
+ * @returns {Promise<boolean>} - True only for a valid signature by a pinned admin key
+ */
+export const isSignedByAdmin = async (value, proof) => {
+  if (!proof?.signature) return false;
+  const entry = await getTrustedIssuerKey(proof.kid);
+  if (!entry) return false;
+  try {
+    const publicKey = await crypto.subtle.importKey('jwk', entry.publicKey, ECDSA_PARAMS, false, ['verify']);
+    return await crypto.subtle.verify(SIGN_PARAMS, publicKey, base64UrlToBytes(proof.signature), utf8Encode(canonicalJSON(value)));
+  } catch (error) {
+    console.error('Error checking admin signature:', error);
+    return false;
+  }
+};
+
+/**
+ * Save a setting signed by the unlocked admin key
+ * Stored as { value, signature }. The setting name is signed with the value,
+ * so a signed value cannot be copied under another name.
+ * @param {string} name - Setting name
+ * @param {any} value
+ * @throws {Error} - When the issuer key is not unlocked
+ */
+export const setAdminSignedSetting = async (name, value) => {
+  await firebaseService.setSetting(name, { value, signature: await signAsAdmin({ setting: name, value }) });
+};
+
+/**
+ * Load a setting saved with setAdminSignedSetting
+ * @param {string} name - Setting name
+ * @returns {Promise<any>} - The value, or null when unset or not signed by a pinned admin key
+ */
+export const getAdminSignedSetting = async (name) => {
+  const stored = await firebaseService.getSetting(name);
+  if (stored === null) return null;
+  if (!(await isSignedByAdmin({ setting: name, value: stored?.value }, stored?.signature))) {
+    console.warn('⚠️ Ignoring setting not signed by a pinned admin key:', name);
+    return null;
+  }
+  return stored.value;
+};
+
+/**
+ * Forget unlocked signers (logout)
+ * @param {string} owner - Only forget this owner's signer; all if omitted
+ */
+export const clearSigners = (owner = null) => {
+  if (owner) {
+    signers.delete(owner);
+  } else {
+    signers.clear();
+  }
+};
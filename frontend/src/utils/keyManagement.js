@@ -0,0 +1,303 @@
+/**
+ * Key Management for Secure Digital Wallet
+ * Derives per-user data keys from the user's password using PBKDF2 (WebCrypto)
+ *
+ * Each user gets a random AES-GCM data key. The data key is wrapped (AES-KW)
+ * with a key-encryption key derived from the password, and only the wrapped
+ * form is stored on the user record:
+ * - keySalt: PBKDF2 salt (base64)
+ * - keyIterations: PBKDF2 iteration count
+ * - dataKeyId: identifier of the data key, recorded on everything it encrypts
+ * - wrappedDataKey: the data key wrapped under the password-derived key (base64)
+ *
+ * A "key context" ({ keyId, key, username }) is what encryption.js takes
+ * instead of a hardcoded passphrase. Submissions are sealed to the reviewers'
+ * public key instead (see reviewerKeys.js).
+ *
+ * The logged-in user's data key is held as a non-extractable CryptoKey. To
+ * survive a page reload it is wrapped under a per-tab session key, itself a
+ * non-extractable AES-KW key in IndexedDB; only the wrapped form goes to
+ * sessionStorage. Neither store alone yields the raw key.
+ */
+
+import { openDB } from 'idb';
+import { utf8Encode, bytesToBase64, base64ToBytes, randomBytes, randomId } from './encoding';
+import { sealEnvelope, openEnvelope } from './envelope';
+
+export const PBKDF2_ITERATIONS = 310000;
+const SALT_LENGTH = 16;
+const SESSION_STORAGE_KEY = 'sdw_activeKeyContext';
+const SESSION_KEY_DB = 'sdw-session';
+const SESSION_KEY_STORE = 'sessionKeys';
+
+// Key context of the logged-in user, kept in memory (and wrapped in sessionStorage for reloads)
+let activeKeyContext = null;
+
+const openSessionKeyStore = () => openDB(SESSION_KEY_DB, 1, {
+  upgrade(db) {
+    db.createObjectStore(SESSION_KEY_STORE);
+  },
+});
+
+/**
+ * Derive a key-encryption key from a password
+ * @param {string} password - User password
+ * @param {Uint8Array} salt - PBKDF2 salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @param {string} algorithm - 'AES-KW' for symmetric keys, 'AES-GCM' for keys AES-KW cannot wrap (e.g. pkcs8)
+ * @returns {Promise<CryptoKey>} - Key used to wrap/unwrap another key
+ */
+export const deriveKeyEncryptionKey = async (password, salt, iterations = PBKDF2_ITERATIONS, algorithm = 'AES-KW') => {
+  const baseKey = await crypto.subtle.importKey('raw', utf8Encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: algorithm, length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+};
+
+/**
+ * Generate a fresh AES-GCM data key
+ * @returns {Promise<CryptoKey>} - Extractable AES-GCM key (extractable so it can be wrapped)
+ */
+export const generateDataKey = async () => {
+  return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+};
+
+/**
+ * Wrap a private key (PKCS#8) under a password
+ * Used for the admin's reviewer and issuer keys.
+ * @param {CryptoKey} privateKey - Extractable private key
+ * @param {string} password - Password to wrap it under
+ * @returns {Promise<object>} - { wrappedPrivateKey, iv, salt, iterations } (base64)
+ */
+export const wrapPrivateKeyWithPassword = async (privateKey, password) => {
+  const salt = randomBytes(SALT_LENGTH);
+  const iv = randomBytes(12);
+  const kek = await deriveKeyEncryptionKey(password, salt, PBKDF2_ITERATIONS, 'AES-GCM');
+  const wrapped = await crypto.subtle.wrapKey('pkcs8', privateKey, kek, { name: 'AES-GCM', iv });
+  return {
+    wrappedPrivateKey: bytesToBase64(wrapped),
+    iv: bytesToBase64(iv),
+    salt: bytesToBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+  };
+};
+
+/**
+ * Unwrap a private key wrapped with wrapPrivateKeyWithPassword
+ * @param {object} entry - { wrappedPrivateKey, iv, salt, iterations }
+ * @param {string} password - Password it was wrapped under
+ * @param {object} algorithm - Import parameters of the key (e.g. { name: 'ECDSA', namedCurve: 'P-256' })
+ * @param {string[]} usages - Key usages
+ * @returns {Promise<CryptoKey>} - Private key (extractable, so it can be re-wrapped)
+ * @throws {Error} - When the password is wrong
+ */
+export const unwrapPrivateKeyWithPassword = async (entry, password, algorithm, usages) => {
+  const kek = await deriveKeyEncryptionKey(password, base64ToBytes(entry.salt), entry.iterations, 'AES-GCM');
+  try {
+    return await crypto.subtle.unwrapKey(
+      'pkcs8',
+      base64ToBytes(entry.wrappedPrivateKey),
+      kek,
+      { name: 'AES-GCM', iv: base64ToBytes(entry.iv) },
+      algorithm,
+      true,
+      usages
+    );
+  } catch {
+    throw new Error('Invalid password');
+  }
+};
+
+/**
+ * Seal a copy of a data key under another key context
+ * Lets a user keep the key of something they sealed to someone else (e.g. a
+ * submission), so replies sealed with it are readable in their wallet.
+ * @param {object} dataKeyContext - Key context to copy ({ keyId, key }; the key must be extractable)
+ * @param {object} keyContext - Key context to seal it under (the user's)
+ * @returns {Promise<object>} - Envelope
+ */
+export const sealDataKey = async (dataKeyContext, keyContext) => {
+  const raw = await crypto.subtle.exportKey('raw', dataKeyContext.key);
+  return sealEnvelope({ keyId: dataKeyContext.keyId, key: bytesToBase64(raw) }, keyContext);
+};
+
+/**
+ * Open a data key sealed with sealDataKey
+ * @param {object} envelope - Envelope from sealDataKey
+ * @param {object} keyContext - Key context it was sealed under
+ * @param {boolean} extractable - Import the key as extractable (needed to seal it again)
+ * @returns {Promise<object>} - Key context ({ keyId, key })
+ */
+export const openSealedDataKey = async (envelope, keyContext, extractable = false) => {
+  const { keyId, key } = await openEnvelope(envelope, keyContext);
+  const cryptoKey = await crypto.subtle.importKey('raw', base64ToBytes(key), { name: 'AES-GCM' }, extractable, ['encrypt', 'decrypt']);
+  return { keyId, key: cryptoKey };
+};
+
+/**
+ * Create key material for a new user
+ * @param {string} username - Username the key belongs to
+ * @param {string} password - User password
+ * @returns {Promise<{keyRecord: object, keyContext: object}>} - Fields to store on the user and the unlocked context
+ */
+export const createUserKeyMaterial = async (username, password) => {
+  const salt = randomBytes(SALT_LENGTH);
+  const kek = await deriveKeyEncryptionKey(password, salt, PBKDF2_ITERATIONS);
+  const dataKey = await generateDataKey();
+  const wrapped = await crypto.subtle.wrapKey('raw', dataKey, kek, 'AES-KW');
+  const keyId = randomId('dk');
+
+  return {
+    keyRecord: {
+      keySalt: bytesToBase64(salt),
+      keyIterations: PBKDF2_ITERATIONS,
+      dataKeyId: keyId,
+      wrappedDataKey: bytesToBase64(wrapped),
+    },
+    keyContext: { keyId, key: dataKey, username },
+  };
+};
+
+/**
+ * Check whether a user record carries wrapped key material
+ * @param {object} user - User record from firebaseService
+ * @returns {boolean}
+ */
+export const hasKeyMaterial = (user) => {
+  return !!(user && user.wrappedDataKey && user.keySalt && user.dataKeyId);
+};
+
+/**
+ * Unwrap a user's data key with their password
+ * AES-KW has a built-in integrity check, so a wrong password fails here.
+ * @param {object} user - User record holding the key record fields
+ * @param {string} password - User password
+ * @returns {Promise<object>} - Key context for the user
+ */
+export const unlockUserKey = async (user, password) => {
+  if (!hasKeyMaterial(user)) {
+    throw new Error('No key material found for user');
+  }
+
+  const kek = await deriveKeyEncryptionKey(
+    password,
+    base64ToBytes(user.keySalt),
+    user.keyIterations || PBKDF2_ITERATIONS
+  );
+
+  try {
+    const key = await crypto.subtle.unwrapKey(
+      'raw',
+      base64ToBytes(user.wrappedDataKey),
+      kek,
+      'AES-KW',
+      { name: 'AES-GCM', length: 256 },
+      true,
+      ['encrypt', 'decrypt']
+    );
+    return { keyId: user.dataKeyId, key, username: user.username };
+  } catch (error) {
+    console.error('Key unwrap failed:', error);
+    throw new Error('Invalid password');
+  }
+};
+
+/**
+ * Unwrap a data key wrapped under a session key, as a non-extractable key
+ * @param {string} wrappedKey - Base64 AES-KW output
+ * @param {CryptoKey} sessionKey
+ * @returns {Promise<CryptoKey>}
+ */
+const unwrapSessionDataKey = (wrappedKey, sessionKey) => crypto.subtle.unwrapKey(
+  'raw',
+  base64ToBytes(wrappedKey),
+  sessionKey,
+  'AES-KW',
+  { name: 'AES-GCM', length: 256 },
+  false,
+  ['encrypt', 'decrypt']
+);
+
+/**
+ * Remove this tab's wrapped key context and delete its session key
+ */
+const forgetSessionKey = async () => {
+  const stored = sessionStorage.getItem(SESSION_STORAGE_KEY);
+  if (!stored) return;
+  sessionStorage.removeItem(SESSION_STORAGE_KEY);
+  try {
+    const { sessionId } = JSON.parse(stored);
+    const db = await openSessionKeyStore();
+    await db.delete(SESSION_KEY_STORE, sessionId);
+  } catch (error) {
+    console.error('Error deleting session key:', error);
+  }
+};
+
+/**
+ * Set the key context of the logged-in user
+ * The key is wrapped under a fresh session key (see the header) so a page
+ * reload does not force a re-login; sessionStorage is scoped to the tab and
+ * cleared when it closes. The context kept in memory is non-extractable.
+ * @param {object} keyContext - Key context from createUserKeyMaterial/unlockUserKey (extractable)
+ */
+export const setActiveKeyContext = async (keyContext) => {
+  const { keyId, username } = keyContext;
+  const sessionId = randomId('sk');
+  const sessionKey = await crypto.subtle.generateKey({ name: 'AES-KW', length: 256 }, false, ['wrapKey', 'unwrapKey']);
+  const wrappedKey = bytesToBase64(await crypto.subtle.wrapKey('raw', keyContext.key, sessionKey, 'AES-KW'));
+  activeKeyContext = { keyId, key: await unwrapSessionDataKey(wrappedKey, sessionKey), username };
+
+  try {
+    await forgetSessionKey();
+    const db = await openSessionKeyStore();
+    await db.put(SESSION_KEY_STORE, sessionKey, sessionId);
+    sessionStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ keyId, username, sessionId, wrappedKey }));
+  } catch (error) {
+    console.error('Error persisting key context:', error);
+  }
+};
+
+/**
+ * Check (synchronously) whether a key context is available for this session
+ * @returns {boolean}
+ */
+export const hasActiveKeyContext = () => {
+  return !!activeKeyContext || !!sessionStorage.getItem(SESSION_STORAGE_KEY);
+};
+
+/**
+ * Get the key context of the logged-in user
+ * @returns {Promise<object|null>} - Key context, or null when the session is locked
+ */
+export const getActiveKeyContext = async () => {
+  if (activeKeyContext) return activeKeyContext;
+
+  const stored = sessionStorage.getItem(SESSION_STORAGE_KEY);
+  if (!stored) return null;
+
+  try {
+    const { keyId, username, sessionId, wrappedKey } = JSON.parse(stored);
+    const db = await openSessionKeyStore();
+    const sessionKey = await db.get(SESSION_KEY_STORE, sessionId);
+    if (!sessionKey) throw new Error('Session key not found');
+    activeKeyContext = { keyId, key: await unwrapSessionDataKey(wrappedKey, sessionKey), username };
+    return activeKeyContext;
+  } catch (error) {
+    console.error('Error restoring key context:', error);
+    clearActiveKeyContext();
+    return null;
+  }
+};
+
+/**
+ * Forget the key context (logout)
+ */
+export const clearActiveKeyContext = () => {
+  activeKeyContext = null;
+  forgetSessionKey();
+};
@@ -0,0 +1,320 @@
+/**
+ * Key Rotation - bulk re-encryption of stored records
+ *
+ * A rotation job walks a collection, decrypts each record with the key it was
+ * encrypted under (its kid), re-encrypts it with the new key and saves it.
+ * Progress is checkpointed, so a job that crashes can be started again with
+ * the same jobId and continues where it stopped. A job with nothing to rotate
+ * writes no checkpoint.
+ *
+ * - Submissions are sealed to reviewer keys, so an admin rotates them
+ *   (AdminDashboard settings, or scripts/rotate-keys.js). A submission whose
+ *   submitter holds a copy of its data key (`holderKey`) keeps that data key,
+ *   re-wrapped to the new reviewer key; a new one would lock them out.
+ *   Checkpoints go to the `settings` collection under `keyRotation:<jobId>`.
+ *   A reviewer key is retired (retireUnusedReviewerKeys) only once no
+ *   submission is sealed to it any more, whatever the job reported.
+ * - Documents are encrypted with their owner's data key, which only the owner
+ *   can unlock, so they are rotated inside the owner's session. Checkpoints
+ *   go to the owner's user record (`keyRotation`), erased with it.
+ * - rotateUserDataKey replaces a user's data key, e.g. after it leaked: the
+ *   new key is stored as `pendingKeyRecord` until every document and every
+ *   copy sealed under the old key (biometric key, signing key, holderKey of
+ *   submissions and credentials) is moved to it, then it becomes the data
+ *   key. A run that stops half way is resumed by running it again.
+ *
+ * A record that fails to decrypt is never rewritten. It is listed in the job's
+ * `failures` with the reason and retried when the job is resumed.
+ */
+
+import firebaseService from './firebaseService';
+import { sealEnvelope, openEnvelope, openLegacyBlobForMigration, isLegacyBlob } from './envelope';
+import { createUserKeyMaterial, unlockUserKey } from './keyManagement';
+import { getReviewerKeyring, retireReviewerKey, sealForReviewers, openForReviewers, openReviewerDataKey } from './reviewerKeys';
+import { encryptSubmissionData, decryptSubmissionData, listEncryptionKeyIds } from './encryption';
+import { computeBlindIndexes, computeUsernameIndex, CLEARED_BLIND_INDEXES } from './blindIndex';
+
+const CHECKPOINT_PREFIX = 'keyRotation:';
+const CHECKPOINT_EVERY = 10;
+
+/**
+ * Checkpoints of admin jobs, in the `settings` collection
+ */
+export const settingsCheckpoints = {
+  load: (jobId) => firebaseService.getSetting(`${CHECKPOINT_PREFIX}${jobId}`),
+  save: (checkpoint) => firebaseService.setSetting(`${CHECKPOINT_PREFIX}${checkpoint.jobId}`, checkpoint),
+};
+
+/**
+ * Checkpoints of a user's jobs, on their user record
+ * @param {string} username
+ * @returns {object} - Checkpoint store ({ load, save })
+ */
+const userCheckpoints = (username) => ({
+  load: async (jobId) => (await firebaseService.getUser(username))?.keyRotation?.[jobId] || null,
+  save: async (checkpoint) => {
+    const user = await firebaseService.getUser(username);
+    await firebaseService.saveUser(username, {
+      keyRotation: { ...user?.keyRotation, [checkpoint.jobId]: checkpoint },
+    });
+  },
+});
+
+/**
+ * Run (or resume) a rotation job
+ * @param {object} job
+ * @param {string} job.jobId - Stable identifier; reuse it to resume
+ * @param {string} job.description - Human readable description for the report
+ * @param {Function} job.listRecords - async () => records
+ * @param {Function} job.recordId - (record) => id
+ * @param {Function} job.needsRotation - (record) => boolean
+ * @param {Function} job.rotateRecord - async (record) => void; throws if the record cannot be decrypted
+ * @param {Function} job.onProgress - Optional ({ processed, total, checkpoint }) => void
+ * @param {object} job.checkpoints - Checkpoint store ({ load(jobId), save(checkpoint) }); settingsCheckpoints by default
+ * @returns {Promise<object>} - Final checkpoint ({ rotated, skipped, failures, completedAt, ... })
+ */
+export const runRotationJob = async ({ jobId, description, listRecords, recordId, needsRotation, rotateRecord, onProgress, checkpoints = settingsCheckpoints }) => {
+  const existing = await checkpoints.load(jobId);
+  if (existing?.completedAt && existing.failures.length === 0) {
+    console.log(`🔁 Rotation job ${jobId} already completed`);
+    return existing;
+  }
+
+  const checkpoint = existing
+    ? { ...existing, completedAt: null }
+    : {
+        jobId,
+        description,
+        startedAt: new Date().toISOString(),
+        completedAt: null,
+        processedIds: [],
+        rotated: 0,
+        skipped: 0,
+        failures: [],
+      };
+
+  const processed = new Set(checkpoint.processedIds);
+  const records = await listRecords();
+
+  if (!existing && !records.some(needsRotation)) {
+    return { ...checkpoint, skipped: records.length, total: records.length, completedAt: new Date().toISOString() };
+  }
+  console.log(`🔁 Rotation job ${jobId}: ${records.length} records, ${processed.size} already processed`);
+
+  let sinceCheckpoint = 0;
+  for (const record of records) {
+    const id = String(recordId(record));
+    if (processed.has(id)) continue;
+
+    // A resumed job retries the records that failed last time
+    checkpoint.failures = checkpoint.failures.filter(failure => failure.id !== id);
+
+    try {
+      if (needsRotation(record)) {
+        await rotateRecord(record);
+        checkpoint.rotated++;
+      } else {
+        checkpoint.skipped++;
+      }
+      processed.add(id);
+      checkpoint.processedIds.push(id);
+    } catch (error) {
+      console.error(`❌ Rotation of record ${id} failed:`, error);
+      checkpoint.failures.push({ id, reason: `${error.name}: ${error.message}` });
+    }
+
+    onProgress?.({ processed: processed.size + checkpoint.failures.length, total: records.length, checkpoint });
+
+    if (++sinceCheckpoint >= CHECKPOINT_EVERY) {
+      await checkpoints.save(checkpoint);
+      sinceCheckpoint = 0;
+    }
+  }
+
+  checkpoint.total = records.length;
+  checkpoint.completedAt = new Date().toISOString();
+  await checkpoints.save(checkpoint);
+
+  console.log(`✅ Rotation job ${jobId}: ${checkpoint.rotated} rotated, ${checkpoint.skipped} skipped, ${checkpoint.failures.length} failed`);
+  return checkpoint;
+};
+
+// Reviewer key a submission is sealed to ('legacy' for CryptoJS blobs)
+const sealedKid = (submission) => isLegacyBlob(submission.encryptedData) ? 'legacy' : submission.sealedKey?.kid;
+
+/**
+ * Re-seal submissions to the active reviewer key
+ * Reviewer keys must be unlocked, including the key being rotated away from,
+ * and so must the blind index key.
+ * @param {object} options
+ * @param {string} options.fromKid - Only rotate submissions sealed to this key ('legacy' for CryptoJS blobs); all others if omitted
+ * @param {string} options.jobId - Job identifier (defaults to one derived from the keys)
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Promise<object>} - Final checkpoint
+ */
+export const rotateSubmissionKeys = async ({ fromKid = null, jobId = null, onProgress } = {}) => {
+  const keyring = await getReviewerKeyring();
+  if (!keyring) {
+    throw new Error('No reviewer key exists to rotate to');
+  }
+  const toKid = keyring.activeKid;
+
+  return runRotationJob({
+    jobId: jobId || `submissions-${fromKid || 'all'}-${toKid}`,
+    description: `Re-seal submissions ${fromKid ? `from ${fromKid} ` : ''}to reviewer key ${toKid}`,
+    listRecords: () => firebaseService.getAllSubmissions(),
+    recordId: (submission) => submission.id,
+    needsRotation: (submission) => {
+      const kid = sealedKid(submission);
+      return kid !== toKid && (!fromKid || kid === fromKid);
+    },
+    rotateRecord: async (submission) => {
+      const data = isLegacyBlob(submission.encryptedData)
+        ? openLegacyBlobForMigration(submission.encryptedData)
+        : await openForReviewers(submission.encryptedData, submission.sealedKey);
+
+      const dataKeyContext = submission.holderKey
+        ? await openReviewerDataKey(submission.encryptedData.kid, submission.sealedKey)
+        : null;
+      const sealed = await sealForReviewers(data, dataKeyContext);
+      await firebaseService.updateSubmission(submission.id, {
+        encryptedData: sealed.encryptedData,
+        sealedKey: sealed.sealedKey,
+        // Backfills the blind indexes of records written before they existed
+        ...(await computeBlindIndexes(data)),
+        usernameIndex: computeUsernameIndex(data.username),
+        rotatedAt: new Date().toISOString(),
+      });
+    },
+    onProgress,
+  });
+};
+
+/**
+ * Retire reviewer keys that no submission is sealed to any more
+ * A key some submission still needs is kept, so nothing becomes unreadable.
+ * @param {string[]} kids - Keys to retire; the active key is always kept
+ * @returns {Promise<{retired: string[], inUse: string[]}>} - Keys retired, and keys kept because submissions are sealed to them
+ */
+export const retireUnusedReviewerKeys = async (kids) => {
+  const keyring = await getReviewerKeyring();
+  if (!keyring) return { retired: [], inUse: [] };
+  const sealedKids = new Set((await firebaseService.getAllSubmissions()).map(sealedKid));
+
+  const retired = [];
+  const inUse = [];
+  for (const kid of kids) {
+    if (kid === keyring.activeKid || !keyring.keys.some(entry => entry.kid === kid)) continue;
+    if (sealedKids.has(kid)) {
+      inUse.push(kid);
+      continue;
+    }
+    await retireReviewerKey(kid);
+    retired.push(kid);
+  }
+  return { retired, inUse };
+};
+
+/**
+ * Re-encrypt a user's documents with their current data key
+ * Also migrates legacy CryptoJS fields and sensitive fields stored in the clear,
+ * and removes identifier indexes (see blindIndex.js).
+ * @param {object} options
+ * @param {string} options.username - Owner of the documents
+ * @param {object} options.fromContext - Key context the documents are currently encrypted with
+ * @param {object} options.toContext - Key context to re-encrypt with (may equal fromContext for migrations)
+ * @param {Function} options.onProgress - Progress callback
+ * @returns {Promise<object>} - Final checkpoint
+ */
+export const rotateDocumentKeys = async ({ username, fromContext, toContext, onProgress }) => {
+  return runRotationJob({
+    jobId: `documents-${toContext.keyId}`,
+    description: `Re-encrypt documents of ${username} with ${toContext.keyId}`,
+    listRecords: () => firebaseService.getAllDocumentsByUsername(username),
+    recordId: (document) => document._id,
+    needsRotation: (document) => listEncryptionKeyIds(document).some(kid => kid !== toContext.keyId) ||
+      Object.keys(CLEARED_BLIND_INDEXES).some(field => document[field]),
+    rotateRecord: async (document) => {
+      const decrypted = await decryptSubmissionData(document, fromContext, { strict: true, migrateLegacy: true });
+      delete decrypted._id;
+
+      // Hashed and masked fields are not keyed; carry them over unchanged
+      for (const [field, value] of Object.entries(document)) {
+        if (value && typeof value === 'object' && (value.hashed || value.masked)) {
+          decrypted[field] = value;
+        }
+      }
+      const encrypted = await encryptSubmissionData({ ...decrypted, ...CLEARED_BLIND_INDEXES }, toContext);
+      await firebaseService.updateDocumentById(document._id, encrypted);
+    },
+    onProgress,
+    checkpoints: userCheckpoints(username),
+  });
+};
+
+/**
+ * Move an envelope sealed under one key context to another
+ * Envelopes already sealed under the new key are returned as they are, so a
+ * resumed rotation skips them.
+ */
+const resealEnvelope = async (envelope, fromContext, toContext) => {
+  if (envelope.kid === toContext.keyId) return envelope;
+  return sealEnvelope(await openEnvelope(envelope, fromContext), toContext);
+};
+
+/**
+ * Replace a user's data key and move everything sealed under it to the new key
+ * Face login enrollments hold a copy of the old key, so they are removed; the
+ * user enrolls again. The caller starts a new session with the returned key
+ * context (keyManagement.setActiveKeyContext).
+ * @param {object} options
+ * @param {string} options.username - User whose key is replaced
+ * @param {string} options.password - Their password; the new key is wrapped under it
+ * @param {Function} options.onProgress - Progress callback of the document job
+ * @returns {Promise<{ report: object, keyContext: object|null }>} - Document job checkpoint, and the new key context (null when documents failed and the old key is still current)
+ * @throws {Error} - When the password is wrong
+ */
+export const rotateUserDataKey = async ({ username, password, onProgress }) => {
+  const user = await firebaseService.getUser(username);
+  const fromContext = await unlockUserKey(user, password);
+
+  let pendingKeyRecord = user.pendingKeyRecord;
+  if (!pendingKeyRecord) {
+    ({ keyRecord: pendingKeyRecord } = await createUserKeyMaterial(username, password));
+    await firebaseService.saveUser(username, { pendingKeyRecord });
+  }
+  const toContext = await unlockUserKey({ ...pendingKeyRecord, username }, password);
+
+  const report = await rotateDocumentKeys({ username, fromContext, toContext, onProgress });
+  if (report.failures.length > 0) {
+    console.error(`❌ Data key rotation of ${username} stopped: ${report.failures.length} documents failed`);
+    return { report, keyContext: null };
+  }
+
+  const usernameIndex = computeUsernameIndex(username);
+  for (const submission of await firebaseService.findSubmissionsByIndex('usernameIndex', usernameIndex)) {
+    if (submission.holderKey) {
+      await firebaseService.updateSubmission(submission.id, {
+        holderKey: await resealEnvelope(submission.holderKey, fromContext, toContext),
+      });
+    }
+  }
+  for (const credential of await firebaseService.getCredentialsBySubject(username)) {
+    await firebaseService.updateCredential(credential.credentialId, {
+      holderKey: await resealEnvelope(credential.holderKey, fromContext, toContext),
+    });
+  }
+
+  // Switching the key record last keeps the old key usable until everything moved
+  const latest = await firebaseService.getUser(username);
+  await firebaseService.saveUser(username, {
+    ...pendingKeyRecord,
+    pendingKeyRecord: null,
+    faceLogin: null,
+    ...(latest.biometricKey && { biometricKey: await resealEnvelope(latest.biometricKey, fromContext, toContext) }),
+    ...(latest.signingKey && { signingKey: await resealEnvelope(latest.signingKey, fromContext, toContext) }),
+  });
+
+  console.log(`🔑 Data key of ${username} replaced: ${fromContext.keyId} → ${toContext.keyId}`);
+  return { report, keyContext: toContext };
+};
@@ -0,0 +1,287 @@
+/**
+ * Liveness - randomized challenge-response on the 68-point face landmarks
+ *
+ * A texture score alone is beaten by a phone screen replaying a video, so
+ * before a live face is matched the user performs a random sequence of
+ * actions read from the landmarks faceapi already returns:
+ * - blink: eye aspect ratio (EAR) drops below and comes back above its
+ *   neutral level
+ * - turn left/right: the nose tip moves off the middle of the jaw line
+ * - smile: the mouth widens relative to the jaw
+ * Each metric is compared to the user's own neutral frames, so face shape
+ * and distance to the camera do not matter.
+ *
+ * Timing checks: a challenge answered faster than a person can react to the
+ * prompt, not answered within its timeout, or a face that leaves the frame
+ * fails the session. Doing another challenge's action (other than a natural
+ * blink) fails it too, so a replay cycling through every action cannot wait
+ * for the right one. The user returns to a neutral pose before each prompt,
+ * so one action does not carry over into the next challenge.
+ *
+ * Every frame of the session, neutral or challenge, has its face descriptor
+ * computed, and each must stay within DESCRIPTOR_TOLERANCE of the first
+ * neutral one. Swapping faces at any point fails the session, so the face
+ * that moved is the face that gets matched.
+ *
+ * The module only does arithmetic on landmark points and descriptors; the
+ * caller supplies frames (see runLivenessCheck), so it runs in Node too.
+ */
+
+export const LIVENESS_CHALLENGES = Object.freeze({
+  BLINK: 'blink',
+  TURN_LEFT: 'turn_left',
+  TURN_RIGHT: 'turn_right',
+  SMILE: 'smile',
+});
+
+// Instruction shown for each challenge
+export const CHALLENGE_PROMPTS = Object.freeze({
+  [LIVENESS_CHALLENGES.BLINK]: 'Blink your eyes',
+  [LIVENESS_CHALLENGES.TURN_LEFT]: 'Turn your head to your left',
+  [LIVENESS_CHALLENGES.TURN_RIGHT]: 'Turn your head to your right',
+  [LIVENESS_CHALLENGES.SMILE]: 'Smile',
+});
+
+const NEUTRAL_PROMPT = 'Look straight at the camera';
+
+const POSE_CHALLENGES = [LIVENESS_CHALLENGES.TURN_LEFT, LIVENESS_CHALLENGES.TURN_RIGHT, LIVENESS_CHALLENGES.SMILE];
+
+// Challenges per session
+const CHALLENGE_COUNT = 3;
+
+// Neutral frames that set the user's baseline
+const BASELINE_FRAMES = 3;
+
+// Reaction times: faster than a person can respond to the prompt, or slower than the timeout, fails
+const MIN_RESPONSE_MS = 250;
+const CHALLENGE_TIMEOUT_MS = 6000;
+
+// How long the face may be missing (or joined by another) during a session
+const MAX_FACE_LOSS_MS = 1500;
+
+// Largest descriptor distance between the neutral and any challenge frame
+export const DESCRIPTOR_TOLERANCE = 0.5;
+
+// Thresholds, relative to the neutral frames
+const BLINK_CLOSED_RATIO = 0.65;
+const BLINK_OPEN_RATIO = 0.85;
+const TURN_OFFSET = 0.12;
+const SMILE_RATIO = 1.15;
+
+// 68-point landmark indices (iBUG 300-W layout)
+const JAW_LEFT = 0;
+const JAW_RIGHT = 16;
+const NOSE_TIP = 30;
+const LEFT_EYE = [36, 37, 38, 39, 40, 41];
+const RIGHT_EYE = [42, 43, 44, 45, 46, 47];
+const MOUTH_LEFT = 48;
+const MOUTH_RIGHT = 54;
+
+/**
+ * A liveness session failed
+ */
+export class LivenessError extends Error {
+  constructor(message, challenge = null) {
+    super(message);
+    this.name = 'LivenessError';
+    this.challenge = challenge;
+  }
+}
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * Euclidean distance between two face descriptors
+ * @param {Float32Array|number[]} a
+ * @param {Float32Array|number[]} b
+ * @returns {number}
+ */
+export const descriptorDistance = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += (a[i] - b[i]) ** 2;
+  }
+  return Math.sqrt(sum);
+};
+
+/**
+ * Eye aspect ratio of one eye (Soukupová and Čech, 2016)
+ */
+const eyeAspectRatio = (points, eye) => {
+  const [p1, p2, p3, p4, p5, p6] = eye.map(index => points[index]);
+  return (distance(p2, p6) + distance(p3, p5)) / (2 * distance(p1, p4));
+};
+
+/**
+ * Measure the landmark metrics the challenges use
+ * @param {{x: number, y: number}[]} points - 68 landmark positions
+ * @returns {{ear: number, yaw: number, mouth: number}}
+ *   ear: mean eye aspect ratio; yaw: nose offset from the jaw middle as a
+ *   fraction of jaw width (positive when the user turns to their left, in an
+ *   unmirrored camera image); mouth: mouth width over jaw width
+ */
+export const measureLandmarks = (points) => {
+  const jawWidth = distance(points[JAW_LEFT], points[JAW_RIGHT]);
+  return {
+    ear: (eyeAspectRatio(points, LEFT_EYE) + eyeAspectRatio(points, RIGHT_EYE)) / 2,
+    yaw: (points[NOSE_TIP].x - points[JAW_LEFT].x) / (points[JAW_RIGHT].x - points[JAW_LEFT].x) - 0.5,
+    mouth: distance(points[MOUTH_LEFT], points[MOUTH_RIGHT]) / jawWidth,
+  };
+};
+
+/**
+ * Pick a random sequence of distinct challenges
+ * @param {number} count
+ * @returns {string[]} - Values of LIVENESS_CHALLENGES
+ */
+export const createChallengeSequence = (count = CHALLENGE_COUNT) => {
+  const challenges = Object.values(LIVENESS_CHALLENGES);
+  const random = crypto.getRandomValues(new Uint32Array(challenges.length));
+  // Fisher-Yates with crypto randomness, so the order cannot be predicted
+  for (let i = challenges.length - 1; i > 0; i--) {
+    const j = random[i] % (i + 1);
+    [challenges[i], challenges[j]] = [challenges[j], challenges[i]];
+  }
+  return challenges.slice(0, count);
+};
+
+/**
+ * Which poses a frame shows, relative to the baseline
+ */
+const detectPoses = (metrics, baseline) => ({
+  eyesClosed: metrics.ear < baseline.ear * BLINK_CLOSED_RATIO,
+  eyesOpen: metrics.ear > baseline.ear * BLINK_OPEN_RATIO,
+  [LIVENESS_CHALLENGES.TURN_LEFT]: metrics.yaw - baseline.yaw > TURN_OFFSET,
+  [LIVENESS_CHALLENGES.TURN_RIGHT]: baseline.yaw - metrics.yaw > TURN_OFFSET,
+  [LIVENESS_CHALLENGES.SMILE]: metrics.mouth > baseline.mouth * SMILE_RATIO,
+});
+
+/**
+ * Run a liveness session
+ * @param {object} options
+ * @param {Function} options.captureFrame - async ({ withDescriptor }) => { faces, points, descriptor }:
+ *   the number of faces in the current camera frame and, when there is exactly
+ *   one, its 68 landmark positions and its descriptor (always asked for here)
+ * @param {Function} [options.onPrompt] - (prompt, step, total) => void, called with the instruction to show
+ * @param {string[]} [options.challenges] - Sequence to run (random by default)
+ * @param {Function} [options.now] - Clock in milliseconds
+ * @returns {Promise<{challenges: string[], responses: object[], descriptors: Float32Array[], durationMs: number}>}
+ *   The sequence, the reaction time of each challenge, and the descriptors of every
+ *   frame of the session
+ * @throws {LivenessError}
+ */
+export const runLivenessCheck = async ({
+  captureFrame,
+  onPrompt = () => {},
+  challenges = createChallengeSequence(),
+  now = () => performance.now(),
+}) => {
+  const startedAt = now();
+  const descriptors = [];
+  let lastFaceAt = startedAt;
+
+  // Next frame with exactly one face, the same face as the first one;
+  // fails if the face is gone too long
+  const nextFace = async () => {
+    for (;;) {
+      const frame = await captureFrame({ withDescriptor: true });
+      const at = now();
+      if (frame?.faces === 1) {
+        lastFaceAt = at;
+        if (!frame.descriptor) {
+          throw new LivenessError('Your face could not be read. Please hold still in good light.');
+        }
+        if (descriptors.length > 0 && descriptorDistance(descriptors[0], frame.descriptor) > DESCRIPTOR_TOLERANCE) {
+          throw new LivenessError('A different face appeared during the check.');
+        }
+        descriptors.push(frame.descriptor);
+        return { metrics: measureLandmarks(frame.points), at };
+      }
+      if (at - lastFaceAt > MAX_FACE_LOSS_MS) {
+        throw new LivenessError(frame?.faces > 1
+          ? 'More than one face is in view.'
+          : 'Your face left the camera view.');
+      }
+    }
+  };
+
+  // Neutral baseline
+  const neutral = [];
+  while (neutral.length < BASELINE_FRAMES) {
+    neutral.push((await nextFace()).metrics);
+  }
+  const baseline = {
+    ear: neutral.reduce((sum, m) => sum + m.ear, 0) / neutral.length,
+    yaw: neutral.reduce((sum, m) => sum + m.yaw, 0) / neutral.length,
+    mouth: neutral.reduce((sum, m) => sum + m.mouth, 0) / neutral.length,
+  };
+
+  // Wait for a neutral pose, so the previous action does not carry over
+  const returnToNeutral = async (step) => {
+    onPrompt(NEUTRAL_PROMPT, step, challenges.length);
+    const since = now();
+    for (;;) {
+      const { metrics, at } = await nextFace();
+      const poses = detectPoses(metrics, baseline);
+      if (!POSE_CHALLENGES.some(action => poses[action])) return;
+      if (at - since > CHALLENGE_TIMEOUT_MS) {
+        throw new LivenessError('Timed out waiting for you to look straight at the camera.');
+      }
+    }
+  };
+
+  const responses = [];
+  for (const [index, challenge] of challenges.entries()) {
+    await returnToNeutral(index + 1);
+    onPrompt(CHALLENGE_PROMPTS[challenge], index + 1, challenges.length);
+    const promptedAt = now();
+    let respondedAt = null;
+    let eyesWereClosed = false;
+
+    for (;;) {
+      const { metrics, at } = await nextFace();
+      if (at - promptedAt > CHALLENGE_TIMEOUT_MS) {
+        throw new LivenessError(`Timed out waiting for: ${CHALLENGE_PROMPTS[challenge]}.`, challenge);
+      }
+
+      const poses = detectPoses(metrics, baseline);
+      const wrongAction = POSE_CHALLENGES.find(action => action !== challenge && poses[action]);
+      if (wrongAction) {
+        throw new LivenessError(`Expected "${CHALLENGE_PROMPTS[challenge]}" but saw "${CHALLENGE_PROMPTS[wrongAction]}".`, challenge);
+      }
+
+      let done;
+      if (challenge === LIVENESS_CHALLENGES.BLINK) {
+        // A natural blink right after the prompt is not an answer to it
+        if (poses.eyesClosed && !eyesWereClosed && at - promptedAt >= MIN_RESPONSE_MS) {
+          eyesWereClosed = true;
+          respondedAt = at;
+        }
+        done = eyesWereClosed && poses.eyesOpen;
+      } else {
+        done = poses[challenge];
+        if (done) respondedAt = at;
+      }
+
+      if (respondedAt !== null && respondedAt - promptedAt < MIN_RESPONSE_MS) {
+        throw new LivenessError('The response came before the prompt could be seen.', challenge);
+      }
+      if (done) break;
+    }
+
+    responses.push({ challenge, responseMs: Math.round(respondedAt - promptedAt) });
+  }
+
+  return { challenges, responses, descriptors, durationMs: Math.round(now() - startedAt) };
+};
+
+/**
+ * Check that a descriptor belongs to the face that passed a liveness session
+ * It is held to the same reference as the session's frames, the first neutral one.
+ * @param {Float32Array} descriptor - Descriptor of the frame about to be matched
+ * @param {object} liveness - Result of runLivenessCheck
+ * @returns {boolean}
+ */
+export const isConsistentWithLiveness = (descriptor, liveness) => {
+  return descriptorDistance(liveness.descriptors[0], descriptor) <= DESCRIPTOR_TOLERANCE;
+};
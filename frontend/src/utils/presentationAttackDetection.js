@@ -0,0 +1,283 @@
+/**
+ * Presentation Attack Detection (PAD) - is the camera seeing a live face?
+ *
+ * Several detectors each look for one kind of attack and score a sample from
+ * 0 (attack) to 1 (bona fide); runPresentationAttackDetection combines the
+ * scores by weighted mean and compares the result to PAD_THRESHOLD.
+ * - texture:   entropy of local binary patterns; prints and screens are
+ *              flatter than skin
+ * - moire:     isolated peaks in the high-frequency spectrum, the
+ *              interference pattern of a screen filmed by a camera
+ * - specular:  share of blown-out highlights, the glare of a screen or
+ *              glossy photo
+ * - challenge: reaction times of the liveness challenges (see liveness.js),
+ *              too fast or too regular for a person
+ *
+ * A detector is { name, weight, analyze(sample) }, where analyze returns
+ * { score, details } (or a promise of it), or null when the sample lacks what
+ * it needs; null results are left out of the mean. A sample is
+ * { image: { data, width, height } (RGBA pixels, like ImageData), liveness? }.
+ *
+ * The thresholds are starting points. Measure them on real live and spoof
+ * images with scripts/pad-metrics.js before changing them.
+ */
+
+// Combined score below which a sample is treated as an attack
+export const PAD_THRESHOLD = 0.5;
+
+// Share of the frame, around its centre, where the face is expected
+const FACE_REGION = 0.5;
+
+// Texture: LBP entropy (bits) scoring 0 and 1
+const TEXTURE_ENTROPY_ZERO = 0.4;
+const TEXTURE_ENTROPY_ONE = 1.2;
+
+// Moiré: spectrum patch size, and peak-to-median ratios scoring 1 and 0
+const MOIRE_PATCH = 128;
+const MOIRE_RATIO_ONE = 12;
+const MOIRE_RATIO_ZERO = 30;
+
+// Specular: near-white pixels, and the share of them scoring 1 and 0
+const SPECULAR_LEVEL = 245;
+const SPECULAR_SHARE_ONE = 0.01;
+const SPECULAR_SHARE_ZERO = 0.06;
+
+// Challenge: median reaction time (ms) and its spread (ms) scoring 0 and 1
+const REACTION_MEDIAN_ZERO = 250;
+const REACTION_MEDIAN_ONE = 500;
+const REACTION_SPREAD_ZERO = 10;
+const REACTION_SPREAD_ONE = 60;
+
+/**
+ * Linear ramp from 0 at `zeroAt` to 1 at `oneAt`, clamped (either direction)
+ */
+const ramp = (value, zeroAt, oneAt) => Math.min(1, Math.max(0, (value - zeroAt) / (oneAt - zeroAt)));
+
+const round = (value) => Number(value.toFixed(3));
+
+/**
+ * Luma of RGBA pixels
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} image
+ * @returns {Float32Array}
+ */
+const toGrayscale = ({ data, width, height }) => {
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = (data[i * 4] + data[i * 4 + 1] + data[i * 4 + 2]) / 3;
+  }
+  return gray;
+};
+
+/**
+ * Centre crop of an image
+ * @param {object} image - RGBA pixels
+ * @param {number} size - Side in pixels, or a share of the shorter side when below 1
+ * @returns {object} - RGBA pixels
+ */
+const centerCrop = (image, size) => {
+  const side = Math.min(image.width, image.height, size < 1 ? Math.round(Math.min(image.width, image.height) * size) : size);
+  const left = Math.floor((image.width - side) / 2);
+  const top = Math.floor((image.height - side) / 2);
+  const data = new Uint8ClampedArray(side * side * 4);
+  for (let y = 0; y < side; y++) {
+    const start = ((top + y) * image.width + left) * 4;
+    data.set(image.data.subarray(start, start + side * 4), y * side * 4);
+  }
+  return { data, width: side, height: side };
+};
+
+/**
+ * Read the pixels of an image element (browser only)
+ * @param {HTMLImageElement|HTMLCanvasElement} image
+ * @returns {ImageData}
+ */
+export const imageToPixels = (image) => {
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Entropy of the local binary pattern histogram, in bits
+ * @param {object} image - RGBA pixels
+ * @returns {number}
+ */
+export const analyzeTexture = (image) => {
+  const { width, height } = image;
+  const grayscale = toGrayscale(image);
+  const lbpHistogram = new Array(256).fill(0);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const centerValue = grayscale[y * width + x];
+
+      let binaryPattern = 0;
+      let bitPos = 0;
+
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+
+          const neighborValue = grayscale[(y + dy) * width + (x + dx)];
+          binaryPattern |= (neighborValue >= centerValue ? 1 : 0) << bitPos;
+          bitPos++;
+        }
+      }
+
+      lbpHistogram[binaryPattern]++;
+    }
+  }
+
+  const totalPixels = (width - 2) * (height - 2);
+  return lbpHistogram.reduce((sum, count) => {
+    const p = count / totalPixels;
+    return p > 0 ? sum - p * Math.log2(p) : sum;
+  }, 0);
+};
+
+/**
+ * Peak-to-median ratio of the high-frequency spectrum of a square patch
+ * The axes are left out: JPEG blocks and straight edges put their energy there.
+ * @param {object} patch - Square RGBA pixels
+ * @returns {number}
+ */
+export const analyzeMoire = (patch) => {
+  const n = patch.width;
+  const gray = toGrayscale(patch);
+  const mean = gray.reduce((sum, value) => sum + value, 0) / gray.length;
+
+  // Hann window, so the patch border does not add its own frequencies
+  const hann = Float32Array.from({ length: n }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1)));
+  const cos = Float32Array.from({ length: n }, (_, i) => Math.cos((2 * Math.PI * i) / n));
+  const sin = Float32Array.from({ length: n }, (_, i) => Math.sin((2 * Math.PI * i) / n));
+
+  // Separable DFT: rows, then columns
+  const rowRe = new Float32Array(n * n);
+  const rowIm = new Float32Array(n * n);
+  for (let y = 0; y < n; y++) {
+    for (let u = 0; u < n; u++) {
+      let re = 0;
+      let im = 0;
+      for (let x = 0; x < n; x++) {
+        const value = (gray[y * n + x] - mean) * hann[x] * hann[y];
+        const k = (u * x) % n;
+        re += value * cos[k];
+        im -= value * sin[k];
+      }
+      rowRe[y * n + u] = re;
+      rowIm[y * n + u] = im;
+    }
+  }
+
+  const magnitudes = [];
+  for (let v = 1; v < n / 2; v++) {
+    for (let u = 1; u < n; u++) {
+      const radius = Math.hypot(Math.min(u, n - u), v);
+      if (radius < n / 4 || radius >= n / 2) continue;
+      let re = 0;
+      let im = 0;
+      for (let y = 0; y < n; y++) {
+        const k = (v * y) % n;
+        re += rowRe[y * n + u] * cos[k] + rowIm[y * n + u] * sin[k];
+        im += rowIm[y * n + u] * cos[k] - rowRe[y * n + u] * sin[k];
+      }
+      magnitudes.push(Math.hypot(re, im));
+    }
+  }
+
+  magnitudes.sort((a, b) => a - b);
+  const median = magnitudes[Math.floor(magnitudes.length / 2)];
+  return median > 0 ? magnitudes[magnitudes.length - 1] / median : 0;
+};
+
+/**
+ * Share of near-white pixels
+ * @param {object} image - RGBA pixels
+ * @returns {number}
+ */
+export const analyzeSpecular = ({ data }) => {
+  let highlights = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (Math.min(data[i], data[i + 1], data[i + 2]) >= SPECULAR_LEVEL) highlights++;
+  }
+  return highlights / (data.length / 4);
+};
+
+/**
+ * Built-in detectors
+ */
+export const PAD_DETECTORS = Object.freeze({
+  texture: {
+    name: 'texture',
+    weight: 1,
+    analyze: ({ image }) => {
+      const entropy = analyzeTexture(image);
+      return { score: ramp(entropy, TEXTURE_ENTROPY_ZERO, TEXTURE_ENTROPY_ONE), details: { entropy: round(entropy) } };
+    },
+  },
+  moire: {
+    name: 'moire',
+    weight: 1,
+    analyze: ({ image }) => {
+      if (Math.min(image.width, image.height) < MOIRE_PATCH) return null;
+      const peakRatio = analyzeMoire(centerCrop(image, MOIRE_PATCH));
+      return { score: ramp(peakRatio, MOIRE_RATIO_ZERO, MOIRE_RATIO_ONE), details: { peakRatio: round(peakRatio) } };
+    },
+  },
+  specular: {
+    name: 'specular',
+    weight: 0.5,
+    analyze: ({ image }) => {
+      const share = analyzeSpecular(centerCrop(image, FACE_REGION));
+      return { score: ramp(share, SPECULAR_SHARE_ZERO, SPECULAR_SHARE_ONE), details: { highlightShare: round(share) } };
+    },
+  },
+  challenge: {
+    name: 'challenge',
+    weight: 1,
+    analyze: ({ liveness }) => {
+      if (!liveness?.responses?.length) return null;
+      const times = liveness.responses.map(response => response.responseMs).sort((a, b) => a - b);
+      const median = times[Math.floor(times.length / 2)];
+      const mean = times.reduce((sum, time) => sum + time, 0) / times.length;
+      const spread = Math.sqrt(times.reduce((sum, time) => sum + (time - mean) ** 2, 0) / times.length);
+      // One response says nothing about regularity
+      const regularity = times.length > 1 ? ramp(spread, REACTION_SPREAD_ZERO, REACTION_SPREAD_ONE) : 1;
+      return {
+        score: ramp(median, REACTION_MEDIAN_ZERO, REACTION_MEDIAN_ONE) * regularity,
+        details: { medianMs: median, spreadMs: round(spread) },
+      };
+    },
+  },
+});
+
+export const DEFAULT_PAD_DETECTORS = Object.values(PAD_DETECTORS);
+
+/**
+ * Run detectors on a sample and combine their scores
+ * @param {object} sample - { image, liveness? } (see above)
+ * @param {object} [options]
+ * @param {object[]} [options.detectors] - Detectors to run
+ * @param {number} [options.threshold] - Combined score below which the sample is an attack
+ * @returns {Promise<{live: boolean, score: number, threshold: number, results: object[]}>}
+ *   results: { name, weight, score, details } of each detector that applied
+ */
+export const runPresentationAttackDetection = async (sample, { detectors = DEFAULT_PAD_DETECTORS, threshold = PAD_THRESHOLD } = {}) => {
+  const results = [];
+  for (const detector of detectors) {
+    const result = await detector.analyze(sample);
+    if (result) {
+      results.push({ name: detector.name, weight: detector.weight, score: round(result.score), details: result.details });
+    }
+  }
+  if (results.length === 0) {
+    throw new Error('No presentation attack detector could analyze this sample.');
+  }
+
+  const weight = results.reduce((sum, result) => sum + result.weight, 0);
+  const score = round(results.reduce((sum, result) => sum + result.weight * result.score, 0) / weight);
+  return { live: score >= threshold, score, threshold, results };
+};
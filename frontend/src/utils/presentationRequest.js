@@ -0,0 +1,157 @@
+/**
+ * Presentation Requests - verifier-initiated disclosure over local QR exchange
+ *
+ * Instead of the holder guessing what to share, a verifier can show a
+ * request QR (in the spirit of OpenID4VP, without a backend round trip):
+ * {
+ *   type: 'sdw-presentation-request', v: 1,
+ *   nonce,                  // random, one request
+ *   verifier,               // display name typed by the verifier
+ *   claims: ['age_over_18', 'address', ...],
+ *   iat, exp
+ * }
+ * The holder scans it from the Dashboard, sees what is asked for and by
+ * whom, and on consent generates a single-use response QR disclosing exactly
+ * those claims. The response's key binding (see qrSigning.js) carries `nonce` and
+ * `aud` (the verifier name), so verifyQRCode({ request }) can reject
+ * answers made for another request (see qrStatus.js).
+ *
+ * The request itself is unsigned: the verifier name is what the verifier
+ * typed, and the holder is told so. Only the claims a QR code can disclose
+ * may be requested; the date of birth never can.
+ */
+
+import QRCode from 'qrcode';
+import { bytesToBase64Url, randomBytes } from './encoding';
+import { AGE_PREDICATE_THRESHOLDS, agePredicateClaim } from './documentUtils';
+
+export const PRESENTATION_REQUEST_TYPE = 'sdw-presentation-request';
+export const PRESENTATION_REQUEST_VERSION = 1;
+
+// Claims a verifier may ask for
+export const REQUESTABLE_CLAIMS = ['name', 'address', ...AGE_PREDICATE_THRESHOLDS.map(agePredicateClaim)];
+
+// How long the holder has to answer a request
+const REQUEST_VALIDITY_SECONDS = 10 * 60;
+
+// Validity of the response QR the holder generates
+export const RESPONSE_VALIDITY_SECONDS = 5 * 60;
+
+const NONCE_LENGTH = 16;
+const MAX_VERIFIER_NAME_LENGTH = 60;
+
+// The request the verifier page is waiting for an answer to, kept across reloads of the tab
+const PENDING_REQUEST_KEY = 'sdw_presentationRequest';
+
+/**
+ * A scanned request is malformed, expired or asks for something it may not
+ */
+export class PresentationRequestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PresentationRequestError';
+  }
+}
+
+/**
+ * Human-readable description of a requestable claim
+ * @param {string} claim - e.g. 'age_over_18'
+ * @returns {string}
+ */
+export const describeClaim = (claim) => {
+  const threshold = AGE_PREDICATE_THRESHOLDS.find(value => agePredicateClaim(value) === claim);
+  if (threshold) return `Over ${threshold} (yes/no only)`;
+  if (claim === 'name') return 'Name';
+  if (claim === 'address') return 'Address';
+  return claim;
+};
+
+/**
+ * Check whether a parsed QR code is a presentation request
+ * @param {any} value - Output of parseQRData
+ * @returns {boolean}
+ */
+export const isPresentationRequest = (value) => value?.type === PRESENTATION_REQUEST_TYPE;
+
+/**
+ * Validate a presentation request
+ * @param {object} request - Parsed request
+ * @param {Date} now - Current time
+ * @returns {object} - The request
+ * @throws {PresentationRequestError}
+ */
+export const validatePresentationRequest = (request, now = new Date()) => {
+  if (!isPresentationRequest(request)) {
+    throw new PresentationRequestError('This is not a verifier request QR code.');
+  }
+  if (request.v !== PRESENTATION_REQUEST_VERSION) {
+    throw new PresentationRequestError(`Unsupported request version: ${request.v}`);
+  }
+  if (typeof request.nonce !== 'string' || request.nonce.length < 16) {
+    throw new PresentationRequestError('The request has no valid nonce.');
+  }
+  if (typeof request.verifier !== 'string' || !request.verifier.trim() || request.verifier.length > MAX_VERIFIER_NAME_LENGTH) {
+    throw new PresentationRequestError('The request does not name its verifier.');
+  }
+  if (!Array.isArray(request.claims) || request.claims.length === 0
+    || new Set(request.claims).size !== request.claims.length
+    || !request.claims.every(claim => REQUESTABLE_CLAIMS.includes(claim))) {
+    throw new PresentationRequestError('The request asks for attributes that cannot be shared.');
+  }
+  if (!(request.exp * 1000 > now.getTime())) {
+    throw new PresentationRequestError('This request has expired. Ask the verifier for a new one.');
+  }
+  return request;
+};
+
+/**
+ * Create a presentation request
+ * @param {{verifier: string, claims: string[]}} options - Verifier name and requested claims
+ * @returns {object} - The request
+ * @throws {PresentationRequestError}
+ */
+export const createPresentationRequest = ({ verifier, claims }) => {
+  const iat = Math.floor(Date.now() / 1000);
+  return validatePresentationRequest({
+    type: PRESENTATION_REQUEST_TYPE,
+    v: PRESENTATION_REQUEST_VERSION,
+    nonce: bytesToBase64Url(randomBytes(NONCE_LENGTH)),
+    verifier: verifier.trim(),
+    claims,
+    iat,
+    exp: iat + REQUEST_VALIDITY_SECONDS,
+  });
+};
+
+/**
+ * Render a request as a QR code image
+ * @param {object} request - Output of createPresentationRequest
+ * @returns {Promise<string>} - Data URL
+ */
+export const requestQRCodeDataURL = (request) => QRCode.toDataURL(JSON.stringify(request), { errorCorrectionLevel: 'M' });
+
+/**
+ * Load the request the verifier page is waiting on
+ * @returns {object|null}
+ */
+export const loadPendingRequest = () => {
+  try {
+    const stored = sessionStorage.getItem(PENDING_REQUEST_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('Error reading pending request:', error);
+    return null;
+  }
+};
+
+/**
+ * Remember (or, with null, forget) the request the verifier page is waiting on
+ * @param {object|null} request
+ */
+export const savePendingRequest = (request) => {
+  if (request) {
+    sessionStorage.setItem(PENDING_REQUEST_KEY, JSON.stringify(request));
+  } else {
+    sessionStorage.removeItem(PENDING_REQUEST_KEY);
+  }
+};
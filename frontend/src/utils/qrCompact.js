@@ -0,0 +1,223 @@
+/**
+ * Compact QR encoding - CBOR, deflate and Base45, as in the EU Digital COVID Certificate
+ *
+ * A presentation (see qrSigning.js) is packed as:
+ *   'SDW2:' + Base45(deflate(CBOR([header, payload, signature, [disclosure, ...], [kbHeader, kbPayload, kbSignature]])))
+ * where every element is a CBOR byte string holding the decoded bytes of the
+ * corresponding base64url segment, and the last array is the holder's key
+ * binding JWT. Version 1 codes, signed by wallet keys alone, are no longer
+ * accepted. base64url without padding is canonical,
+ * so unpacking rebuilds exactly the string that was signed.
+ *
+ * Base45 only uses characters of the QR alphanumeric mode, so the code needs
+ * far fewer modules than a URL with percent-encoded JSON. The prefix carries
+ * the format version; parseQRData rejects versions it does not know.
+ */
+
+import { bytesToBase64Url, base64UrlToBytes } from './encoding';
+
+export const COMPACT_QR_VERSION = 2;
+export const COMPACT_QR_PREFIX = `SDW${COMPACT_QR_VERSION}:`;
+
+const COMPACT_PREFIX_PATTERN = /^SDW(\d+):/;
+
+const BASE45_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+// CBOR major types used here (RFC 8949)
+const CBOR_UINT = 0;
+const CBOR_BYTES = 2;
+const CBOR_TEXT = 3;
+const CBOR_ARRAY = 4;
+
+/**
+ * Encode bytes as Base45 (RFC 9285)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export const base45Encode = (bytes) => {
+  let output = '';
+  for (let i = 0; i < bytes.length; i += 2) {
+    if (i + 1 < bytes.length) {
+      let n = bytes[i] * 256 + bytes[i + 1];
+      const c = n % 45;
+      n = (n - c) / 45;
+      output += BASE45_CHARSET[c] + BASE45_CHARSET[n % 45] + BASE45_CHARSET[Math.floor(n / 45)];
+    } else {
+      const n = bytes[i];
+      output += BASE45_CHARSET[n % 45] + BASE45_CHARSET[Math.floor(n / 45)];
+    }
+  }
+  return output;
+};
+
+/**
+ * Decode a Base45 string (RFC 9285)
+ * @param {string} text
+ * @returns {Uint8Array}
+ * @throws {Error} - On characters outside the Base45 alphabet or out-of-range groups
+ */
+export const base45Decode = (text) => {
+  const values = Array.from(text, char => {
+    const value = BASE45_CHARSET.indexOf(char);
+    if (value < 0) throw new Error(`Invalid Base45 character: ${char}`);
+    return value;
+  });
+  if (values.length % 3 === 1) {
+    throw new Error('Invalid Base45 length');
+  }
+
+  const bytes = [];
+  for (let i = 0; i < values.length; i += 3) {
+    if (i + 2 < values.length) {
+      const n = values[i] + values[i + 1] * 45 + values[i + 2] * 2025;
+      if (n > 0xffff) throw new Error('Invalid Base45 group');
+      bytes.push(n >> 8, n & 0xff);
+    } else {
+      const n = values[i] + values[i + 1] * 45;
+      if (n > 0xff) throw new Error('Invalid Base45 group');
+      bytes.push(n);
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+/**
+ * Encode the head of a CBOR item (major type and length/value)
+ */
+const cborHead = (major, length) => {
+  const type = major << 5;
+  if (length < 24) return [type | length];
+  if (length < 0x100) return [type | 24, length];
+  if (length < 0x10000) return [type | 25, length >> 8, length & 0xff];
+  return [type | 26, (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff];
+};
+
+/**
+ * Encode a value as CBOR
+ * Supports what compact QR codes contain: unsigned integers, byte strings,
+ * text strings and arrays.
+ * @param {number|string|Uint8Array|Array} value
+ * @returns {Uint8Array}
+ */
+export const cborEncode = (value) => {
+  const out = [];
+  const write = (item) => {
+    if (item instanceof Uint8Array) {
+      out.push(...cborHead(CBOR_BYTES, item.length), ...item);
+    } else if (typeof item === 'string') {
+      const bytes = new TextEncoder().encode(item);
+      out.push(...cborHead(CBOR_TEXT, bytes.length), ...bytes);
+    } else if (Array.isArray(item)) {
+      out.push(...cborHead(CBOR_ARRAY, item.length));
+      item.forEach(write);
+    } else if (Number.isInteger(item) && item >= 0 && item <= 0xffffffff) {
+      out.push(...cborHead(CBOR_UINT, item));
+    } else {
+      throw new Error(`Cannot CBOR-encode ${typeof item}`);
+    }
+  };
+  write(value);
+  return new Uint8Array(out);
+};
+
+/**
+ * Decode CBOR produced by cborEncode
+ * @param {Uint8Array} bytes
+ * @returns {number|string|Uint8Array|Array}
+ * @throws {Error} - On unsupported or truncated input
+ */
+export const cborDecode = (bytes) => {
+  let offset = 0;
+  const take = (count) => {
+    if (offset + count > bytes.length) throw new Error('Truncated CBOR');
+    const slice = bytes.subarray(offset, offset + count);
+    offset += count;
+    return slice;
+  };
+
+  const read = () => {
+    const [initial] = take(1);
+    const major = initial >> 5;
+    const info = initial & 0x1f;
+
+    let length;
+    if (info < 24) length = info;
+    else if (info === 24) length = take(1)[0];
+    else if (info === 25) length = take(2).reduce((n, b) => n * 256 + b, 0);
+    else if (info === 26) length = take(4).reduce((n, b) => n * 256 + b, 0);
+    else throw new Error('Unsupported CBOR length');
+
+    switch (major) {
+      case CBOR_UINT:
+        return length;
+      case CBOR_BYTES:
+        return new Uint8Array(take(length));
+      case CBOR_TEXT:
+        return new TextDecoder().decode(take(length));
+      case CBOR_ARRAY:
+        return Array.from({ length }, read);
+      default:
+        throw new Error(`Unsupported CBOR major type ${major}`);
+    }
+  };
+
+  const value = read();
+  if (offset !== bytes.length) {
+    throw new Error('Trailing bytes after CBOR item');
+  }
+  return value;
+};
+
+/**
+ * Run bytes through a CompressionStream/DecompressionStream
+ */
+const transform = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+/**
+ * Check whether text is a compact QR code (any version)
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isCompactQR = (text) => typeof text === 'string' && COMPACT_PREFIX_PATTERN.test(text);
+
+/**
+ * Pack a presentation (`<jws>~<disclosure>~...~<kb-jwt>`) into a compact QR code
+ * @param {string} sd - Output of presentSelectiveDisclosure
+ * @returns {Promise<string>} - 'SDW2:...'
+ */
+export const encodeCompactQR = async (sd) => {
+  const parts = sd.split('~');
+  const [jws, ...disclosures] = parts.slice(0, -1);
+  const [header, payload, signature] = jws.split('.').map(base64UrlToBytes);
+  const keyBinding = parts[parts.length - 1].split('.').map(base64UrlToBytes);
+  const cbor = cborEncode([header, payload, signature, disclosures.filter(Boolean).map(base64UrlToBytes), keyBinding]);
+  const compressed = await transform(cbor, new CompressionStream('deflate'));
+  return COMPACT_QR_PREFIX + base45Encode(compressed);
+};
+
+/**
+ * Unpack a compact QR code
+ * @param {string} text - 'SDW2:...'
+ * @returns {Promise<{sd: string}>} - The same shape as a JSON QR code, for verifyQRData
+ * @throws {Error} - On an unknown version or a corrupted code
+ */
+export const decodeCompactQR = async (text) => {
+  const version = Number(text.match(COMPACT_PREFIX_PATTERN)?.[1]);
+  if (version !== COMPACT_QR_VERSION) {
+    throw new Error(`Unsupported compact QR version: ${version}`);
+  }
+
+  const compressed = base45Decode(text.slice(COMPACT_QR_PREFIX.length));
+  const decoded = cborDecode(await transform(compressed, new DecompressionStream('deflate')));
+  if (!Array.isArray(decoded) || decoded.length !== 5 || !Array.isArray(decoded[3])
+    || !Array.isArray(decoded[4]) || decoded[4].length !== 3) {
+    throw new Error('Compact QR code has an unexpected structure');
+  }
+
+  const [header, payload, signature, disclosures, keyBinding] = decoded;
+  const jws = [header, payload, signature].map(bytesToBase64Url).join('.');
+  return { sd: [jws, ...disclosures.map(bytesToBase64Url), keyBinding.map(bytesToBase64Url).join('.')].join('~') };
+};
@@ -0,0 +1,42 @@
+/**
+ * QR Image Decoder - read a QR code from a screenshot or photo
+ *
+ * The camera scanner (react-qr-scanner) only reads live video, so the
+ * verification page decodes uploaded images with ZXing. TRY_HARDER lets it
+ * find codes that are small, rotated or photographed off a screen.
+ */
+
+import { BrowserMultiFormatReader, BarcodeFormat, DecodeHintType, NotFoundException } from '@zxing/library';
+
+const DECODE_HINTS = new Map([
+  [DecodeHintType.POSSIBLE_FORMATS, [BarcodeFormat.QR_CODE]],
+  [DecodeHintType.TRY_HARDER, true],
+]);
+
+/**
+ * Decode the QR code in an image file
+ * @param {File|Blob} file - Screenshot or photo
+ * @returns {Promise<string>} - Text of the QR code, for parseQRData
+ * @throws {Error} - When the file is not an image or holds no readable QR code
+ */
+export const decodeQRImage = async (file) => {
+  if (!file.type.startsWith('image/')) {
+    throw new Error('Please choose an image file (PNG, JPEG, ...).');
+  }
+
+  const url = URL.createObjectURL(file);
+  const reader = new BrowserMultiFormatReader(DECODE_HINTS);
+  try {
+    const result = await reader.decodeFromImageUrl(url);
+    return result.getText();
+  } catch (error) {
+    if (error instanceof NotFoundException) {
+      throw new Error('No QR code found in this image. Try a sharper picture with the whole code in view.');
+    }
+    console.error('Error decoding QR image:', error);
+    throw new Error('This image could not be read. Try another picture of the code.');
+  } finally {
+    reader.reset();
+    URL.revokeObjectURL(url);
+  }
+};
@@ -1,11 +1,21 @@
-// Utility to robustly parse QR payloads that may be raw JSON, URL-encoded JSON,
-// base64-encoded JSON, or a URL with a data param. It returns the parsed object or throws.
+// Utility to robustly parse QR payloads that may be a compact code ('SDW2:...',
+// see qrCompact.js), raw JSON, URL-encoded JSON, base64-encoded JSON, or a URL
+// with a data param. It resolves to the parsed object or rejects.
 
-export function parseQRData(input) {
+import { isCompactQR, decodeCompactQR } from './qrCompact';
+
+export async function parseQRData(input) {
   // Normalize to string
   if (typeof input !== 'string') {
     input = input?.text ?? input?.data ?? String(input ?? '');
   }
+  input = input.trim();
+
+  // 0) Compact code, on its own or as the data param of a verification link.
+  // Base45 uses '+', '%' and ' ', so it must not go through the URL decoding below.
+  if (isCompactQR(input)) {
+    return decodeCompactQR(input);
+  }
 
   // Try URL: extract common query param names
   try {
@@ -15,6 +25,9 @@ export function parseQRData(input) {
       url.searchParams.get('payload') ||
       url.searchParams.get('q') ||
       url.searchParams.get('p');
+    if (isCompactQR(payload)) {
+      return decodeCompactQR(payload);
+    }
     if (payload) {
       // decode '+' and percent sequences
       const decoded = decodeURIComponent(payload.replace(/\+/g, '%20'));
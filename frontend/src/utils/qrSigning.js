@@ -0,0 +1,324 @@
+/**
+ * QR Signing - admin-issued SD-JWT credentials and holder presentations
+ *
+ * Every JWS here is compact with ES256 (ECDSA P-256, SHA-256):
+ *   base64url(header) . base64url(payload) . base64url(signature)
+ *
+ * When a submission is verified, the admin issues the user an SD-JWT
+ * (header { alg: 'ES256', typ: 'sdw+sd-jwt', kid }, see
+ * verifiableCredential.js). The signed payload carries no attribute values,
+ * only a salted SHA-256 commitment per reviewer-verified attribute, and binds
+ * the holder's wallet key:
+ *   { sub, docType, verifiedAt, iat, exp, cnf: { kid, jwk }, _sd_alg: 'sha-256', _sd: [digest, ...] }
+ * Each attribute travels next to the JWS as a disclosure,
+ * base64url(JSON [salt, name, value]), whose digest is
+ * base64url(SHA-256(disclosure)). The holder keeps all of them.
+ *
+ * A verification QR code is a presentation of that credential: the
+ * disclosures the user agreed to share, followed by a key binding JWT signed
+ * with the wallet key (header { alg: 'ES256', typ: 'kb+jwt', kid }):
+ *   <jws>~<disclosure>~<disclosure>~<kb-jwt>
+ * The key binding payload holds what belongs to this one code,
+ *   { jti, iat, nbf, exp, single_use, nonce?, aud?, sd_hash }
+ * where sd_hash is base64url(SHA-256('<jws>~<disclosure>~...~')), so the
+ * wallet key can choose what to show and for how long but cannot assert a
+ * single claim: a key binding carrying any other member is rejected. The QR
+ * code carries this packed by qrCompact.js.
+ *
+ * verifySelectiveDisclosure tells the failures apart, so verifiers can show them:
+ * - QRFormatError: no signature, no key binding, or not a format this wallet produces
+ * - UnknownIssuerError: the credential is not signed by a pinned admin key
+ *   (issuerKeys.js), or the holder key was withdrawn
+ * - QRTamperedError: a signature does not match, a disclosure does not match
+ *   its signed commitment, or the key binding is for other disclosures
+ */
+
+import { utf8Encode, utf8Decode, bytesToBase64Url, base64UrlToBytes, randomBytes } from './encoding';
+import { getTrustedIssuerKey, isHolderKeyListed } from './issuerKeys';
+
+export const QR_SIGNATURE_ALGORITHM = 'ES256';
+export const SD_JWT_TYPE = 'sdw+sd-jwt';
+export const KB_JWT_TYPE = 'kb+jwt';
+export const SD_ALGORITHM = 'sha-256';
+
+const SALT_LENGTH = 16;
+
+// The only members a key binding may carry; everything else is the issuer's to assert
+const KEY_BINDING_CLAIMS = ['jti', 'iat', 'nbf', 'exp', 'single_use', 'nonce', 'aud', 'sd_hash'];
+
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+/**
+ * Base class for signature verification failures
+ */
+export class QRSignatureError extends Error {
+  constructor(message, kid = null) {
+    super(message);
+    this.name = 'QRSignatureError';
+    this.kid = kid;
+  }
+}
+
+/**
+ * The QR payload is unsigned or not a JWS this wallet produces
+ */
+export class QRFormatError extends QRSignatureError {
+  constructor(message, kid = null) {
+    super(message, kid);
+    this.name = 'QRFormatError';
+  }
+}
+
+/**
+ * The signing key is not trusted for this payload
+ */
+export class UnknownIssuerError extends QRSignatureError {
+  constructor(message, kid = null) {
+    super(message, kid);
+    this.name = 'UnknownIssuerError';
+  }
+}
+
+/**
+ * The signature does not match the payload
+ */
+export class QRTamperedError extends QRSignatureError {
+  constructor(message, kid = null) {
+    super(message, kid);
+    this.name = 'QRTamperedError';
+  }
+}
+
+/**
+ * Short title for a verification failure, for display
+ * @param {Error} error - Error thrown by verifySignedQR
+ * @returns {string}
+ */
+export const signatureFailureTitle = (error) => {
+  if (error instanceof QRTamperedError) return 'Tampered QR code';
+  if (error instanceof UnknownIssuerError) return 'Unknown issuer';
+  return 'Unsigned QR code';
+};
+
+const encodeSegment = (value) => bytesToBase64Url(utf8Encode(JSON.stringify(value)));
+
+const decodeSegment = (segment) => JSON.parse(utf8Decode(base64UrlToBytes(segment)));
+
+const sha256Base64Url = async (text) => bytesToBase64Url(await crypto.subtle.digest('SHA-256', utf8Encode(text)));
+
+/**
+ * Sign a compact JWS
+ * @param {string} typ - Header `typ`
+ * @param {object} payload
+ * @param {object} signer - Signer from issuerKeys.js ({ kid, privateKey })
+ * @returns {Promise<string>}
+ */
+const signJWS = async (typ, payload, signer) => {
+  const signingInput = `${encodeSegment({ alg: QR_SIGNATURE_ALGORITHM, typ, kid: signer.kid })}.${encodeSegment(payload)}`;
+  const signature = await crypto.subtle.sign(SIGN_PARAMS, signer.privateKey, utf8Encode(signingInput));
+  return `${signingInput}.${bytesToBase64Url(signature)}`;
+};
+
+/**
+ * Decode a compact JWS of the expected type, without checking the signature
+ * @returns {{header: object, payload: object, segments: string[]}}
+ * @throws {QRFormatError}
+ */
+const decodeJWS = (jws, typ, missingMessage) => {
+  const segments = typeof jws === 'string' ? jws.split('.') : [];
+  if (segments.length !== 3) {
+    throw new QRFormatError(missingMessage);
+  }
+
+  let header;
+  let payload;
+  try {
+    header = decodeSegment(segments[0]);
+    payload = decodeSegment(segments[1]);
+  } catch {
+    throw new QRFormatError('QR signature is malformed');
+  }
+  if (header.alg !== QR_SIGNATURE_ALGORITHM || header.typ !== typ) {
+    throw new QRFormatError(`Unsupported QR signature: ${header.alg}/${header.typ}`, header.kid);
+  }
+  return { header, payload, segments };
+};
+
+/**
+ * Check the signature of a decoded JWS
+ * @returns {Promise<boolean>}
+ */
+const checkSignature = async ({ segments }, jwk) => {
+  const publicKey = await crypto.subtle.importKey('jwk', jwk, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+  return crypto.subtle.verify(
+    SIGN_PARAMS,
+    publicKey,
+    base64UrlToBytes(segments[2]),
+    utf8Encode(`${segments[0]}.${segments[1]}`)
+  );
+};
+
+/**
+ * Verify the issuer signature of an SD-JWT
+ * @param {string} jws - Issuer JWS of the SD-JWT
+ * @returns {Promise<{payload: object, issuer: object}>} - Payload and the list entry of its pinned admin key
+ * @throws {QRFormatError|UnknownIssuerError|QRTamperedError}
+ */
+export const verifySignedQR = async (jws) => {
+  const decoded = decodeJWS(jws, SD_JWT_TYPE, 'QR code is not signed');
+  const { header, payload } = decoded;
+
+  const issuer = await getTrustedIssuerKey(header.kid);
+  if (!issuer) {
+    throw new UnknownIssuerError('QR code was signed by an unknown issuer', header.kid);
+  }
+  if (!(await checkSignature(decoded, issuer.publicKey))) {
+    throw new QRTamperedError('QR code signature does not match its contents. It may have been tampered with.', header.kid);
+  }
+
+  return { payload, issuer };
+};
+
+/**
+ * Digest of a disclosure, as listed in `_sd`
+ * @param {string} disclosure - Encoded disclosure
+ * @returns {Promise<string>} - base64url(SHA-256(disclosure))
+ */
+const disclosureDigest = (disclosure) => sha256Base64Url(disclosure);
+
+/**
+ * Issue an SD-JWT over selectively disclosable attributes
+ * @param {object} payload - Always-visible claims (`sub`, `docType`, ...)
+ * @param {object} claims - Attribute name -> value
+ * @param {object} signer - Admin signer from issuerKeys.js
+ * @param {object} holder - { kid, publicKey (JWK) } of the wallet key to bind
+ * @returns {Promise<string>} - `<jws>~<disclosure>~...~` with every disclosure, for the holder
+ */
+export const issueSelectiveDisclosure = async (payload, claims, signer, holder) => {
+  const digests = [];
+  const disclosures = [];
+
+  for (const [name, value] of Object.entries(claims)) {
+    if (value === undefined) continue;
+    const disclosure = encodeSegment([bytesToBase64Url(randomBytes(SALT_LENGTH)), name, value]);
+    digests.push(await disclosureDigest(disclosure));
+    disclosures.push(disclosure);
+  }
+
+  // Sorted, so the order of the digests does not tell which is which
+  digests.sort();
+
+  const jws = await signJWS(SD_JWT_TYPE, {
+    ...payload,
+    cnf: { kid: holder.kid, jwk: holder.publicKey },
+    _sd_alg: SD_ALGORITHM,
+    _sd: digests,
+  }, signer);
+  return [jws, ...disclosures, ''].join('~');
+};
+
+/**
+ * Read the attributes an issued SD-JWT can disclose
+ * @param {string} sdJwt - From issueSelectiveDisclosure
+ * @returns {object} - Attribute name -> value
+ */
+export const readDisclosures = (sdJwt) => {
+  const [, ...disclosures] = sdJwt.split('~');
+  return Object.fromEntries(disclosures.filter(Boolean).map(disclosure => decodeSegment(disclosure).slice(1)));
+};
+
+/**
+ * Present an issued SD-JWT, revealing some of its attributes
+ * @param {string} sdJwt - From issueSelectiveDisclosure
+ * @param {string[]} disclose - Attributes to reveal
+ * @param {object} presentation - Claims of this code ({ jti, iat, nbf, exp, single_use, nonce?, aud? })
+ * @param {object} holder - Wallet signer of the key bound in `cnf`
+ * @returns {Promise<string>} - `<jws>~<disclosure>~...~<kb-jwt>`
+ */
+export const presentSelectiveDisclosure = async (sdJwt, disclose, presentation, holder) => {
+  const [jws, ...disclosures] = sdJwt.split('~');
+  const selected = disclosures
+    .filter(Boolean)
+    .filter(disclosure => disclose.includes(decodeSegment(disclosure)[1]));
+  const presented = [jws, ...selected, ''].join('~');
+  const keyBinding = await signJWS(KB_JWT_TYPE, { ...presentation, sd_hash: await sha256Base64Url(presented) }, holder);
+  return `${presented}${keyBinding}`;
+};
+
+/**
+ * Verify a presentation: the issuer signature, the disclosures and the key binding
+ * @param {string} sd - `<jws>~<disclosure>~...~<kb-jwt>` from presentSelectiveDisclosure
+ * @returns {Promise<{payload: object, disclosed: string[], hiddenCount: number, issuer: object}>}
+ *   Claims of the credential and of this code, with the disclosed attributes filled in, their
+ *   names, and how many attributes stayed hidden. `exp` is the earlier of the two; the
+ *   credential's `iat` is kept.
+ * @throws {QRFormatError|UnknownIssuerError|QRTamperedError}
+ */
+export const verifySelectiveDisclosure = async (sd) => {
+  const parts = typeof sd === 'string' ? sd.split('~') : [];
+  const [jws, ...disclosures] = parts.slice(0, -1);
+  const keyBinding = parts[parts.length - 1];
+  const { payload, issuer } = await verifySignedQR(jws);
+  const { _sd: digests, _sd_alg: sdAlgorithm, cnf, exp: credentialExpiry, ...credentialClaims } = payload;
+
+  if (sdAlgorithm !== SD_ALGORITHM || !Array.isArray(digests)) {
+    throw new QRFormatError('QR code does not use selective disclosure', issuer.kid);
+  }
+
+  // The holder's key binding: this code's claims, for exactly these disclosures
+  const decodedBinding = decodeJWS(keyBinding, KB_JWT_TYPE, 'QR code is not signed by its holder');
+  const extraClaims = Object.keys(decodedBinding.payload).filter(name => !KEY_BINDING_CLAIMS.includes(name));
+  if (extraClaims.length > 0) {
+    throw new QRFormatError(`QR code holder signature carries claims only the issuer may assert: ${extraClaims.join(', ')}`, issuer.kid);
+  }
+  const { sd_hash: sdHash, exp, ...presentation } = decodedBinding.payload;
+  if (!cnf?.jwk || decodedBinding.header.kid !== cnf.kid) {
+    throw new QRFormatError('QR code is not signed with the key its credential was issued to', issuer.kid);
+  }
+  if (!(await checkSignature(decodedBinding, cnf.jwk))) {
+    throw new QRTamperedError('QR code holder signature does not match its contents. It may have been tampered with.', issuer.kid);
+  }
+  if (sdHash !== await sha256Base64Url(sd.slice(0, sd.length - keyBinding.length))) {
+    throw new QRTamperedError('QR code holder signature is for other disclosures. It may have been tampered with.', issuer.kid);
+  }
+  if (!(await isHolderKeyListed(cnf.kid, cnf.jwk))) {
+    throw new UnknownIssuerError('The wallet key this QR code was signed with has been withdrawn', cnf.kid);
+  }
+
+  // The credential's claims win over the code's (`iat` stays the credential's)
+  const claims = { ...presentation, ...credentialClaims, exp: Math.min(exp, credentialExpiry) };
+  const disclosed = [];
+  for (const disclosure of disclosures.filter(Boolean)) {
+    if (!digests.includes(await disclosureDigest(disclosure))) {
+      throw new QRTamperedError('A disclosed attribute does not match its signed commitment. It may have been tampered with.', issuer.kid);
+    }
+
+    let name;
+    let value;
+    try {
+      [, name, value] = decodeSegment(disclosure);
+    } catch {
+      throw new QRFormatError('QR disclosure is malformed', issuer.kid);
+    }
+    if (name in claims) {
+      throw new QRTamperedError(`Attribute ${name} is disclosed twice`, issuer.kid);
+    }
+    claims[name] = value;
+    disclosed.push(name);
+  }
+
+  return { payload: claims, disclosed, hiddenCount: digests.length - disclosed.length, issuer };
+};
+
+/**
+ * Verify a parsed QR code (the object parseQRData returns)
+ * @param {object} qrData - Parsed QR data ({ sd })
+ * @returns {Promise<{payload: object, disclosed: string[], hiddenCount: number, issuer: object}>}
+ * @throws {QRFormatError|UnknownIssuerError|QRTamperedError}
+ */
+export const verifyQRData = async (qrData) => {
+  if (!qrData?.sd) {
+    throw new QRFormatError('QR code is not signed');
+  }
+  return verifySelectiveDisclosure(qrData.sd);
+};
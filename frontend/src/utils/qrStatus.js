@@ -0,0 +1,301 @@
+/**
+ * QR Status - validity, revocation and single-use consumption of verification QR codes
+ *
+ * Every QR code carries a unique ID (`jti`) and a `single_use` flag in the
+ * claims its holder signs (the key binding, see qrSigning.js). The wallet registers each code it generates in the
+ * `qrCodes` collection:
+ * { _id: jti, jti, sub, issuedAt, expiresAt, singleUse, disclosed, status, revokedAt, consumedAt }
+ * so the user can list and revoke them from the Dashboard.
+ *
+ * Verifiers (QRVerification and AdminDashboard) call verifyQRCode, which
+ * checks the signature, then the validity window and then the status record:
+ * - before `nbf` or after `exp`: rejected with QRNotYetValidError/QRExpiredError
+ *   (codes from before these claims existed expire 24 hours after `iat`)
+ * - revoked: rejected with QRRevokedError
+ * - single-use and already consumed: rejected with QRConsumedError
+ * - single-use and active: marked consumed by this verifier
+ * A verifier waiting on a presentation request (see presentationRequest.js)
+ * also passes it, and codes not bound to its nonce and verifier name, or
+ * missing a requested claim, are rejected with QRRequestMismatchError, before
+ * anything is consumed. A response to a request (a code carrying `nonce` or
+ * `aud`) is only accepted by the verifier waiting on that request.
+ * A code without a record (e.g. an admin test code) counts as active.
+ * Once the verifier has accepted a code, after its own checks on the
+ * payload, recordQRVerification logs it in the holder's sharing history
+ * (see sharingHistory.js).
+ * Offline, the status comes from the verifier cache's revocation snapshot
+ * (see verifierCache.js).
+ *
+ * Consumption is a read followed by a write, not a transaction, so two
+ * verifiers scanning at the same instant could both accept a single-use code.
+ */
+
+import firebaseService from './firebaseService';
+import { randomId } from './encoding';
+import { verifyQRData, signatureFailureTitle, QRSignatureError } from './qrSigning';
+import { isOffline, getCachedQRStatus, recordOfflineConsumption } from './verifierCache';
+import { recordSharingEvent, SHARING_EVENTS } from './sharingHistory';
+
+export const QR_STATUS = Object.freeze({
+  ACTIVE: 'active',
+  REVOKED: 'revoked',
+  CONSUMED: 'consumed',
+});
+
+// Allowed difference between the issuer's and the verifier's clocks
+const CLOCK_SKEW_SECONDS = 60;
+
+// Validity of codes issued without an `exp` claim
+const LEGACY_VALIDITY_SECONDS = 24 * 60 * 60;
+
+// Identifies this page load as a verifier. Consuming a single-use code and
+// showing it again in the same session (e.g. a re-render) is not a replay.
+const VERIFIER_SESSION = randomId('vs');
+
+/**
+ * Base class for QR codes whose status forbids accepting them
+ */
+export class QRStatusError extends Error {
+  constructor(message, jti = null) {
+    super(message);
+    this.name = 'QRStatusError';
+    this.jti = jti;
+  }
+}
+
+/**
+ * The holder revoked the QR code
+ */
+export class QRRevokedError extends QRStatusError {
+  constructor(message, jti = null) {
+    super(message, jti);
+    this.name = 'QRRevokedError';
+  }
+}
+
+/**
+ * The single-use QR code was already used
+ */
+export class QRConsumedError extends QRStatusError {
+  constructor(message, jti = null) {
+    super(message, jti);
+    this.name = 'QRConsumedError';
+  }
+}
+
+/**
+ * The QR code is past its `exp`
+ */
+export class QRExpiredError extends QRStatusError {
+  constructor(message, jti = null) {
+    super(message, jti);
+    this.name = 'QRExpiredError';
+  }
+}
+
+/**
+ * The QR code is not valid before its `nbf`
+ */
+export class QRNotYetValidError extends QRStatusError {
+  constructor(message, jti = null) {
+    super(message, jti);
+    this.name = 'QRNotYetValidError';
+  }
+}
+
+/**
+ * The QR code does not answer the verifier's presentation request
+ */
+export class QRRequestMismatchError extends QRStatusError {
+  constructor(message, jti = null) {
+    super(message, jti);
+    this.name = 'QRRequestMismatchError';
+  }
+}
+
+/**
+ * Get the validity window of a payload
+ * @param {object} payload - Signed payload
+ * @returns {{notBefore: Date, expiresAt: Date}}
+ */
+export const getQRValidity = (payload) => {
+  const issuedAt = payload.iat ?? Math.floor(new Date(payload.verifiedAt).getTime() / 1000);
+  const notBefore = payload.nbf ?? issuedAt;
+  const expiresAt = payload.exp ?? issuedAt + LEGACY_VALIDITY_SECONDS;
+  return { notBefore: new Date(notBefore * 1000), expiresAt: new Date(expiresAt * 1000) };
+};
+
+/**
+ * Check the validity window of a verified payload
+ * @param {object} payload - Verified payload
+ * @param {Date} now - Verification time
+ * @throws {QRExpiredError|QRNotYetValidError}
+ */
+export const checkQRValidity = (payload, now = new Date()) => {
+  const { notBefore, expiresAt } = getQRValidity(payload);
+  const skew = CLOCK_SKEW_SECONDS * 1000;
+
+  // Written as a negation so an unreadable date (NaN) counts as expired
+  if (!(expiresAt.getTime() + skew > now.getTime())) {
+    throw new QRExpiredError(`This QR code expired on ${expiresAt.toLocaleString()}. Please generate a new QR code for verification.`, payload.jti);
+  }
+  if (notBefore.getTime() - skew > now.getTime()) {
+    throw new QRNotYetValidError(`This QR code is not valid before ${notBefore.toLocaleString()}.`, payload.jti);
+  }
+};
+
+/**
+ * Register a QR code the wallet has just generated
+ * @param {object} payload - Presentation claims and subject ({ jti, sub, iat, exp, single_use, ... })
+ * @param {string[]} disclosed - Names of the disclosed claims (no values)
+ */
+export const registerQRCode = async (payload, disclosed) => {
+  await firebaseService.registerQRCode({
+    jti: payload.jti,
+    sub: payload.sub,
+    issuedAt: new Date(payload.iat * 1000).toISOString(),
+    expiresAt: getQRValidity(payload).expiresAt.toISOString(),
+    singleUse: !!payload.single_use,
+    disclosed,
+    status: QR_STATUS.ACTIVE,
+  });
+};
+
+/**
+ * List the QR codes issued about a user, newest first
+ * @param {string} username - Subject
+ * @returns {Promise<object[]>} - Status records
+ */
+export const listQRCodes = async (username) => {
+  const records = await firebaseService.getQRCodesBySubject(username);
+  return records.sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt));
+};
+
+/**
+ * Revoke a QR code; verifiers reject it from then on
+ * @param {string} jti - QR code ID
+ * @param {string} username - Subject the code was issued about
+ */
+export const revokeQRCode = async (jti, username) => {
+  const record = await firebaseService.getQRCodeRecord(jti);
+  if (record && record.sub !== username) {
+    throw new Error('This QR code was not issued to you');
+  }
+
+  const fields = { status: QR_STATUS.REVOKED, revokedAt: new Date().toISOString() };
+  if (record) {
+    await firebaseService.updateQRCodeRecord(jti, fields);
+  } else {
+    await firebaseService.registerQRCode({ jti, sub: username, ...fields });
+  }
+  console.log('🚫 QR code revoked:', jti);
+};
+
+/**
+ * Check the status of a verified payload, consuming it if it is single-use
+ * @param {object} payload - Verified payload
+ * @throws {QRRevokedError|QRConsumedError}
+ */
+export const checkQRStatus = async (payload) => {
+  if (!payload.jti) return;
+
+  const record = isOffline() ? getCachedQRStatus(payload.jti) : await firebaseService.getQRCodeRecord(payload.jti);
+  if (record?.status === QR_STATUS.REVOKED) {
+    throw new QRRevokedError('This QR code has been revoked by its holder.', payload.jti);
+  }
+  if (!payload.single_use) return;
+
+  if (record?.status === QR_STATUS.CONSUMED) {
+    if (record.consumedBy === VERIFIER_SESSION) return;
+    throw new QRConsumedError('This single-use QR code has already been used.', payload.jti);
+  }
+
+  const expiresAt = getQRValidity(payload).expiresAt.toISOString();
+  if (isOffline()) {
+    recordOfflineConsumption(payload.jti, VERIFIER_SESSION, expiresAt);
+    return;
+  }
+
+  const fields = { status: QR_STATUS.CONSUMED, consumedAt: new Date().toISOString(), consumedBy: VERIFIER_SESSION };
+  if (record) {
+    await firebaseService.updateQRCodeRecord(payload.jti, fields);
+  } else {
+    await firebaseService.registerQRCode({ jti: payload.jti, sub: payload.sub, singleUse: true, expiresAt, ...fields });
+  }
+};
+
+/**
+ * Check that a verified QR code answers the pending presentation request,
+ * or answers no request at all when none is pending
+ * @param {object} result - Result of verifyQRData
+ * @param {object|null} request - The verifier's request ({ nonce, verifier, claims })
+ * @throws {QRRequestMismatchError}
+ */
+export const checkPresentationBinding = (result, request) => {
+  const { nonce, aud, jti } = result.payload;
+  if (!request) {
+    if (nonce !== undefined || aud !== undefined) {
+      throw new QRRequestMismatchError('This QR code answers another verifier\'s request and cannot be used here.', jti);
+    }
+    return;
+  }
+  if (nonce !== request.nonce || aud !== request.verifier) {
+    throw new QRRequestMismatchError('This QR code was not made for your request. Ask the holder to scan your request QR code.', jti);
+  }
+  const missing = request.claims.filter(claim => !result.disclosed.includes(claim));
+  if (missing.length > 0) {
+    throw new QRRequestMismatchError(`The response does not disclose: ${missing.join(', ')}`, jti);
+  }
+};
+
+/**
+ * Verify a parsed QR code: signature, disclosures, validity window and status
+ * @param {object} qrData - Parsed QR data (see parseQRData)
+ * @param {object} options - { request }: presentation request the code must answer
+ * @returns {Promise<object>} - Result of verifyQRData
+ * @throws {QRSignatureError|QRStatusError}
+ */
+export const verifyQRCode = async (qrData, { request = null } = {}) => {
+  const result = await verifyQRData(qrData);
+  // An expired or unrelated code is rejected before a single-use code would be consumed
+  checkQRValidity(result.payload);
+  checkPresentationBinding(result, request);
+  await checkQRStatus(result.payload);
+  return result;
+};
+
+/**
+ * Log an accepted QR code in its holder's sharing history
+ * A response to a presentation request is logged under the name it was made for.
+ * @param {object} result - Result of verifyQRCode
+ * @param {string|null} verifier - Verifier label
+ */
+export const recordQRVerification = (result, verifier) => recordSharingEvent({
+  type: SHARING_EVENTS.VERIFIED,
+  sub: result.payload.sub,
+  jti: result.payload.jti,
+  disclosed: result.disclosed,
+  verifier: result.payload.aud ?? verifier,
+});
+
+/**
+ * Check whether an error means the QR code must not be trusted
+ * (as opposed to e.g. a network failure)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export const isQRRejection = (error) => error instanceof QRSignatureError || error instanceof QRStatusError;
+
+/**
+ * Short title for a rejection, for display
+ * @param {Error} error - Error thrown by verifyQRCode
+ * @returns {string}
+ */
+export const rejectionTitle = (error) => {
+  if (error instanceof QRRevokedError) return 'Revoked QR code';
+  if (error instanceof QRConsumedError) return 'QR code already used';
+  if (error instanceof QRExpiredError) return 'Expired QR code';
+  if (error instanceof QRNotYetValidError) return 'QR code not yet valid';
+  if (error instanceof QRRequestMismatchError) return 'QR code does not answer your request';
+  return signatureFailureTitle(error);
+};
@@ -0,0 +1,285 @@
+/**
+ * Reviewer Keys - public-key encryption of admin submissions
+ *
+ * Every submission is sealed with a fresh AES-GCM data key (see envelope.js),
+ * and that data key is encrypted with RSA-OAEP to the reviewers' public key.
+ * Any browser can read the public key and write submissions; only an admin
+ * who has unlocked the private key in AdminDashboard can read them.
+ *
+ * The keyring lives in the `settings` collection under `reviewerKeyring`:
+ * {
+ *   activeKid: 'rk_...',
+ *   keys: [{
+ *     kid, publicKey,            // SPKI, base64
+ *     wrappedPrivateKey, iv,     // PKCS#8 wrapped with AES-GCM under the admin password
+ *     salt, iterations,          // PBKDF2 parameters of the admin password
+ *     createdAt
+ *   }],
+ *   signature: { kid, signature } // admin issuer key over { activeKid, keys: [{ kid, publicKey }] }
+ * }
+ * Any browser can write settings, so submitters only seal to a keyring
+ * signed by a pinned admin key (see issuerKeys.js). Every change is signed
+ * again in AdminDashboard, which therefore unlocks the issuer key first.
+ */
+
+import firebaseService from './firebaseService';
+import { bytesToBase64, base64ToBytes, randomId } from './encoding';
+import { generateDataKey, wrapPrivateKeyWithPassword, unwrapPrivateKeyWithPassword } from './keyManagement';
+import { sealEnvelope, openEnvelope, EnvelopeKeyError } from './envelope';
+import { signAsAdmin, isSignedByAdmin } from './issuerKeys';
+
+export const REVIEWER_KEYRING_SETTING = 'reviewerKeyring';
+export const SEALED_KEY_ALGORITHM = 'RSA-OAEP-256';
+
+const RSA_PARAMS = {
+  name: 'RSA-OAEP',
+  modulusLength: 3072,
+  publicExponent: new Uint8Array([1, 0, 1]),
+  hash: 'SHA-256',
+};
+
+// Private keys unlocked in this page (kid -> CryptoKey). Never persisted.
+const unlockedPrivateKeys = new Map();
+
+/**
+ * Load the reviewer keyring from settings
+ * @returns {Promise<object|null>} - Keyring, or null if no reviewer key exists yet
+ */
+export const getReviewerKeyring = async () => {
+  const keyring = await firebaseService.getSetting(REVIEWER_KEYRING_SETTING);
+  return keyring && keyring.keys?.length ? keyring : null;
+};
+
+/**
+ * The part of a keyring submitters rely on, as signed
+ */
+const signedKeyringContent = (keyring) => ({
+  activeKid: keyring.activeKid,
+  keys: keyring.keys.map(({ kid, publicKey }) => ({ kid, publicKey })),
+});
+
+/**
+ * Sign and store a keyring
+ * @throws {Error} - When the admin issuer key is not unlocked
+ */
+const saveKeyring = async (keyring) => {
+  const content = { activeKid: keyring.activeKid, keys: keyring.keys };
+  await firebaseService.setSetting(REVIEWER_KEYRING_SETTING, {
+    ...content,
+    signature: await signAsAdmin(signedKeyringContent(content)),
+  });
+};
+
+/**
+ * Check that a keyring was signed by a pinned admin key
+ * @param {object} keyring - From getReviewerKeyring
+ * @returns {Promise<boolean>}
+ */
+export const isReviewerKeyringSigned = (keyring) => isSignedByAdmin(signedKeyringContent(keyring), keyring.signature);
+
+/**
+ * Check that a public key entry belongs to an unlocked private key
+ */
+const publicKeyMatches = async (entry, privateKey) => {
+  const { n: privateModulus } = await crypto.subtle.exportKey('jwk', privateKey);
+  const publicKey = await crypto.subtle.importKey('spki', base64ToBytes(entry.publicKey), RSA_PARAMS, true, ['wrapKey']);
+  const { n: publicModulus } = await crypto.subtle.exportKey('jwk', publicKey);
+  return privateModulus === publicModulus;
+};
+
+/**
+ * Generate a new reviewer key pair and make it the active key
+ * Older keys stay in the keyring so existing submissions remain readable.
+ * Requires the admin issuer key to be unlocked, to sign the keyring.
+ * @param {string} password - Admin password used to wrap the private key
+ * @returns {Promise<string>} - Key ID of the new reviewer key
+ */
+export const createReviewerKey = async (password) => {
+  const { publicKey, privateKey } = await crypto.subtle.generateKey(RSA_PARAMS, true, ['wrapKey', 'unwrapKey']);
+  const kid = randomId('rk');
+
+  const entry = {
+    kid,
+    publicKey: bytesToBase64(await crypto.subtle.exportKey('spki', publicKey)),
+    ...(await wrapPrivateKeyWithPassword(privateKey, password)),
+    createdAt: new Date().toISOString(),
+  };
+
+  const keyring = (await getReviewerKeyring()) || { keys: [] };
+  await saveKeyring({
+    activeKid: kid,
+    keys: [...keyring.keys, entry],
+  });
+
+  unlockedPrivateKeys.set(kid, privateKey);
+  console.log('🔑 Reviewer key created:', kid);
+  return kid;
+};
+
+/**
+ * Unlock every reviewer private key with the admin password
+ * A keyring without a valid signature (one written before keyrings were
+ * signed) is signed once every public key is checked against its private key.
+ * Requires the admin issuer key to be unlocked.
+ * @param {string} password - Admin password
+ * @returns {Promise<number>} - Number of keys unlocked
+ * @throws {Error} - On a wrong password, or a public key that does not belong to its private key
+ */
+export const unlockReviewerKeys = async (password) => {
+  const keyring = await getReviewerKeyring();
+  if (!keyring) {
+    throw new Error('No reviewer key has been created yet');
+  }
+
+  const unlocked = new Map();
+  for (const entry of keyring.keys) {
+    try {
+      unlocked.set(entry.kid, await unwrapPrivateKeyWithPassword(entry, password, RSA_PARAMS, ['unwrapKey']));
+    } catch {
+      throw new Error('Invalid admin password for reviewer key');
+    }
+  }
+
+  if (!(await isReviewerKeyringSigned(keyring))) {
+    for (const entry of keyring.keys) {
+      if (!(await publicKeyMatches(entry, unlocked.get(entry.kid)))) {
+        throw new Error(`Reviewer key ${entry.kid} has been tampered with: its public key does not match`);
+      }
+    }
+    await saveKeyring(keyring);
+    console.log('🔑 Reviewer keyring signed');
+  }
+
+  unlocked.forEach((privateKey, kid) => unlockedPrivateKeys.set(kid, privateKey));
+  return unlockedPrivateKeys.size;
+};
+
+/**
+ * Re-wrap all unlocked reviewer private keys under a new admin password
+ * @param {string} newPassword - New admin password
+ */
+export const rewrapReviewerKeys = async (newPassword) => {
+  const keyring = await getReviewerKeyring();
+  if (!keyring) return;
+
+  const keys = [];
+  for (const entry of keyring.keys) {
+    const privateKey = unlockedPrivateKeys.get(entry.kid);
+    if (!privateKey) {
+      throw new Error('Unlock the reviewer keys before changing the admin password');
+    }
+    keys.push({ ...entry, ...(await wrapPrivateKeyWithPassword(privateKey, newPassword)) });
+  }
+
+  await saveKeyring({ ...keyring, keys });
+};
+
+/**
+ * Remove a reviewer key from the keyring once nothing is sealed to it anymore
+ * @param {string} kid - Key ID to retire (must not be the active key)
+ */
+export const retireReviewerKey = async (kid) => {
+  const keyring = await getReviewerKeyring();
+  if (!keyring) return;
+  if (kid === keyring.activeKid) {
+    throw new Error('The active reviewer key cannot be retired');
+  }
+
+  await saveKeyring({
+    ...keyring,
+    keys: keyring.keys.filter(entry => entry.kid !== kid),
+  });
+  unlockedPrivateKeys.delete(kid);
+  console.log('🔑 Reviewer key retired:', kid);
+};
+
+/**
+ * Check whether reviewer keys are unlocked in this page
+ * @returns {boolean}
+ */
+export const areReviewerKeysUnlocked = () => unlockedPrivateKeys.size > 0;
+
+/**
+ * Forget unlocked reviewer private keys (admin logout)
+ */
+export const lockReviewerKeys = () => {
+  unlockedPrivateKeys.clear();
+};
+
+/**
+ * Seal data so that only reviewers can read it
+ * @param {any} data - Data to seal (JSON serializable)
+ * @param {object} dataKeyContext - Data key to seal with (extractable); a fresh one if omitted
+ * @returns {Promise<{encryptedData: object, sealedKey: object, dataKeyContext: object}>}
+ *   Envelope, the RSA-OAEP sealed data key, and the data key itself (for a copy the sender can keep)
+ */
+export const sealForReviewers = async (data, dataKeyContext = null) => {
+  const keyring = await getReviewerKeyring();
+  const active = keyring?.keys.find(entry => entry.kid === keyring.activeKid);
+  if (!active) {
+    throw new Error('Reviewer key is not configured yet. An admin must log in first.');
+  }
+  if (!(await isReviewerKeyringSigned(keyring))) {
+    throw new Error('Reviewer key is not signed by the admin. An admin must log in first.');
+  }
+
+  const publicKey = await crypto.subtle.importKey(
+    'spki',
+    base64ToBytes(active.publicKey),
+    RSA_PARAMS,
+    false,
+    ['wrapKey']
+  );
+
+  const keyContext = dataKeyContext || { keyId: randomId('sk'), key: await generateDataKey() };
+  const encryptedData = await sealEnvelope(data, keyContext);
+  const wrappedDataKey = await crypto.subtle.wrapKey('raw', keyContext.key, publicKey, { name: 'RSA-OAEP' });
+
+  return {
+    encryptedData,
+    sealedKey: {
+      alg: SEALED_KEY_ALGORITHM,
+      kid: active.kid,
+      key: bytesToBase64(wrappedDataKey),
+    },
+    dataKeyContext: keyContext,
+  };
+};
+
+/**
+ * Recover the data key of something sealed with sealForReviewers
+ * Reviewers use it to seal a reply (e.g. a verifiable credential) that the
+ * sender can open with their copy of the key.
+ * @param {string} keyId - Key ID of the envelope (`encryptedData.kid`)
+ * @param {object} sealedKey - Sealed data key ({ alg, kid, key })
+ * @returns {Promise<object>} - Key context ({ keyId, key }); extractable, so it can be re-sealed
+ * @throws {EnvelopeKeyError} - When the reviewer key is not unlocked
+ */
+export const openReviewerDataKey = async (keyId, sealedKey) => {
+  const privateKey = unlockedPrivateKeys.get(sealedKey?.kid);
+  if (!privateKey) {
+    throw new EnvelopeKeyError(`Reviewer key ${sealedKey?.kid} is not unlocked`, sealedKey?.kid);
+  }
+
+  const key = await crypto.subtle.unwrapKey(
+    'raw',
+    base64ToBytes(sealedKey.key),
+    privateKey,
+    { name: 'RSA-OAEP' },
+    { name: 'AES-GCM', length: 256 },
+    true,
+    ['encrypt', 'decrypt']
+  );
+  return { keyId, key };
+};
+
+/**
+ * Open data sealed with sealForReviewers
+ * @param {object} encryptedData - Envelope
+ * @param {object} sealedKey - Sealed data key ({ alg, kid, key })
+ * @returns {Promise<any>} - Decrypted data
+ * @throws {EnvelopeKeyError} - When the reviewer key is not unlocked
+ */
+export const openForReviewers = async (encryptedData, sealedKey) => {
+  return openEnvelope(encryptedData, await openReviewerDataKey(encryptedData.kid, sealedKey));
+};
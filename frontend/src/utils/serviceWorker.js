@@ -0,0 +1,27 @@
+/**
+ * Registration of the offline verifier service worker (public/sw.js)
+ *
+ * Only in production builds: in development the service worker would serve
+ * stale modules to Vite's hot reload.
+ */
+
+/**
+ * Register the service worker and have it cache what this page loaded
+ */
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+  window.addEventListener('load', async () => {
+    try {
+      await navigator.serviceWorker.register('/sw.js');
+      const registration = await navigator.serviceWorker.ready;
+      const urls = performance.getEntriesByType('resource')
+        .map(entry => entry.name)
+        .filter(url => url.startsWith(window.location.origin));
+      registration.active?.postMessage({ type: 'CACHE_URLS', urls: [window.location.pathname, ...urls] });
+      console.log('📦 Offline verifier ready:', urls.length, 'assets cached');
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+    }
+  });
+};
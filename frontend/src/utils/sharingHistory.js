@@ -0,0 +1,111 @@
+/**
+ * Sharing History - what a user disclosed, when and to whom
+ *
+ * Every verification QR code the wallet generates and every successful
+ * verification of one is logged in the `sharingHistory` collection:
+ * { _id: eventId, eventId, sub, type: 'generated' | 'verified', jti, disclosed, verifier, at, expiresAt }
+ * `disclosed` holds claim names only, never their values. `verifier` is the
+ * label the verifier gave (the name on a presentation request, the name typed
+ * on the verification page, or the admin), or null for a code made for anyone.
+ *
+ * Verifiers log a verification once they have accepted the code, after
+ * their own checks (recordQRVerification in qrStatus.js, and
+ * recordCredentialVerification in verifiableCredential.js).
+ * Offline verifiers queue their events in the verifier cache until the next
+ * sync. Logging is best effort: a failure never blocks sharing or verifying.
+ *
+ * The Dashboard lists the history and downloads a consent receipt per entry.
+ * A receipt is a copy of the logged event for the user's records; it is not
+ * signed, so it proves nothing to a third party.
+ */
+
+import firebaseService from './firebaseService';
+import { randomId } from './encoding';
+import { downloadJSON } from './download';
+import { isOffline, recordOfflineSharingEvent } from './verifierCache';
+
+export const SHARING_EVENTS = Object.freeze({
+  GENERATED: 'generated',
+  VERIFIED: 'verified',
+});
+
+export const CONSENT_RECEIPT_VERSION = 'sdw-consent-receipt/1';
+
+// Codes already logged as verified by this page load. Showing the same code
+// again (e.g. a re-render) is not a second verification.
+const loggedVerifications = new Set();
+
+/**
+ * Log a sharing event
+ * @param {object} event
+ * @param {string} event.type - One of SHARING_EVENTS
+ * @param {string} event.sub - User whose attributes were shared
+ * @param {string} event.jti - QR code ID
+ * @param {string[]} event.disclosed - Names of the disclosed claims
+ * @param {string|null} event.verifier - Verifier label
+ * @param {string} [event.expiresAt] - Expiry of a generated code
+ */
+export const recordSharingEvent = async ({ type, sub, jti, disclosed, verifier = null, expiresAt = null }) => {
+  if (!sub) return;
+  if (type === SHARING_EVENTS.VERIFIED) {
+    if (loggedVerifications.has(jti)) return;
+    loggedVerifications.add(jti);
+  }
+
+  const event = {
+    eventId: randomId('sh'),
+    sub,
+    type,
+    jti,
+    disclosed,
+    verifier,
+    at: new Date().toISOString(),
+    expiresAt,
+  };
+  try {
+    if (isOffline()) {
+      recordOfflineSharingEvent(event);
+    } else {
+      await firebaseService.saveSharingEvent(event);
+    }
+  } catch (error) {
+    console.error('Error logging sharing event:', error);
+  }
+};
+
+/**
+ * List a user's sharing history, newest first
+ * @param {string} username - Subject
+ * @returns {Promise<object[]>} - Events
+ */
+export const listSharingHistory = async (username) => {
+  const events = await firebaseService.getSharingEventsBySubject(username);
+  return events.sort((a, b) => new Date(b.at) - new Date(a.at));
+};
+
+/**
+ * Build the consent receipt for a sharing event
+ * @param {object} event - Event from listSharingHistory
+ * @returns {object} - Receipt
+ */
+export const buildConsentReceipt = (event) => ({
+  version: CONSENT_RECEIPT_VERSION,
+  receiptId: `cr_${event.eventId}`,
+  subject: event.sub,
+  action: event.type === SHARING_EVENTS.GENERATED ? 'consented to share' : 'verified by',
+  verifier: event.verifier || 'any verifier holding the QR code',
+  disclosed: event.disclosed,
+  qrCodeId: event.jti,
+  at: event.at,
+  ...(event.expiresAt && { expiresAt: event.expiresAt }),
+  issuedAt: new Date().toISOString(),
+});
+
+/**
+ * Download the consent receipt of a sharing event as a JSON file
+ * @param {object} event - Event from listSharingHistory
+ */
+export const downloadConsentReceipt = (event) => {
+  const receipt = buildConsentReceipt(event);
+  downloadJSON(receipt, `consent-receipt-${receipt.receiptId}.json`);
+};
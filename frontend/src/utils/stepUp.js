@@ -0,0 +1,129 @@
+/**
+ * Step-up Authentication - confirm the user is still present before a
+ * sensitive action
+ *
+ * A logged-in browser left unattended would otherwise let anyone generate
+ * QR codes, replace the stored document or delete the account. Before those
+ * actions the Dashboard asks again (see components/useStepUp.jsx):
+ * - a short live face match against the face login template enrolled in this
+ *   browser (see faceLogin.js), with liveness and presentation attack checks
+ * - the password, when no face is enrolled here or the face check fails
+ *
+ * Logging in counts as a step-up too. A successful step-up is remembered, in
+ * memory only, for a window configurable in the `settings` collection under
+ * `stepUpWindowSeconds` (AdminDashboard settings); 0 asks before every
+ * action. A page reload or logout forgets it. Anyone can write settings, so
+ * the window is signed by the admin issuer key and a value without a valid
+ * signature is ignored (see issuerKeys.js).
+ */
+
+import firebaseService from './firebaseService';
+import { unlockUserKey } from './keyManagement';
+import { setAdminSignedSetting, getAdminSignedSetting } from './issuerKeys';
+
+export const STEP_UP_WINDOW_SETTING = 'stepUpWindowSeconds';
+
+export const DEFAULT_STEP_UP_WINDOW_SECONDS = 300;
+
+// Windows an admin may set
+export const MIN_STEP_UP_WINDOW_SECONDS = 0;
+export const MAX_STEP_UP_WINDOW_SECONDS = 1800;
+
+// Liveness challenges in a step-up face check, fewer than at enrollment
+export const STEP_UP_CHALLENGES = 1;
+
+export const STEP_UP_METHODS = Object.freeze({
+  FACE: 'face',
+  PASSWORD: 'password',
+});
+
+// Last successful step-up: { username, method, at }
+let lastStepUp = null;
+
+/**
+ * Step-up failed or could not be configured
+ */
+export class StepUpError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StepUpError';
+  }
+}
+
+/**
+ * Check whether a value is an acceptable window
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isValidStepUpWindow = (value) => {
+  return Number.isInteger(value) && value >= MIN_STEP_UP_WINDOW_SECONDS && value <= MAX_STEP_UP_WINDOW_SECONDS;
+};
+
+/**
+ * Load the configured remember window
+ * @returns {Promise<number>} - Seconds, or DEFAULT_STEP_UP_WINDOW_SECONDS when unset, unsigned or invalid
+ */
+export const loadStepUpWindow = async () => {
+  const stored = await getAdminSignedSetting(STEP_UP_WINDOW_SETTING);
+  if (stored === null) return DEFAULT_STEP_UP_WINDOW_SECONDS;
+  if (!isValidStepUpWindow(stored)) {
+    console.warn('⚠️ Ignoring invalid step-up window:', stored);
+    return DEFAULT_STEP_UP_WINDOW_SECONDS;
+  }
+  return stored;
+};
+
+/**
+ * Save the remember window
+ * @param {number} seconds
+ * @throws {StepUpError} - When the window is out of range
+ * @throws {Error} - When the admin issuer key is not unlocked
+ */
+export const saveStepUpWindow = async (seconds) => {
+  if (!isValidStepUpWindow(seconds)) {
+    throw new StepUpError(`The window must be a whole number of seconds between ${MIN_STEP_UP_WINDOW_SECONDS} and ${MAX_STEP_UP_WINDOW_SECONDS}.`);
+  }
+  await setAdminSignedSetting(STEP_UP_WINDOW_SETTING, seconds);
+};
+
+/**
+ * Remember a successful step-up
+ * @param {string} username
+ * @param {string} method - One of STEP_UP_METHODS
+ */
+export const recordStepUp = (username, method) => {
+  lastStepUp = { username, method, at: Date.now() };
+  console.log('🔐 Step-up confirmed for', username, 'by', method);
+};
+
+/**
+ * Check whether the user stepped up within the window
+ * @param {string} username
+ * @param {number} windowSeconds - See loadStepUpWindow
+ * @returns {boolean}
+ */
+export const hasRecentStepUp = (username, windowSeconds) => {
+  return !!lastStepUp && lastStepUp.username === username && Date.now() - lastStepUp.at < windowSeconds * 1000;
+};
+
+/**
+ * Forget the last step-up (on logout)
+ */
+export const clearStepUp = () => {
+  lastStepUp = null;
+};
+
+/**
+ * Confirm the user's password
+ * @param {string} username
+ * @param {string} password
+ * @throws {StepUpError} - When the password is wrong
+ */
+export const verifyStepUpPassword = async (username, password) => {
+  const user = await firebaseService.getUser(username);
+  try {
+    await unlockUserKey(user, password);
+  } catch {
+    throw new StepUpError('Incorrect password.');
+  }
+};
@@ -1,12 +1,19 @@
 /**
  * Submission Store using Firebase Firestore
  * This module handles admin submission queue using Firebase
+ * Submissions are sealed to the reviewers' public key (see reviewerKeys.js):
+ * any browser can add one, only an unlocked AdminDashboard can read them.
+ * The submitter keeps a copy of the submission key sealed under their own
+ * data key (`holderKey`), so replies sealed with it, such as the verifiable
+ * credential (see verifiableCredential.js), are readable in their wallet.
  */
 
-import CryptoJS from 'crypto-js';
 import firebaseService from './firebaseService';
-
-const ENCRYPTION_KEY = 'secure-digital-wallet-2024';
+import { isLegacyBlob, EnvelopeIntegrityError } from './envelope';
+import { sealForReviewers, openForReviewers } from './reviewerKeys';
+import { sealDataKey } from './keyManagement';
+import { computeBlindIndex, computeBlindIndexes, computeUsernameIndex, getBlindIndexKid } from './blindIndex';
+import { blindIndexFieldName } from './fieldPolicy';
 
 // Initialize Firebase connection
 let initPromise = null;
@@ -19,13 +26,11 @@ function ensureInitialized() {
 }
 
 /**
- * Encrypt submission data
+ * Seal submission data to the reviewers' public key
  */
-function encryptSubmissionData(data) {
+async function encryptSubmissionData(data) {
   try {
-    const jsonString = JSON.stringify(data);
-    const encrypted = CryptoJS.AES.encrypt(jsonString, ENCRYPTION_KEY).toString();
-    return encrypted;
+    return await sealForReviewers(data);
   } catch (error) {
     console.error('Encryption error:', error);
     return null;
@@ -33,17 +38,74 @@ function encryptSubmissionData(data) {
 }
 
 /**
- * Decrypt submission data
+ * Open a sealed submission
+ * Legacy CryptoJS strings are not read here; key rotation migrates them
+ * (rotate-keys --from legacy).
  */
-function decryptSubmissionData(encryptedData) {
+async function decryptSubmissionData(submission) {
+  if (isLegacyBlob(submission.encryptedData)) {
+    console.error('❌ Legacy submission, re-seal it with key rotation first:', submission.id);
+    return null;
+  }
   try {
-    const decrypted = CryptoJS.AES.decrypt(encryptedData, ENCRYPTION_KEY);
-    const jsonString = decrypted.toString(CryptoJS.enc.Utf8);
-    return JSON.parse(jsonString);
+    return await openForReviewers(submission.encryptedData, submission.sealedKey);
   } catch (error) {
-    console.error('Decryption error:', error);
+    if (error instanceof EnvelopeIntegrityError) {
+      console.error('🚨 Submission failed integrity check (tampered?):', error.message);
+    } else {
+      console.error('Decryption error:', error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Turn a stored submission into the shape the admin dashboard uses
+ * Returns null when the submission cannot be decrypted.
+ */
+async function openSubmission(submission) {
+  if (!submission.encryptedData) {
+    console.error('❌ Submission missing encryptedData field:', submission.id, 'Keys:', Object.keys(submission));
+    return null;
+  }
+  
+  const decryptedData = await decryptSubmissionData(submission);
+  if (!decryptedData) {
+    console.error('❌ Failed to decrypt submission:', submission.id);
+    console.error('❌ Sealed to reviewer key:', submission.sealedKey?.kid || 'legacy');
     return null;
   }
+  
+  return {
+    id: submission.id,
+    ...decryptedData,
+    submittedAt: submission.submittedAt,
+    status: submission.status || 'pending',
+    dataKeyId: submission.encryptedData.kid,
+    sealedKey: submission.sealedKey,
+    holderKey: submission.holderKey || null,
+  };
+}
+
+/**
+ * Write the blind indexes of submissions not indexed with the current key
+ * Runs when the admin opens the queue with the blind index key unlocked.
+ * @param {object[]} stored - Submissions as stored
+ * @param {object[]} opened - The ones openSubmission could decrypt
+ */
+async function backfillBlindIndexes(stored, opened) {
+  const kid = getBlindIndexKid();
+  if (!kid) return;
+
+  for (const submission of opened) {
+    const record = stored.find(item => item.id === submission.id);
+    if (record?.blindIndexKid === kid) continue;
+    await firebaseService.updateSubmission(submission.id, {
+      ...(await computeBlindIndexes(submission)),
+      usernameIndex: computeUsernameIndex(submission.username),
+    });
+    console.log('🔎 Blind indexes written for submission', submission.id);
+  }
 }
 
 // Subscribers for real-time updates
@@ -55,8 +117,10 @@ const subscribers = [];
 export const submissionStore = {
   /**
    * Add a submission to the admin queue
+   * @param {object} submissionData - Submission to queue
+   * @param {object} holderKeyContext - Submitter's key context; keeps them a copy of the submission key
    */
-  async addSubmission(submissionData) {
+  async addSubmission(submissionData, holderKeyContext = null) {
     try {
       console.log('🔧 [SubmissionStore] Starting addSubmission...');
       console.log('🔧 [SubmissionStore] Input data:', JSON.stringify(submissionData, null, 2));
@@ -65,18 +129,22 @@ export const submissionStore = {
       console.log('🔧 [SubmissionStore] Firebase initialized');
       
       console.log('🔒 [SubmissionStore] Encrypting data...');
-      const encryptedData = encryptSubmissionData(submissionData);
+      const sealed = await encryptSubmissionData(submissionData);
       
-      if (!encryptedData) {
+      if (!sealed) {
         console.error('❌ [SubmissionStore] Encryption failed!');
         throw new Error('Failed to encrypt submission data');
       }
       
-      console.log('✅ [SubmissionStore] Encryption successful, length:', encryptedData.length);
+      console.log('✅ [SubmissionStore] Encryption successful, reviewer key:', sealed.sealedKey.kid);
 
       const submission = {
         id: Date.now(),
-        encryptedData,
+        encryptedData: sealed.encryptedData,
+        sealedKey: sealed.sealedKey,
+        // Identifier indexes are added by the admin (see blindIndex.js)
+        usernameIndex: computeUsernameIndex(submissionData.username),
+        ...(holderKeyContext && { holderKey: await sealDataKey(sealed.dataKeyContext, holderKeyContext) }),
         submittedAt: new Date().toISOString(),
         status: 'pending',
       };
@@ -85,7 +153,7 @@ export const submissionStore = {
         id: submission.id, 
         status: submission.status, 
         submittedAt: submission.submittedAt,
-        encryptedDataLength: submission.encryptedData.length
+        reviewerKeyId: submission.sealedKey.kid
       });
       
       console.log('💾 [SubmissionStore] Calling firebaseService.addSubmission...');
@@ -110,6 +178,7 @@ export const submissionStore = {
 
   /**
    * Get all submissions from the admin queue
+   * Requires the reviewer keys to be unlocked (reviewerKeys.unlockReviewerKeys)
    */
   async getSubmissions() {
     await ensureInitialized();
@@ -123,50 +192,43 @@ export const submissionStore = {
         id: submissions[0].id,
         _id: submissions[0]._id,
         hasEncryptedData: !!submissions[0].encryptedData,
-        encryptedDataPreview: submissions[0].encryptedData?.substring(0, 50) + '...',
+        reviewerKeyId: submissions[0].sealedKey?.kid || 'legacy',
         status: submissions[0].status,
         submittedAt: submissions[0].submittedAt
       });
     }
     
     // Decrypt all submissions
-    const decryptedSubmissions = submissions.map((submission, index) => {
+    const decryptedSubmissions = (await Promise.all(submissions.map(async (submission, index) => {
       console.log(`📥 Decrypting submission ${index + 1}/${submissions.length}...`);
-      
-      if (!submission.encryptedData) {
-        console.error('❌ Submission missing encryptedData field:', submission.id, 'Keys:', Object.keys(submission));
-        return null;
-      }
-      
-      const decryptedData = decryptSubmissionData(submission.encryptedData);
-      if (!decryptedData) {
-        console.error('❌ Failed to decrypt submission:', submission.id);
-        console.error('❌ Encrypted data length:', submission.encryptedData?.length);
-        return null;
-      }
-      
-      console.log(`✅ Successfully decrypted submission ${submission.id}:`, {
-        name: decryptedData.name,
-        username: decryptedData.username,
-        hasAddress: !!decryptedData.address,
-        hasMobile: !!decryptedData.mobile,
-        hasAadhaar: !!decryptedData.aadhaar
-      });
-      
-      return {
-        id: submission.id,
-        ...decryptedData,
-        submittedAt: submission.submittedAt,
-        status: submission.status || 'pending',
-      };
-    }).filter(submission => submission !== null);
+      return await openSubmission(submission);
+    }))).filter(submission => submission !== null);
     
+    await backfillBlindIndexes(submissions, decryptedSubmissions);
+
     console.log('📥 Decrypted submissions:', decryptedSubmissions.length, 'items');
     console.log('📥 Submission data:', decryptedSubmissions);
     
     return decryptedSubmissions;
   },
 
+  /**
+   * Find submissions by an identifier via its blind index
+   * Only the matching submissions are decrypted (the blind index and reviewer
+   * keys must be unlocked).
+   * @param {string} field - Identifier field (e.g. 'aadhaar', 'panNumber')
+   * @param {string} value - Identifier, in any formatting
+   */
+  async findByIdentifier(field, value) {
+    await ensureInitialized();
+    
+    const index = await computeBlindIndex(field, value);
+    const matches = await firebaseService.findSubmissionsByIndex(blindIndexFieldName(field), index);
+    console.log('🔎 Blind index lookup matched', matches.length, 'submissions');
+    
+    return (await Promise.all(matches.map(openSubmission))).filter(submission => submission !== null);
+  },
+
   /**
    * Update submission status
    */
@@ -230,6 +292,8 @@ export const submissionStore = {
    */
   async notifySubscribers() {
     console.log('📢 Notifying', subscribers.length, 'subscribers of submission changes');
+    // Only reviewers subscribe; a user's browser cannot (and must not try to) read the queue
+    if (subscribers.length === 0) return;
     const submissions = await this.getSubmissions();
     console.log('📢 Broadcasting', submissions.length, 'submissions to subscribers');
     subscribers.forEach(callback => callback(submissions));
@@ -0,0 +1,158 @@
+/**
+ * User Erasure - right to erasure by crypto-shredding
+ *
+ * eraseUser removes every record tied to a username:
+ * 1. The user's wrapped data key, biometric key, signing key and face login
+ *    enrollments are overwritten first (crypto-shredding). From then on any
+ *    copy of their documents or face templates, including backups, is
+ *    unreadable, even if a later step fails.
+ * 2. Documents, submissions, QR code records, issued credentials and sharing
+ *    history of the user are deleted, and their signing
+ *    key leaves the `issuerKeys` list, so QR codes they generated no longer
+ *    verify.
+ * 3. The user record itself is deleted.
+ * 4. Copies left in the localStorage fallback, and this browser's face login
+ *    device key, are purged.
+ *
+ * Submissions are sealed to the reviewers, so they are found through their
+ * `usernameIndex` (see blindIndex.js). An admin with unlocked reviewer keys
+ * also decrypts the queue, which catches submissions written before that index.
+ *
+ * The result is a deletion receipt. The stored copy (collection
+ * `erasureReceipts`) identifies the user by their username index instead of
+ * the username. That index uses a fixed key, so it is pseudonymous only:
+ * whoever knows the username can match the receipt.
+ */
+
+import firebaseService from './firebaseService';
+import { computeUsernameIndex } from './blindIndex';
+import { randomId } from './encoding';
+import { downloadJSON } from './download';
+import { getActiveKeyContext, clearActiveKeyContext } from './keyManagement';
+import { clearBiometricKeys } from './biometricVault';
+import { forgetFaceLoginDevice } from './faceLogin';
+import { clearSigners } from './issuerKeys';
+import { areReviewerKeysUnlocked } from './reviewerKeys';
+import { submissionStore } from './submissionStore';
+
+export const ERASURE_REQUESTERS = Object.freeze({
+  USER: 'user',
+  ADMIN: 'admin',
+});
+
+/**
+ * Find the ids of a user's submissions
+ */
+const findSubmissionIds = async (username, requestedBy) => {
+  const ids = new Set();
+
+  const index = computeUsernameIndex(username);
+  const indexed = await firebaseService.findSubmissionsByIndex('usernameIndex', index);
+  indexed.forEach(submission => ids.add(submission.id));
+
+  if (requestedBy === ERASURE_REQUESTERS.ADMIN && areReviewerKeysUnlocked()) {
+    const submissions = await submissionStore.getSubmissions();
+    submissions
+      .filter(submission => submission.username === username)
+      .forEach(submission => ids.add(submission.id));
+  }
+
+  return { ids: [...ids], usernameIndex: index };
+};
+
+/**
+ * Erase every record of a user
+ * @param {string} username - User to erase
+ * @param {object} options
+ * @param {string} options.requestedBy - One of ERASURE_REQUESTERS
+ * @returns {Promise<object>} - Deletion receipt (with the username, for the requester's copy)
+ */
+export const eraseUser = async (username, { requestedBy = ERASURE_REQUESTERS.USER } = {}) => {
+  if (!username) {
+    throw new Error('A username is required');
+  }
+
+  const user = await firebaseService.getUser(username);
+  const documents = await firebaseService.getAllDocumentsByUsername(username);
+  if (!user && documents.length === 0) {
+    throw new Error(`No records found for user ${username}`);
+  }
+
+  console.log('🗑️ Erasing user:', username, 'requested by', requestedBy);
+
+  // 1. Crypto-shred: without these keys nothing the user encrypted can be read again
+  const shreddedKeys = [];
+  if (user) {
+    if (user.dataKeyId) shreddedKeys.push(user.dataKeyId);
+    if (user.biometricKey) shreddedKeys.push('biometric');
+    if (user.signingKey) shreddedKeys.push('signing');
+    if (user.faceLogin) shreddedKeys.push('faceLogin');
+    await firebaseService.saveUser(username, {
+      wrappedDataKey: null,
+      pendingKeyRecord: null,
+      keySalt: null,
+      biometricKey: null,
+      signingKey: null,
+      faceLogin: null,
+      password: null,
+      erasedAt: new Date().toISOString(),
+    });
+  }
+
+  // 2. Delete the records
+  const deleted = { users: 0, documents: 0, submissions: 0, issuerKeys: 0, qrCodes: 0, credentials: 0, sharingHistory: 0, localStorage: 0 };
+  deleted.documents = await firebaseService.deleteDocumentsByUsername(username);
+  deleted.issuerKeys = await firebaseService.deleteIssuerKeysByOwner(username);
+  deleted.qrCodes = await firebaseService.deleteQRCodesBySubject(username);
+  deleted.credentials = await firebaseService.deleteCredentialsBySubject(username);
+  deleted.sharingHistory = await firebaseService.deleteSharingEventsBySubject(username);
+
+  const { ids: submissionIds, usernameIndex } = await findSubmissionIds(username, requestedBy);
+  for (const id of submissionIds) {
+    if (await firebaseService.deleteSubmission(id)) deleted.submissions++;
+  }
+
+  // 3. Delete the user record last, so a failed erasure can be retried
+  if (user && await firebaseService.deleteUser(username)) deleted.users++;
+
+  // 4. Purge the localStorage fallback
+  deleted.localStorage += firebaseService.purgeLocalStorageRecords('users', item => item.username === username);
+  deleted.localStorage += firebaseService.purgeLocalStorageRecords('documents', item => item.username === username);
+  deleted.localStorage += firebaseService.purgeLocalStorageRecords('submissions',
+    item => item.usernameIndex === usernameIndex || submissionIds.includes(item.id));
+  deleted.localStorage += firebaseService.purgeLocalStorageRecords('issuerKeys', item => item.owner === username);
+  deleted.localStorage += firebaseService.purgeLocalStorageRecords('qrCodes', item => item.sub === username);
+  deleted.localStorage += firebaseService.purgeLocalStorageRecords('credentials', item => item.sub === username);
+  deleted.localStorage += firebaseService.purgeLocalStorageRecords('sharingHistory', item => item.sub === username);
+  await forgetFaceLoginDevice(username);
+
+  // End this browser's session if it belongs to the erased user
+  const keyContext = await getActiveKeyContext();
+  if (keyContext?.username === username) {
+    clearActiveKeyContext();
+    clearBiometricKeys();
+    clearSigners(username);
+  }
+
+  const receipt = {
+    receiptId: randomId('er'),
+    subject: usernameIndex,
+    requestedBy,
+    erasedAt: new Date().toISOString(),
+    shreddedKeys,
+    deleted,
+  };
+
+  await firebaseService.addErasureReceipt(receipt);
+  console.log('✅ User erased:', receipt);
+
+  return { ...receipt, username };
+};
+
+/**
+ * Download a deletion receipt as a JSON file
+ * @param {object} receipt - Receipt from eraseUser
+ */
+export const downloadErasureReceipt = (receipt) => {
+  downloadJSON(receipt, `deletion-receipt-${receipt.receiptId}.json`);
+};
@@ -0,0 +1,306 @@
+/**
+ * Verifiable Credentials - W3C VC export of an admin-verified identity
+ *
+ * When an admin marks a submission verified, AdminDashboard issues a W3C
+ * Verifiable Credential (data model 1.1, JSON-LD) over the verified
+ * attributes, signed with the admin issuer key (see issuerKeys.js):
+ * {
+ *   '@context': [credentials/v1, suites/jws-2020/v1, { '@vocab': 'https://schema.org/' }],
+ *   id: 'urn:uuid:...',
+ *   type: ['VerifiableCredential', 'IdentityCredential'],
+ *   issuer: { id: <wallet origin>, name },
+ *   issuanceDate, expirationDate,
+ *   credentialSubject: { id: 'urn:sdw:user:<username>', name, birthDate, telephone, address, identifier },
+ *   proof: {
+ *     type: 'JsonWebSignature2020', created, verificationMethod: '<issuer id>#<kid>',
+ *     proofPurpose: 'assertionMethod', jws
+ *   }
+ * }
+ * `jws` is a detached ES256 JWS with an unencoded payload (RFC 7797),
+ * header { alg: 'ES256', b64: false, crit: ['b64'], kid }. The payload is
+ * the credential including `proof` without `jws`, canonicalized with JCS
+ * (RFC 8785) instead of RDF dataset canonicalization, so checking it needs
+ * no JSON-LD processor. Partners resolve the `kid` of the verification
+ * method against the pinned admin keys (see issuerKeys.js).
+ *
+ * Alongside it the admin issues the QR credential the wallet presents as
+ * verification QR codes: an SD-JWT over the same reviewer-verified attributes
+ * and the age predicates that hold on the issue date, bound to the wallet key the user submitted with their
+ * document (`walletKey`, see qrSigning.js).
+ *
+ * Both hold personal data, so they are stored in the `credentials`
+ * collection sealed with the key of the submission they were issued for:
+ * { _id: credentialId, credentialId, sub, submissionId, issuedAt, holderKey, credential (envelope), sdJwt (envelope) }
+ * `holderKey` is the submitter's copy of that key (see submissionStore.js);
+ * only they and the reviewers can open the credentials.
+ *
+ * verifyIdentityCredential fails with the same errors as QR codes
+ * (qrSigning.js, qrStatus.js). Only pinned admin keys may issue credentials.
+ * Once the verifier accepts a credential, recordCredentialVerification logs
+ * it in the holder's sharing history (see sharingHistory.js).
+ */
+
+import firebaseService from './firebaseService';
+import { sealEnvelope, openEnvelope } from './envelope';
+import { utf8Encode, utf8Decode, bytesToBase64Url, base64UrlToBytes, canonicalJSON } from './encoding';
+import { openSealedDataKey } from './keyManagement';
+import { openReviewerDataKey } from './reviewerKeys';
+import { getAdminSigner, getTrustedIssuerKey } from './issuerKeys';
+import { QRFormatError, UnknownIssuerError, QRTamperedError, QR_SIGNATURE_ALGORITHM } from './qrSigning';
+import { QRExpiredError } from './qrStatus';
+import { issueSelectiveDisclosure } from './qrSigning';
+import { dateOfBirthToISO, credentialClaimsFor } from './documentUtils';
+import { isEmptyFieldValue } from './fieldPolicy';
+import { recordSharingEvent, SHARING_EVENTS } from './sharingHistory';
+import { downloadJSON } from './download';
+
+export const CREDENTIAL_CONTEXT = [
+  'https://www.w3.org/2018/credentials/v1',
+  'https://w3id.org/security/suites/jws-2020/v1',
+  { '@vocab': 'https://schema.org/' },
+];
+export const CREDENTIAL_TYPE = 'IdentityCredential';
+export const CREDENTIAL_PROOF_TYPE = 'JsonWebSignature2020';
+
+const CREDENTIAL_VALIDITY_DAYS = 365;
+
+const ISSUER_NAME = 'Secure Digital Wallet';
+
+const SIGN_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+const SUBJECT_ID_PREFIX = 'urn:sdw:user:';
+
+/**
+ * JWS signing input of a credential: header . canonical credential (proof without `jws`)
+ */
+const signingInput = (encodedHeader, credential) => {
+  const proofOptions = { ...credential.proof };
+  delete proofOptions.jws;
+  return utf8Encode(`${encodedHeader}.${canonicalJSON({ ...credential, proof: proofOptions })}`);
+};
+
+/**
+ * Check whether a value looks like a W3C Verifiable Credential
+ * @param {any} value
+ * @returns {boolean}
+ */
+export const isVerifiableCredential = (value) => {
+  return Array.isArray(value?.['@context'])
+    && Array.isArray(value.type)
+    && value.type.includes('VerifiableCredential');
+};
+
+/**
+ * Build the credential subject from a verified submission
+ */
+const credentialSubjectFor = (submission) => {
+  const subject = { id: `${SUBJECT_ID_PREFIX}${submission.username}` };
+  if (!isEmptyFieldValue(submission.name)) subject.name = submission.name;
+  const birthDate = dateOfBirthToISO(submission.dob);
+  if (birthDate) subject.birthDate = birthDate;
+  if (!isEmptyFieldValue(submission.mobile)) subject.telephone = submission.mobile;
+  if (!isEmptyFieldValue(submission.address)) subject.address = submission.address;
+  if (!isEmptyFieldValue(submission.aadhaar)) {
+    subject.identifier = { type: 'PropertyValue', propertyID: 'Aadhaar', value: submission.aadhaar };
+  }
+  return subject;
+};
+
+/**
+ * Sign a credential with a JsonWebSignature2020 proof
+ * @param {object} credential - Credential without `proof`
+ * @param {object} signer - Signer from issuerKeys.js
+ * @returns {Promise<object>} - Credential with `proof`
+ */
+const signCredential = async (credential, signer) => {
+  const encodedHeader = bytesToBase64Url(utf8Encode(JSON.stringify({
+    alg: QR_SIGNATURE_ALGORITHM,
+    b64: false,
+    crit: ['b64'],
+    kid: signer.kid,
+  })));
+  const proof = {
+    type: CREDENTIAL_PROOF_TYPE,
+    created: new Date().toISOString(),
+    verificationMethod: `${credential.issuer.id}#${signer.kid}`,
+    proofPurpose: 'assertionMethod',
+  };
+
+  const signature = await crypto.subtle.sign(SIGN_PARAMS, signer.privateKey, signingInput(encodedHeader, { ...credential, proof }));
+  return { ...credential, proof: { ...proof, jws: `${encodedHeader}..${bytesToBase64Url(signature)}` } };
+};
+
+/**
+ * Issue the credentials for a submission the admin has just verified
+ * Requires the admin issuer key and the reviewer keys to be unlocked.
+ * @param {object} submission - Opened submission (see submissionStore.js)
+ * @returns {Promise<object>} - The signed W3C credential
+ * @throws {Error} - When the issuer key is locked, or the submitter kept no copy of the submission key or sent no wallet key
+ */
+export const issueIdentityCredential = async (submission) => {
+  const signer = getAdminSigner();
+  if (!signer) {
+    throw new Error('Unlock the issuer key before issuing credentials');
+  }
+  if (!submission.holderKey) {
+    throw new Error('This submission predates credential export. Ask the user to upload their document again.');
+  }
+  if (!submission.walletKey) {
+    throw new Error('This submission predates QR credentials. Ask the user to upload their document again.');
+  }
+
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CREDENTIAL_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  const credential = await signCredential({
+    '@context': CREDENTIAL_CONTEXT,
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    type: ['VerifiableCredential', CREDENTIAL_TYPE],
+    issuer: { id: window.location.origin, name: ISSUER_NAME },
+    issuanceDate: issuedAt.toISOString(),
+    expirationDate: expiresAt.toISOString(),
+    credentialSubject: credentialSubjectFor(submission),
+  }, signer);
+
+  const sdJwt = await issueSelectiveDisclosure({
+    sub: submission.username,
+    docType: 'Document Verification',
+    verifiedAt: issuedAt.toISOString(),
+    iat: Math.floor(issuedAt.getTime() / 1000),
+    exp: Math.floor(expiresAt.getTime() / 1000),
+  }, credentialClaimsFor(submission, issuedAt), signer, submission.walletKey);
+
+  const dataKeyContext = await openReviewerDataKey(submission.dataKeyId, submission.sealedKey);
+  await firebaseService.saveCredential({
+    credentialId: credential.id,
+    sub: submission.username,
+    submissionId: submission.id,
+    issuedAt: credential.issuanceDate,
+    holderKey: submission.holderKey,
+    credential: await sealEnvelope(credential, dataKeyContext),
+    sdJwt: await sealEnvelope(sdJwt, dataKeyContext),
+  });
+
+  console.log('🪪 Credential issued:', credential.id);
+  return credential;
+};
+
+/**
+ * List the credentials issued to the logged-in user, newest first
+ * @param {object} keyContext - The user's data key context
+ * @returns {Promise<object[]>} - Credentials
+ */
+export const listIdentityCredentials = async (keyContext) => {
+  const records = await firebaseService.getCredentialsBySubject(keyContext.username);
+  const credentials = await Promise.all(records.map(async (record) => {
+    try {
+      return await openEnvelope(record.credential, await openSealedDataKey(record.holderKey, keyContext));
+    } catch (error) {
+      console.error('Unable to open credential:', record.credentialId, error);
+      return null;
+    }
+  }));
+  return credentials
+    .filter(credential => credential !== null)
+    .sort((a, b) => new Date(b.issuanceDate) - new Date(a.issuanceDate));
+};
+
+/**
+ * Get the newest QR credential issued to the logged-in user
+ * @param {object} keyContext - The user's data key context
+ * @returns {Promise<string|null>} - SD-JWT with every disclosure, or null when none was issued yet
+ */
+export const getQRCredential = async (keyContext) => {
+  const records = (await firebaseService.getCredentialsBySubject(keyContext.username))
+    .filter(record => record.sdJwt)
+    .sort((a, b) => new Date(b.issuedAt) - new Date(a.issuedAt));
+  for (const record of records) {
+    try {
+      return await openEnvelope(record.sdJwt, await openSealedDataKey(record.holderKey, keyContext));
+    } catch (error) {
+      console.error('Unable to open QR credential:', record.credentialId, error);
+    }
+  }
+  return null;
+};
+
+/**
+ * Verify a credential's proof and validity period
+ * @param {object} credential - Credential from issueIdentityCredential
+ * @param {Date} now - Verification time
+ * @returns {Promise<{credential: object, issuer: object}>} - Credential and the trust list entry of its signer
+ * @throws {QRFormatError|UnknownIssuerError|QRTamperedError|QRExpiredError}
+ */
+export const verifyIdentityCredential = async (credential, now = new Date()) => {
+  if (!isVerifiableCredential(credential)) {
+    throw new QRFormatError('This is not a verifiable credential');
+  }
+
+  const proof = credential.proof || {};
+  const [encodedHeader, detached, encodedSignature] = typeof proof.jws === 'string' ? proof.jws.split('.') : [];
+  if (proof.type !== CREDENTIAL_PROOF_TYPE || proof.proofPurpose !== 'assertionMethod'
+    || detached !== '' || !encodedHeader || !encodedSignature) {
+    throw new QRFormatError('Credential has no supported proof');
+  }
+
+  let header;
+  let signature;
+  try {
+    header = JSON.parse(utf8Decode(base64UrlToBytes(encodedHeader)));
+    signature = base64UrlToBytes(encodedSignature);
+  } catch {
+    throw new QRFormatError('Credential proof is malformed');
+  }
+  // b64: false changes what is signed, so it must be listed as critical (RFC 7797)
+  if (header.alg !== QR_SIGNATURE_ALGORITHM || header.b64 !== false
+    || !Array.isArray(header.crit) || header.crit.length !== 1 || header.crit[0] !== 'b64') {
+    throw new QRFormatError(`Unsupported credential proof: ${header.alg}`, header.kid);
+  }
+
+  const [controller, kid] = String(proof.verificationMethod).split('#');
+  if (!kid || controller !== credential.issuer?.id || header.kid !== kid) {
+    throw new QRFormatError('Credential proof has no verification method of its issuer', header.kid);
+  }
+  const issuer = await getTrustedIssuerKey(kid);
+  if (!issuer) {
+    throw new UnknownIssuerError('Credential was signed by an unknown issuer', kid);
+  }
+
+  const publicKey = await crypto.subtle.importKey('jwk', issuer.publicKey, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify']);
+  const valid = await crypto.subtle.verify(SIGN_PARAMS, publicKey, signature, signingInput(encodedHeader, credential));
+  if (!valid) {
+    throw new QRTamperedError('Credential proof does not match its contents. It may have been tampered with.', kid);
+  }
+
+  // Written as a negation so an unreadable date (NaN) counts as expired
+  const expiresAt = new Date(credential.expirationDate);
+  if (!(expiresAt.getTime() > now.getTime())) {
+    throw new QRExpiredError(`This credential expired on ${expiresAt.toLocaleString()}.`, credential.id);
+  }
+
+  return { credential, issuer };
+};
+
+/**
+ * Log an accepted credential in its holder's sharing history
+ * @param {object} credential - Credential verifyIdentityCredential accepted
+ * @param {string|null} verifier - Verifier label
+ */
+export const recordCredentialVerification = async (credential, verifier) => {
+  const { id: subjectId, ...attributes } = credential.credentialSubject || {};
+  if (typeof subjectId !== 'string' || !subjectId.startsWith(SUBJECT_ID_PREFIX)) return;
+  await recordSharingEvent({
+    type: SHARING_EVENTS.VERIFIED,
+    sub: subjectId.slice(SUBJECT_ID_PREFIX.length),
+    jti: credential.id,
+    disclosed: Object.keys(attributes),
+    verifier,
+  });
+};
+
+/**
+ * Download a credential as a JSON-LD file
+ * @param {object} credential - Credential from listIdentityCredentials
+ */
+export const downloadCredential = (credential) => {
+  downloadJSON(credential, `identity-credential-${credential.id.replace('urn:uuid:', '')}.jsonld`, 'application/ld+json');
+};
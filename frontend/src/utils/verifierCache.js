@@ -0,0 +1,162 @@
+/**
+ * Verifier Cache - trust anchors for verifying QR codes and credentials offline
+ *
+ * The verification page is installable as a PWA (public/sw.js) so field staff
+ * can verify without connectivity. Signatures, validity windows and age
+ * predicates are checked locally anyway; what needs the database is the
+ * issuer trust list and the revocation status. While online, the page keeps
+ * a snapshot of both in localStorage under `sdw_verifierCache`:
+ * {
+ *   issuerKeys: { kid: trust list entry },
+ *   statuses: { jti: { status: 'revoked' | 'consumed', at, expiresAt } },
+ *   offlineConsumed: { jti: { at, consumedBy, expiresAt } },  // single-use codes accepted offline
+ *   offlineEvents: [event, ...],                   // verifications to log (see sharingHistory.js)
+ *   syncedAt
+ * }
+ * Offline, issuerKeys.js and qrStatus.js answer from the snapshot instead.
+ * A code revoked after `syncedAt` is still accepted, so the page shows how
+ * old the snapshot is. Single-use codes accepted offline are recorded as
+ * consumed, and the verifications logged, on the next sync.
+ *
+ * An expired code is rejected before its status is looked up, so the snapshot
+ * leaves out the records of codes that have expired; otherwise it would grow
+ * with every code ever consumed. Records without an expiry are kept.
+ */
+
+import firebaseService from './firebaseService';
+
+export const VERIFIER_CACHE_KEY = 'sdw_verifierCache';
+
+// Snapshots older than this are flagged as stale
+export const STALE_SNAPSHOT_MS = 24 * 60 * 60 * 1000;
+
+const EMPTY_CACHE = { issuerKeys: {}, statuses: {}, offlineConsumed: {}, offlineEvents: [], syncedAt: null };
+
+/**
+ * Check whether the browser reports having no connectivity
+ * @returns {boolean}
+ */
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+/**
+ * Load the cached snapshot
+ * @returns {object} - Cache (empty if never synced)
+ */
+export const loadVerifierCache = () => {
+  try {
+    const stored = localStorage.getItem(VERIFIER_CACHE_KEY);
+    return stored ? { ...EMPTY_CACHE, ...JSON.parse(stored) } : { ...EMPTY_CACHE };
+  } catch (error) {
+    console.error('Error reading verifier cache:', error);
+    return { ...EMPTY_CACHE };
+  }
+};
+
+// Written as a negation so an unreadable date (NaN) is kept
+const hasExpired = (record, now) => !!record.expiresAt && !(new Date(record.expiresAt).getTime() > now);
+
+const saveVerifierCache = (cache) => {
+  localStorage.setItem(VERIFIER_CACHE_KEY, JSON.stringify(cache));
+};
+
+/**
+ * Refresh the snapshot from the database
+ * Also records the single-use codes accepted while offline as consumed and
+ * logs the verifications made offline.
+ * @returns {Promise<object>} - The new cache
+ */
+export const syncVerifierCache = async () => {
+  const cache = loadVerifierCache();
+
+  for (const [jti, { at, consumedBy, expiresAt }] of Object.entries(cache.offlineConsumed)) {
+    const record = await firebaseService.getQRCodeRecord(jti);
+    const fields = { status: 'consumed', consumedAt: at, consumedBy };
+    if (!record) {
+      await firebaseService.registerQRCode({ jti, singleUse: true, ...(expiresAt && { expiresAt }), ...fields });
+    } else if (record.status === 'active') {
+      await firebaseService.updateQRCodeRecord(jti, fields);
+    }
+  }
+
+  // Dequeued one by one, so a failed sync does not log an event twice
+  while (cache.offlineEvents.length > 0) {
+    await firebaseService.saveSharingEvent(cache.offlineEvents[0]);
+    cache.offlineEvents.shift();
+    saveVerifierCache(cache);
+  }
+
+  const [issuerKeys, revoked, consumed] = await Promise.all([
+    firebaseService.getAllIssuerKeys(),
+    firebaseService.getQRCodeRecordsByStatus('revoked'),
+    firebaseService.getQRCodeRecordsByStatus('consumed'),
+  ]);
+
+  // Only what verification needs: no subjects or disclosed attribute names
+  const now = Date.now();
+  const synced = {
+    issuerKeys: Object.fromEntries(issuerKeys.map(({ kid, owner, role, publicKey, createdAt }) => [kid, { kid, owner, role, publicKey, createdAt }])),
+    statuses: Object.fromEntries([
+      ...revoked.filter(record => !hasExpired(record, now))
+        .map(record => [record.jti, { status: 'revoked', at: record.revokedAt, expiresAt: record.expiresAt }]),
+      ...consumed.filter(record => !hasExpired(record, now))
+        .map(record => [record.jti, { status: 'consumed', at: record.consumedAt, consumedBy: record.consumedBy, expiresAt: record.expiresAt }]),
+    ]),
+    offlineConsumed: {},
+    offlineEvents: [],
+    syncedAt: new Date().toISOString(),
+  };
+  saveVerifierCache(synced);
+  console.log('📥 Verifier cache synced:', issuerKeys.length, 'issuer keys,', Object.keys(synced.statuses).length, 'status records');
+  return synced;
+};
+
+/**
+ * Look up a key in the cached trust list
+ * @param {string} kid - Key ID
+ * @returns {object|null} - Trust list entry
+ */
+export const getCachedIssuerKey = (kid) => loadVerifierCache().issuerKeys[kid] || null;
+
+/**
+ * Look up a QR code in the cached revocation snapshot
+ * @param {string} jti - QR code ID
+ * @returns {object|null} - { status, at, consumedBy }, or null if it was active when synced
+ */
+export const getCachedQRStatus = (jti) => {
+  const cache = loadVerifierCache();
+  if (cache.statuses[jti]?.status === 'revoked') return cache.statuses[jti];
+  if (cache.offlineConsumed[jti]) return { status: 'consumed', ...cache.offlineConsumed[jti] };
+  return cache.statuses[jti] || null;
+};
+
+/**
+ * Record a single-use code accepted while offline
+ * @param {string} jti - QR code ID
+ * @param {string} consumedBy - Verifier session
+ * @param {string} expiresAt - Expiry of the code
+ */
+export const recordOfflineConsumption = (jti, consumedBy, expiresAt) => {
+  const cache = loadVerifierCache();
+  cache.offlineConsumed[jti] = { at: new Date().toISOString(), consumedBy, expiresAt };
+  saveVerifierCache(cache);
+};
+
+/**
+ * Queue a sharing event logged while offline
+ * @param {object} event - Event from sharingHistory.js
+ */
+export const recordOfflineSharingEvent = (event) => {
+  const cache = loadVerifierCache();
+  cache.offlineEvents.push(event);
+  saveVerifierCache(cache);
+};
+
+/**
+ * Age of the snapshot
+ * @param {Date} now
+ * @returns {number|null} - Milliseconds since the last sync, or null if never synced
+ */
+export const getSnapshotAge = (now = new Date()) => {
+  const { syncedAt } = loadVerifierCache();
+  return syncedAt ? now.getTime() - new Date(syncedAt).getTime() : null;
+};